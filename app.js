@@ -54,21 +54,42 @@ function run(options) {
 
     function shutdown(cb) {
         server.close(function () {
-            server.log.debug('Closing Manta client');
-            server.options.mantaClient.close();
+            server.log.debug('Closing Manta clients');
+            server.options.mantaClientPool.close();
+            server.credentialStore.close();
             server.log.debug('Closing Restify');
 
-            if (cb) {
-                cb();
-            }
+            server.auditLog.close(function auditLogClosed() {
+                if (cb) {
+                    cb();
+                }
 
-            process.exit(0);
+                process.exit(0);
+            });
         });
     }
 
     process.on('SIGTERM', shutdown);
     process.on('SIGINT', shutdown);
 
+    process.on('SIGHUP', function () {
+        server.auditLog.reopen();
+
+        if (!server.credentialStore.reloadable) {
+            LOG.info('Credentials from the configuration file are only reloaded on restart');
+            return;
+        }
+
+        server.credentialStore.reload(function (err) {
+            if (err) {
+                LOG.error(err, 'Unable to reload credentials, keeping the current ones');
+                return;
+            }
+
+            LOG.info('Reloaded credentials');
+        });
+    });
+
     process.once('SIGUSR2', function () {
         shutdown(function () {
             process.kill(process.pid, 'SIGUSR2');
@@ -0,0 +1,687 @@
+/**
+ * @file File containing {@link AccessControlList} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+let mod_xml2js = require('xml2js');
+
+let errors = require('./errors');
+
+/**
+ * Permissions that can be granted by an ACL.
+ * @type {Array.<string>}
+ */
+const PERMISSIONS = ['READ', 'WRITE', 'READ_ACP', 'WRITE_ACP', 'FULL_CONTROL'];
+
+/**
+ * URI of the group of every client, including anonymous clients.
+ * @type {string}
+ * @default
+ */
+const ALL_USERS_URI = 'http://acs.amazonaws.com/groups/global/AllUsers';
+
+/**
+ * URI of the group of every authenticated client.
+ * @type {string}
+ * @default
+ */
+const AUTHENTICATED_USERS_URI = 'http://acs.amazonaws.com/groups/global/AuthenticatedUsers';
+
+/**
+ * URI of the group that delivers server access logs.
+ * @type {string}
+ * @default
+ */
+const LOG_DELIVERY_URI = 'http://acs.amazonaws.com/groups/s3/LogDelivery';
+
+/**
+ * Groups that can be granted permissions.
+ * @type {Array.<string>}
+ */
+const GROUP_URIS = [ALL_USERS_URI, AUTHENTICATED_USERS_URI, LOG_DELIVERY_URI];
+
+/**
+ * Canned ACLs accepted by S3.
+ * @type {Array.<string>}
+ */
+const CANNED_ACLS = [
+    'private',
+    'public-read',
+    'public-read-write',
+    'authenticated-read',
+    'aws-exec-read',
+    'bucket-owner-read',
+    'bucket-owner-full-control',
+    'log-delivery-write'
+];
+
+/**
+ * Headers granting permissions indexed by the permission they grant.
+ * @type {object.<string, string>}
+ */
+const GRANT_HEADERS = {
+    'READ': 'x-amz-grant-read',
+    'WRITE': 'x-amz-grant-write',
+    'READ_ACP': 'x-amz-grant-read-acp',
+    'WRITE_ACP': 'x-amz-grant-write-acp',
+    'FULL_CONTROL': 'x-amz-grant-full-control'
+};
+
+/**
+ * Elements identifying the grantee of each type of an AccessControlPolicy
+ * document, and how grant headers name them.
+ * @type {object.<string, {element: string, name: string}>}
+ */
+const GRANTEE_ELEMENTS = {
+    'CanonicalUser': { element: 'ID', name: 'id' },
+    'Group': { element: 'URI', name: 'uri' },
+    'AmazonCustomerByEmail': { element: 'EmailAddress', name: 'emailAddress' }
+};
+
+/**
+ * Maximum number of grants in an ACL.
+ * @type {integer}
+ * @default
+ */
+const MAX_GRANTS = 100;
+
+/**
+ * ACL permission needed to perform each S3 action, and whether it is checked
+ * against the ACL of the bucket or of the object. Actions with a null
+ * permission may only be performed by the owner of the bucket, and actions
+ * that are missing aren't restricted by ACLs.
+ * @type {object.<string, {target: string, permission: ?string}>}
+ */
+const ACTION_PERMISSIONS = {
+    's3:ListBucket': { target: 'bucket', permission: 'READ' },
+    's3:ListBucketMultipartUploads': { target: 'bucket', permission: 'READ' },
+    's3:PutObject': { target: 'bucket', permission: 'WRITE' },
+    's3:DeleteObject': { target: 'bucket', permission: 'WRITE' },
+    's3:GetBucketAcl': { target: 'bucket', permission: 'READ_ACP' },
+    's3:PutBucketAcl': { target: 'bucket', permission: 'WRITE_ACP' },
+    's3:DeleteBucket': { target: 'bucket', permission: null },
+    's3:GetBucketPolicy': { target: 'bucket', permission: null },
+    's3:PutBucketPolicy': { target: 'bucket', permission: null },
+    's3:DeleteBucketPolicy': { target: 'bucket', permission: null },
+    's3:GetObject': { target: 'object', permission: 'READ' },
+    's3:GetObjectAcl': { target: 'object', permission: 'READ_ACP' },
+    's3:PutObjectAcl': { target: 'object', permission: 'WRITE_ACP' }
+};
+
+/**
+ * Owner of a bucket or an object.
+ * @typedef {object} AclOwner
+ * @property {string} id canonical ID of the owner (the access key that created
+ *                    the resource, or the key that issued the session that did)
+ * @property {string} displayName name of the owner reported to clients
+ */
+
+/**
+ * Grantee of a permission: either a canonical user or a group.
+ * @typedef {object} AclGrantee
+ * @property {string} type CanonicalUser or Group
+ * @property {string} [id] canonical ID of the user
+ * @property {string} [displayName] name of the user reported to clients
+ * @property {string} [uri] URI of the group
+ */
+
+/**
+ * Access control list of a bucket or an object.
+ * @typedef {object} Acl
+ * @property {?AclOwner} owner owner of the resource or null if it is unknown
+ * @property {Array.<{grantee: AclGrantee, permission: string}>} grants permissions
+ *           granted by the ACL
+ */
+
+/**
+ * Requester that ACLs are evaluated against.
+ * @typedef {object} AclPrincipal
+ * @property {?string} id canonical ID of the requester or null if anonymous
+ */
+
+/**
+ * Callback invoked when an AccessControlPolicy document has been parsed.
+ * @callback aclDocumentCallback
+ * @param {?Error} err MalformedACLError error if the document is invalid
+ * @param {Acl} [acl] parsed ACL
+ */
+
+/**
+ * Builds, parses and evaluates S3 access control lists. ACLs can be set with
+ * a canned ACL (x-amz-acl), with grant headers (x-amz-grant-*) or with an
+ * AccessControlPolicy document, and they are stored as JSON.
+ */
+class AccessControlList {
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Finds the owner of the resources created with the passed credential.
+     * Sessions create resources on behalf of the key that issued them.
+     *
+     * @param {?Credential} credential credential that signed the request
+     * @returns {?AclOwner} owner or null if the request isn't authenticated
+     */
+    static ownerFor(credential) {
+        if (!credential) {
+            return null;
+        }
+
+        let id = credential.parentAccessKey || credential.accessKey;
+
+        return {
+            id: id,
+            displayName: id
+        };
+    }
+
+    /**
+     * Finds the principal that ACLs are evaluated against for the passed
+     * credential.
+     *
+     * @param {?Credential} credential credential that signed the request
+     * @returns {AclPrincipal} principal of the request
+     */
+    static principalFor(credential) {
+        let owner = AccessControlList.ownerFor(credential);
+
+        return {
+            id: owner ? owner.id : null
+        };
+    }
+
+    /**
+     * Builds the ACL described by a canned ACL.
+     *
+     * @param {string} cannedAcl canned ACL
+     * @param {?AclOwner} owner owner of the resource
+     * @param {?AclOwner} [bucketOwner] owner of the bucket containing the resource
+     * @returns {Acl} ACL granting the owner full control and the permissions
+     *                implied by the canned ACL
+     */
+    static fromCanned(cannedAcl, owner, bucketOwner) {
+        let grants = [];
+
+        if (owner) {
+            grants.push(AccessControlList._userGrant(owner, 'FULL_CONTROL'));
+        }
+
+        switch (cannedAcl) {
+            case 'public-read':
+                grants.push(AccessControlList._groupGrant(ALL_USERS_URI, 'READ'));
+                break;
+            case 'public-read-write':
+                grants.push(AccessControlList._groupGrant(ALL_USERS_URI, 'READ'));
+                grants.push(AccessControlList._groupGrant(ALL_USERS_URI, 'WRITE'));
+                break;
+            case 'authenticated-read':
+                grants.push(AccessControlList._groupGrant(AUTHENTICATED_USERS_URI, 'READ'));
+                break;
+            case 'bucket-owner-read':
+            case 'bucket-owner-full-control':
+                if (bucketOwner && (!owner || bucketOwner.id !== owner.id)) {
+                    grants.push(AccessControlList._userGrant(bucketOwner,
+                        cannedAcl === 'bucket-owner-read' ? 'READ' : 'FULL_CONTROL'));
+                }
+                break;
+            case 'log-delivery-write':
+                grants.push(AccessControlList._groupGrant(LOG_DELIVERY_URI, 'WRITE'));
+                grants.push(AccessControlList._groupGrant(LOG_DELIVERY_URI, 'READ_ACP'));
+                break;
+        }
+
+        return {
+            owner: owner,
+            grants: grants
+        };
+    }
+
+    /**
+     * Builds the ACL described by the x-amz-acl or x-amz-grant-* headers of a
+     * request.
+     *
+     * @param {object.<string, string>} headers request headers
+     * @param {?AclOwner} owner owner of the resource
+     * @param {?AclOwner} [bucketOwner] owner of the bucket containing the resource
+     * @returns {?Acl} ACL or null if the request doesn't set an ACL
+     * @throws {Error} InvalidArgument, InvalidRequest or UnresolvableGrantByEmailAddress
+     *                 errors if the headers are invalid
+     */
+    static fromHeaders(headers, owner, bucketOwner) {
+        let cannedAcl = AccessControlList.parseCannedAcl(headers['x-amz-acl']);
+        let grantHeaders = mod_lo.pickBy(GRANT_HEADERS, function isSent(header) {
+            return !mod_lo.isEmpty(headers[header]);
+        });
+
+        if (cannedAcl && !mod_lo.isEmpty(grantHeaders)) {
+            throw new errors.InvalidRequest(
+                'Specifying both Canned ACLs and Header Grants is not allowed');
+        }
+
+        if (cannedAcl) {
+            return AccessControlList.fromCanned(cannedAcl, owner, bucketOwner);
+        }
+
+        if (mod_lo.isEmpty(grantHeaders)) {
+            return null;
+        }
+
+        let grants = [];
+
+        mod_lo.forOwn(grantHeaders, function parseGrantHeader(header, permission) {
+            AccessControlList._parseGrantees(header, headers[header]).forEach(
+                function addGrant(grantee) {
+                    grants.push({ grantee: grantee, permission: permission });
+                });
+        });
+
+        return {
+            owner: owner,
+            grants: AccessControlList._limitGrants(grants)
+        };
+    }
+
+    /**
+     * Parses an AccessControlPolicy document. The owner named by the document
+     * is ignored because the owner of a resource can't be changed.
+     *
+     * @param {string} text XML document
+     * @param {?AclOwner} owner owner of the resource
+     * @param {aclDocumentCallback} callback callback invoked with the ACL
+     */
+    static fromXml(text, owner, callback) {
+        let parser = new mod_xml2js.Parser({
+            explicitArray: true,
+            tagNameProcessors: [mod_xml2js.processors.stripPrefix],
+            attrNameProcessors: [mod_xml2js.processors.stripPrefix]
+        });
+
+        parser.parseString(text, function xmlParsed(err, doc) {
+            let acl;
+
+            if (err) {
+                return callback(errors.MalformedACLError());
+            }
+
+            try {
+                acl = AccessControlList._fromDocument(doc, owner);
+            } catch (e) {
+                return callback(e);
+            }
+
+            return callback(null, acl);
+        });
+    }
+
+    /**
+     * Builds the ACL sent with a PUT ?acl request. An ACL set with headers
+     * takes precedence over an AccessControlPolicy document in the body.
+     *
+     * @param {object.<string, string>} headers request headers
+     * @param {Buffer} body request body
+     * @param {?AclOwner} owner owner of the resource
+     * @param {?AclOwner} bucketOwner owner of the bucket containing the resource
+     * @param {aclDocumentCallback} callback callback invoked with the ACL
+     */
+    static fromRequest(headers, body, owner, bucketOwner, callback) {
+        let acl;
+
+        try {
+            acl = AccessControlList.fromHeaders(headers, owner, bucketOwner);
+        } catch (err) {
+            return setImmediate(callback, err);
+        }
+
+        if (acl) {
+            return setImmediate(callback, null, acl);
+        }
+
+        if (body.length === 0) {
+            return setImmediate(callback, errors.MalformedACLError());
+        }
+
+        return AccessControlList.fromXml(body.toString('utf8'), owner, callback);
+    }
+
+    /**
+     * Validates the canned ACL sent in an x-amz-acl header or an acl form
+     * field.
+     *
+     * @param {?string} value canned ACL sent by the client
+     * @returns {?string} canned ACL or null if none was sent
+     * @throws {Error} InvalidArgument error if the canned ACL is unknown
+     */
+    static parseCannedAcl(value) {
+        if (mod_lo.isEmpty(value)) {
+            return null;
+        }
+
+        if (CANNED_ACLS.indexOf(value) < 0) {
+            let err = new errors.InvalidArgument('Invalid canned ACL: %s', value);
+            err.additional = {
+                ArgumentName: 'x-amz-acl',
+                ArgumentValue: value
+            };
+
+            throw err;
+        }
+
+        return value;
+    }
+
+    /**
+     * Finds the ACL permission needed to perform an action.
+     *
+     * @param {string} action S3 action name
+     * @returns {?{target: string, permission: ?string}} permission checked against
+     *          the ACL of the bucket or the object, or null if ACLs don't apply
+     */
+    static requiredPermission(action) {
+        return ACTION_PERMISSIONS[action] || null;
+    }
+
+    /**
+     * Determines if an ACL grants a permission to a principal. The owner of a
+     * resource is always allowed to read and change its ACL.
+     *
+     * @param {Acl} acl ACL of the resource
+     * @param {AclPrincipal} principal requester
+     * @param {string} permission permission to check
+     * @returns {boolean} true if the permission is granted
+     */
+    static permits(acl, principal, permission) {
+        let isOwner = Boolean(principal.id && acl.owner && acl.owner.id === principal.id);
+
+        if (isOwner && (permission === 'READ_ACP' || permission === 'WRITE_ACP')) {
+            return true;
+        }
+
+        return acl.grants.some(function grantApplies(grant) {
+            let permitted = grant.permission === permission ||
+                grant.permission === 'FULL_CONTROL';
+
+            return permitted && AccessControlList._granteeMatches(grant.grantee, principal);
+        });
+    }
+
+    /**
+     * Determines if an ACL allows anonymous clients to read a resource.
+     *
+     * @param {?Acl} acl ACL of the resource or null if it has none
+     * @returns {boolean} true if anonymous reads are allowed
+     */
+    static allowsAnonymousRead(acl) {
+        return Boolean(acl) && AccessControlList.permits(acl, { id: null }, 'READ');
+    }
+
+    /**
+     * Builds the AccessControlPolicy document describing an ACL.
+     *
+     * @param {Acl} acl ACL of the resource
+     * @param {AclOwner} defaultOwner owner reported for resources without a known owner
+     * @param {string} s3Version S3 API version to report to client
+     * @returns {object} document that can be rendered with xmlbuilder
+     */
+    static toDocument(acl, defaultOwner, s3Version) {
+        let owner = acl.owner || defaultOwner;
+        let grants = acl.grants;
+
+        // Resources created before ACLs were stored are fully controlled by their owner
+        if (!acl.owner) {
+            grants = [AccessControlList._userGrant(owner, 'FULL_CONTROL')].concat(grants);
+        }
+
+        return {
+            AccessControlPolicy: {
+                '@xmlns': `http://s3.amazonaws.com/doc/${s3Version}/`,
+                Owner: {
+                    ID: owner.id,
+                    DisplayName: owner.displayName
+                },
+                AccessControlList: {
+                    Grant: grants.map(function grantElement(grant) {
+                        return {
+                            Grantee: AccessControlList._granteeElement(grant.grantee),
+                            Permission: grant.permission
+                        };
+                    })
+                }
+            }
+        };
+    }
+
+    /**
+     * Parses a stored ACL.
+     *
+     * @param {?string} value JSON ACL
+     * @returns {?Acl} ACL or null if none is stored
+     * @throws {SyntaxError} if the stored ACL is corrupt
+     */
+    static parse(value) {
+        if (mod_lo.isEmpty(value)) {
+            return null;
+        }
+
+        let acl = JSON.parse(value);
+
+        return {
+            owner: acl.owner || null,
+            grants: acl.grants || []
+        };
+    }
+
+    /**
+     * Serializes an ACL so that it can be stored.
+     *
+     * @param {Acl} acl ACL to store
+     * @returns {string} JSON ACL
+     */
+    static serialize(acl) {
+        return JSON.stringify({
+            owner: acl.owner,
+            grants: acl.grants
+        });
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Builds an ACL from a parsed AccessControlPolicy document.
+     *
+     * @private
+     * @param {object} doc document parsed by xml2js
+     * @param {?AclOwner} owner owner of the resource
+     * @returns {Acl} ACL
+     * @throws {Error} MalformedACLError or UnresolvableGrantByEmailAddress errors
+     *                 if the document is invalid
+     */
+    static _fromDocument(doc, owner) {
+        let policy = mod_lo.get(doc, 'AccessControlPolicy');
+        let list = mod_lo.get(policy, ['AccessControlList', 0]);
+
+        if (!policy || !mod_lo.has(policy, ['Owner', 0, 'ID', 0]) || list === undefined) {
+            throw errors.MalformedACLError();
+        }
+
+        let grants = mod_lo.get(list, 'Grant', []).map(function parseGrant(grant) {
+            let grantee = mod_lo.get(grant, ['Grantee', 0]);
+            let permission = mod_lo.get(grant, ['Permission', 0]);
+
+            if (!grantee || PERMISSIONS.indexOf(permission) < 0) {
+                throw errors.MalformedACLError();
+            }
+
+            let type = GRANTEE_ELEMENTS[mod_lo.get(grantee, ['$', 'type'])];
+
+            if (!type) {
+                throw errors.MalformedACLError();
+            }
+
+            let value = mod_lo.get(grantee, [type.element, 0]);
+
+            return {
+                grantee: AccessControlList._grantee(type.name, value),
+                permission: permission
+            };
+        });
+
+        return {
+            owner: owner,
+            grants: AccessControlList._limitGrants(grants)
+        };
+    }
+
+    /**
+     * Parses the grantees listed in an x-amz-grant-* header, eg
+     * id="AKIAEXAMPLE", uri="http://acs.amazonaws.com/groups/global/AllUsers".
+     *
+     * @private
+     * @param {string} header name of the header
+     * @param {string} value value of the header
+     * @returns {Array.<AclGrantee>} grantees
+     * @throws {Error} InvalidArgument or UnresolvableGrantByEmailAddress errors
+     *                 if a grantee is invalid
+     */
+    static _parseGrantees(header, value) {
+        return value.split(',').map(function parseGrantee(entry) {
+            let match = /^\s*(id|uri|emailAddress)\s*=\s*"?([^"]*)"?\s*$/i.exec(entry);
+
+            if (!match) {
+                let err = new errors.InvalidArgument('Invalid grantee: %s', mod_lo.trim(entry));
+                err.additional = {
+                    ArgumentName: header,
+                    ArgumentValue: value
+                };
+
+                throw err;
+            }
+
+            let type = match[1].toLowerCase() === 'emailaddress' ? 'emailAddress' :
+                match[1].toLowerCase();
+
+            return AccessControlList._grantee(type, match[2]);
+        });
+    }
+
+    /**
+     * Builds a grantee from the way it was identified by the client.
+     *
+     * @private
+     * @param {string} type id, uri or emailAddress
+     * @param {string} value canonical ID, group URI or email address
+     * @returns {AclGrantee} grantee
+     * @throws {Error} MalformedACLError, InvalidArgument or
+     *                 UnresolvableGrantByEmailAddress errors if the grantee is invalid
+     */
+    static _grantee(type, value) {
+        if (mod_lo.isEmpty(value)) {
+            throw errors.MalformedACLError();
+        }
+
+        // Access keys don't have email addresses
+        if (type === 'emailAddress') {
+            throw errors.UnresolvableGrantByEmailAddress(value);
+        }
+
+        if (type === 'uri') {
+            if (GROUP_URIS.indexOf(value) < 0) {
+                throw new errors.InvalidArgument('Invalid group uri: %s', value);
+            }
+
+            return { type: 'Group', uri: value };
+        }
+
+        return { type: 'CanonicalUser', id: value, displayName: value };
+    }
+
+    /**
+     * Verifies that an ACL doesn't contain too many grants.
+     *
+     * @private
+     * @param {Array.<object>} grants grants of the ACL
+     * @returns {Array.<object>} the passed grants
+     * @throws {Error} MalformedACLError error if there are too many grants
+     */
+    static _limitGrants(grants) {
+        if (grants.length > MAX_GRANTS) {
+            throw errors.MalformedACLError();
+        }
+
+        return grants;
+    }
+
+    /**
+     * Determines if a grantee covers a principal.
+     *
+     * @private
+     * @param {AclGrantee} grantee grantee of a permission
+     * @param {AclPrincipal} principal requester
+     * @returns {boolean} true if the grantee covers the principal
+     */
+    static _granteeMatches(grantee, principal) {
+        if (grantee.type === 'Group') {
+            return grantee.uri === ALL_USERS_URI ||
+                (grantee.uri === AUTHENTICATED_USERS_URI && principal.id !== null);
+        }
+
+        return principal.id !== null && grantee.id === principal.id;
+    }
+
+    /**
+     * Builds a grant of a permission to a canonical user.
+     *
+     * @private
+     * @param {AclOwner} user canonical user
+     * @param {string} permission granted permission
+     * @returns {object} grant
+     */
+    static _userGrant(user, permission) {
+        return {
+            grantee: { type: 'CanonicalUser', id: user.id, displayName: user.displayName },
+            permission: permission
+        };
+    }
+
+    /**
+     * Builds a grant of a permission to a group.
+     *
+     * @private
+     * @param {string} uri URI of the group
+     * @param {string} permission granted permission
+     * @returns {object} grant
+     */
+    static _groupGrant(uri, permission) {
+        return {
+            grantee: { type: 'Group', uri: uri },
+            permission: permission
+        };
+    }
+
+    /**
+     * Builds the Grantee element of an AccessControlPolicy document.
+     *
+     * @private
+     * @param {AclGrantee} grantee grantee of a permission
+     * @returns {object} Grantee element
+     */
+    static _granteeElement(grantee) {
+        let element = {
+            '@xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            '@xsi:type': grantee.type
+        };
+
+        if (grantee.type === 'Group') {
+            element.URI = grantee.uri;
+        } else {
+            element.ID = grantee.id;
+            element.DisplayName = grantee.displayName || grantee.id;
+        }
+
+        return element;
+    }
+}
+
+/**
+ * @type {AccessControlList}
+ */
+module.exports = AccessControlList;
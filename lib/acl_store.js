@@ -0,0 +1,262 @@
+/**
+ * @file File containing {@link AclStore} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+let mod_stream = require('stream');
+
+let AccessControlList = require('./access_control_list');
+
+/**
+ * Manta metadata header containing the ACL of an object. It is not reported
+ * to clients as user metadata.
+ * @type {string}
+ * @default
+ */
+const OBJECT_ACL_HEADER = 'm-s3-bridge-acl';
+
+/**
+ * Callback invoked when an ACL has been loaded.
+ * @callback aclCallback
+ * @param {?Error} err error if the ACL could not be loaded
+ * @param {?Acl} [acl] ACL of the resource or null if it has none
+ */
+
+/**
+ * Callback invoked when the ACL of an object has been loaded.
+ * @callback objectAclCallback
+ * @param {?Error} err error if the ACL could not be loaded
+ * @param {?Acl} [acl] ACL of the object or null if it has none
+ * @param {boolean} [found] false if the object doesn't exist
+ */
+
+/**
+ * Stores the ACLs of buckets and objects in Manta. The ACL of an object is
+ * stored in the metadata of the object, while the ACL of a bucket is stored
+ * as a hidden file next to the bucket directory (eg the ACL of bucket foo is
+ * stored in .foo.acl.json) like its policy. Bucket ACLs are cached in memory
+ * for as long as bucket policies are. Resources created before ACLs were
+ * stored have no ACL.
+ */
+class AclStore {
+    /**
+     * Creates a new store.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {integer} options.policyCacheTtlMilliseconds number of milliseconds to cache ACLs
+     */
+    constructor(options) {
+        /**
+         * Number of milliseconds that bucket ACLs are cached for.
+         * @private
+         * @type {integer}
+         */
+        this._ttl = options.policyCacheTtlMilliseconds;
+
+        /**
+         * Cached bucket ACLs indexed by the Manta path of the ACL.
+         * @private
+         * @type {object.<string, {acl: ?Acl, expires: number}>}
+         */
+        this._cache = {};
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Loads the ACL of a bucket.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to read the ACL with
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @param {aclCallback} callback callback invoked with the ACL
+     */
+    loadBucketAcl(mantaClient, bucketPath, bucket, callback) {
+        let self = this;
+        let path = AclStore.aclPath(bucketPath, bucket);
+        let cached = this._cache[path];
+
+        if (cached && cached.expires > Date.now()) {
+            return setImmediate(callback, null, cached.acl);
+        }
+
+        mantaClient.get(path, function getAcl(err, stream) {
+            if (err) {
+                if (err.statusCode === 404) {
+                    self._cacheAcl(path, null);
+                    return callback(null, null);
+                }
+
+                return callback(err);
+            }
+
+            let chunks = [];
+
+            stream.on('data', function aclData(chunk) {
+                chunks.push(chunk);
+            });
+
+            stream.once('error', callback);
+
+            stream.once('end', function aclEnd() {
+                let acl;
+
+                try {
+                    acl = AccessControlList.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    return callback(e);
+                }
+
+                self._cacheAcl(path, acl);
+                return callback(null, acl);
+            });
+        });
+    }
+
+    /**
+     * Saves the ACL of a bucket.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to write the ACL with
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @param {Acl} acl ACL of the bucket
+     * @param {function} callback callback invoked with an error if the ACL
+     *                            could not be saved
+     */
+    saveBucketAcl(mantaClient, bucketPath, bucket, acl, callback) {
+        let self = this;
+        let path = AclStore.aclPath(bucketPath, bucket);
+        let body = new Buffer(AccessControlList.serialize(acl), 'utf8');
+        let input = new mod_stream.PassThrough();
+        input.end(body);
+
+        let opts = {
+            size: body.length,
+            type: 'application/json'
+        };
+
+        mantaClient.put(path, input, opts, function putAcl(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            self._cacheAcl(path, acl);
+            return callback();
+        });
+    }
+
+    /**
+     * Removes the stored ACL of a bucket.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to remove the ACL with
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @param {function} callback callback invoked with an error if the ACL
+     *                            could not be removed
+     */
+    removeBucketAcl(mantaClient, bucketPath, bucket, callback) {
+        let self = this;
+        let path = AclStore.aclPath(bucketPath, bucket);
+
+        mantaClient.unlink(path, function unlinkAcl(err) {
+            if (err && err.statusCode !== 404) {
+                return callback(err);
+            }
+
+            self._cacheAcl(path, null);
+            return callback();
+        });
+    }
+
+    /**
+     * Loads the ACL of an object from its metadata.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to read the metadata with
+     * @param {string} mantaPath path on Manta filesystem of the object
+     * @param {objectAclCallback} callback callback invoked with the ACL
+     */
+    loadObjectAcl(mantaClient, mantaPath, callback) {
+        mantaClient.info(mantaPath, function objectInfo(err, info) {
+            let acl;
+
+            if (err) {
+                if (err.statusCode === 404) {
+                    return callback(null, null, false);
+                }
+
+                return callback(err);
+            }
+
+            try {
+                acl = AclStore.objectAcl(info.headers);
+            } catch (e) {
+                return callback(e);
+            }
+
+            return callback(null, acl, true);
+        });
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Manta metadata header containing the ACL of an object.
+     * @type {string}
+     */
+    static get OBJECT_ACL_HEADER() {
+        return OBJECT_ACL_HEADER;
+    }
+
+    /**
+     * Builds the Manta path of the ACL of a bucket.
+     *
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @returns {string} Manta path of the ACL
+     */
+    static aclPath(bucketPath, bucket) {
+        return `${bucketPath}/.${bucket}.acl.json`;
+    }
+
+    /**
+     * Finds the ACL of an object in its Manta headers.
+     *
+     * @param {object.<string, string>} headers headers of the Manta object
+     * @returns {?Acl} ACL of the object or null if it has none
+     * @throws {SyntaxError} if the stored ACL is corrupt
+     */
+    static objectAcl(headers) {
+        return AccessControlList.parse(headers[OBJECT_ACL_HEADER]);
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Caches the bucket ACL stored at the passed path.
+     *
+     * @private
+     * @param {string} path Manta path of the ACL
+     * @param {?Acl} acl ACL of the bucket or null if it has none
+     */
+    _cacheAcl(path, acl) {
+        if (this._ttl <= 0) {
+            return;
+        }
+
+        // Expired entries are only replaced, so drop them once in a while
+        if (mod_lo.size(this._cache) > 10000) {
+            this._cache = {};
+        }
+
+        this._cache[path] = {
+            acl: acl,
+            expires: Date.now() + this._ttl
+        };
+    }
+}
+
+/**
+ * @type {AclStore}
+ */
+module.exports = AclStore;
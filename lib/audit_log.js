@@ -0,0 +1,221 @@
+/**
+ * @file File containing {@link AuditLog} class definition.
+ */
+'use strict';
+
+let mod_bunyan = require('bunyan');
+let mod_lo = require('lodash');
+let mod_path = require('path');
+
+let S3Actions = require('./s3_actions');
+
+/**
+ * Name of the bunyan logger writing audit entries.
+ * @type {string}
+ * @default
+ */
+const LOGGER_NAME = 's3-manta-bridge-audit';
+
+/**
+ * Entry of the audit trail. Entries are written as bunyan records, so they
+ * also carry the time of the decision.
+ * @typedef {object} AuditEntry
+ * @property {string} stage authentication or authorization
+ * @property {string} decision Allow or Deny
+ * @property {string} reason why the decision was made (eg an error code)
+ * @property {?string} requestId id of the request
+ * @property {?string} accessKey access key that signed the request or null if anonymous
+ * @property {?string} principal access key that issued the session credentials
+ *                               used, or accessKey for other credentials
+ * @property {?string} operation S3 action (eg s3:GetObject) or null if the
+ *                               request failed to authenticate
+ * @property {?string} bucket bucket accessed
+ * @property {?string} key object key accessed
+ * @property {?string} clientIp IP address of the client
+ * @property {string} method HTTP method
+ * @property {string} path requested path
+ */
+
+/**
+ * Append-only audit trail of authentication and authorization decisions,
+ * written to a dedicated bunyan logger so that it is kept apart from the
+ * debug log. Requests that fail to authenticate are recorded with the reason
+ * they were rejected. Every action of an authenticated (or anonymous) request
+ * is then recorded with the decision made by the {@link Authorizer}, so the
+ * successful authentications are recorded along with what they accessed.
+ */
+class AuditLog {
+    /**
+     * Creates a new instance.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {?string} options.auditLog where entries are written: stdout, stderr
+     *                                   or the path of a file, or null to disable auditing
+     * @param {Logger} [log] bunyan logger reporting write errors
+     */
+    constructor(options, log) {
+        /**
+         * Logger writing audit entries or null if auditing is disabled.
+         * @private
+         * @type {?Logger}
+         */
+        this._log = AuditLog._createLogger(options.auditLog);
+
+        if (this._log && log) {
+            this._log.on('error', function auditError(err) {
+                log.error(err, 'Unable to write to the audit log');
+            });
+        }
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Determines if decisions are recorded.
+     *
+     * @returns {boolean} true if auditing is enabled
+     */
+    isEnabled() {
+        return this._log !== null;
+    }
+
+    /**
+     * Records a request that failed to authenticate.
+     *
+     * @param {external:Request} req request object
+     * @param {?string} accessKey access key sent by the client
+     * @param {Error} err authentication error
+     */
+    recordAuthentication(req, accessKey, err) {
+        this._write(req, {
+            stage: 'authentication',
+            decision: 'Deny',
+            reason: err.restCode || err.name,
+            accessKey: accessKey,
+            principal: accessKey,
+            operation: null,
+            bucket: null,
+            key: null
+        });
+    }
+
+    /**
+     * Records the decision made on an action of an authenticated request.
+     *
+     * @param {external:Request} req request object
+     * @param {S3Action} action action performed by the request
+     * @param {string} decision Allow or Deny
+     * @param {string} reason what made the decision: Policy, ACL or
+     *                        AuthenticationDisabled
+     */
+    recordAuthorization(req, action, decision, reason) {
+        let credential = req.credential || null;
+
+        this._write(req, {
+            stage: 'authorization',
+            decision: decision,
+            reason: reason,
+            accessKey: credential ? credential.accessKey : null,
+            principal: credential ? credential.parentAccessKey || credential.accessKey : null,
+            operation: action.action,
+            bucket: action.bucket === '*' ? null : action.bucket,
+            key: action.key
+        });
+    }
+
+    /**
+     * Reopens the audit file, eg after it was moved by logrotate.
+     */
+    reopen() {
+        if (this._log) {
+            this._log.reopenFileStreams();
+        }
+    }
+
+    /**
+     * Flushes and closes the audit file.
+     *
+     * @param {function} callback callback invoked once the entries are written
+     */
+    close(callback) {
+        let streams = this._log ? this._log.streams.filter(function isFile(stream) {
+            return stream.type === 'file';
+        }) : [];
+        let pending = streams.length;
+
+        if (pending === 0) {
+            return setImmediate(callback);
+        }
+
+        streams.forEach(function endStream(stream) {
+            stream.stream.end(function streamEnded() {
+                pending--;
+
+                if (pending === 0) {
+                    callback();
+                }
+            });
+        });
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Writes an entry describing a decision made on the passed request.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {object} decision stage, decision, reason and accessed resource
+     */
+    _write(req, decision) {
+        if (!this._log) {
+            return;
+        }
+
+        let entry = mod_lo.assign({
+            requestId: req.getId ? req.getId() : null,
+            clientIp: S3Actions.clientIp(req),
+            method: req.method,
+            path: req.path()
+        }, decision);
+
+        this._log.info(entry, '%s %s', entry.decision, entry.operation || entry.stage);
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Creates the logger writing audit entries.
+     *
+     * @private
+     * @param {?string} destination stdout, stderr or the path of a file
+     * @returns {?Logger} logger or null if auditing is disabled
+     */
+    static _createLogger(destination) {
+        if (!destination) {
+            return null;
+        }
+
+        let stream;
+
+        if (destination === 'stdout') {
+            stream = { stream: process.stdout };
+        } else if (destination === 'stderr') {
+            stream = { stream: process.stderr };
+        } else {
+            stream = { type: 'file', path: mod_path.resolve(process.cwd(), destination) };
+        }
+
+        stream.level = 'info';
+
+        return mod_bunyan.createLogger({
+            name: LOGGER_NAME,
+            streams: [stream]
+        });
+    }
+}
+
+/**
+ * @type {AuditLog}
+ */
+module.exports = AuditLog;
@@ -0,0 +1,326 @@
+/**
+ * @file File containing {@link AuthDiagnostics} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+let errors = require('./errors');
+let RequestBody = require('./request_body');
+
+/**
+ * Maximum size of a diagnostics settings document in bytes.
+ * @type {integer}
+ * @default
+ */
+const MAX_SETTINGS_SIZE = 20480;
+
+/**
+ * Details of a signature check recorded by the signers on the request as
+ * req.signatureDetails.
+ * @typedef {object} SignatureDetails
+ * @property {integer} signatureVersion 2 or 4
+ * @property {?string} canonicalRequest canonical request (v4 only)
+ * @property {?string} stringToSign string that the server signed
+ * @property {?Array.<string>} signedHeaders headers covered by the signature (v4 only)
+ * @property {?integer} skewMilliseconds difference between the request date and
+ *                                       the server time
+ */
+
+/**
+ * Clients that diagnostics are switched on for.
+ * @typedef {object} AuthDiagnosticsSettings
+ * @property {Array.<string>} accessKeys access keys
+ * @property {Array.<string>} clientIps client IP addresses
+ */
+
+/**
+ * Collects diagnostics about authentication so that misconfigured clients can
+ * be debugged without turning on debug logging for every request. Diagnostics
+ * can be switched on at runtime for access keys and client IP addresses, in
+ * which case the details of the signature checks of their requests are
+ * logged as an authDiagnostics field. The latest failures of every client
+ * are kept in memory for operators to review through an admin endpoint of
+ * the service base:
+ *
+ * - GET /?authDiagnostics returns the settings and the latest failures
+ * - PUT /?authDiagnostics replaces the settings
+ *
+ * Both are reserved to keys with an identity policy allowing the
+ * s3:GetAuthDiagnostics and s3:PutAuthDiagnostics actions.
+ */
+class AuthDiagnostics {
+    /**
+     * Creates a new instance.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {AuthDiagnosticsSettings} [options.authDiagnostics] clients that
+     *                                  diagnostics are initially switched on for
+     * @param {integer} options.authFailureHistorySize number of failures to keep
+     * @param {boolean} options.prettyPrint enable pretty printing of JSON output
+     */
+    constructor(options) {
+        let settings = options.authDiagnostics || {};
+
+        /**
+         * Access keys that diagnostics are switched on for.
+         * @private
+         * @type {Set.<string>}
+         */
+        this._accessKeys = new Set(settings.accessKeys || []);
+
+        /**
+         * Client IP addresses that diagnostics are switched on for.
+         * @private
+         * @type {Set.<string>}
+         */
+        this._clientIps = new Set(settings.clientIps || []);
+
+        /**
+         * Number of failures to keep.
+         * @private
+         * @type {integer}
+         */
+        this._historySize = options.authFailureHistorySize;
+
+        /**
+         * Latest failures, from oldest to newest.
+         * @private
+         * @type {Array.<object>}
+         */
+        this._failures = [];
+
+        /**
+         * Flag indicating that we pretty print JSON output.
+         * @private
+         * @type {boolean}
+         */
+        this._prettyPrint = options.prettyPrint || false;
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Determines if diagnostics are switched on for the passed client.
+     *
+     * @param {?string} accessKey access key sent by the client
+     * @param {?string} clientIp IP address of the client
+     * @returns {boolean} true if the signature checks of the client are logged
+     */
+    isEnabled(accessKey, clientIp) {
+        return this._accessKeys.has(accessKey) || this._clientIps.has(clientIp);
+    }
+
+    /**
+     * Lists the clients that diagnostics are switched on for.
+     *
+     * @returns {AuthDiagnosticsSettings} settings
+     */
+    settings() {
+        return {
+            accessKeys: Array.from(this._accessKeys),
+            clientIps: Array.from(this._clientIps)
+        };
+    }
+
+    /**
+     * Replaces the clients that diagnostics are switched on for.
+     *
+     * @param {AuthDiagnosticsSettings} settings new settings
+     */
+    configure(settings) {
+        this._accessKeys = new Set(settings.accessKeys);
+        this._clientIps = new Set(settings.clientIps);
+    }
+
+    /**
+     * Lists the latest authentication failures.
+     *
+     * @returns {Array.<object>} failures from oldest to newest
+     */
+    failures() {
+        return this._failures.slice();
+    }
+
+    /**
+     * Records the outcome of authenticating a request. Failures are kept for
+     * operators, and the signature check is logged at the info level when
+     * diagnostics are switched on for the client (at the debug level
+     * otherwise).
+     *
+     * @param {external:Request} req request object
+     * @param {?string} accessKey access key sent by the client
+     * @param {?string} clientIp IP address of the client
+     * @param {?Error} err authentication error or null if the request was authenticated
+     */
+    record(req, accessKey, clientIp, err) {
+        let enabled = this.isEnabled(accessKey, clientIp);
+
+        if (!err && !enabled) {
+            return;
+        }
+
+        let entry = AuthDiagnostics._describe(req, accessKey, clientIp, err);
+
+        if (err && this._historySize > 0) {
+            this._failures.push(entry);
+
+            if (this._failures.length > this._historySize) {
+                this._failures.shift();
+            }
+        }
+
+        let msg = err ? 'Authentication failed' : 'Authentication succeeded';
+
+        if (enabled) {
+            req.log.info({ authDiagnostics: entry }, msg);
+        } else {
+            req.log.debug({ authDiagnostics: entry }, msg);
+        }
+    }
+
+    /**
+     * Receives a request via the admin API (GET /?authDiagnostics) and returns
+     * the diagnostics settings along with the latest authentication failures.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    getAuthDiagnostics(req, res, next) {
+        let result = mod_lo.assign(this.settings(), { failures: this.failures() });
+        let body = JSON.stringify(result, null, this._prettyPrint ? 2 : 0);
+
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+
+        return next();
+    }
+
+    /**
+     * Receives a request via the admin API (PUT /?authDiagnostics) and
+     * replaces the clients that diagnostics are switched on for.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    putAuthDiagnostics(req, res, next) {
+        let self = this;
+        let log = req.log;
+
+        RequestBody.read(req, MAX_SETTINGS_SIZE, function settingsRead(err, body) {
+            if (err) {
+                return next(err);
+            }
+
+            let settings;
+
+            try {
+                settings = AuthDiagnostics.parseSettings(body.toString('utf8'));
+            } catch (e) {
+                return next(e);
+            }
+
+            self.configure(settings);
+
+            log.info({ authDiagnostics: settings }, 'Updated authentication diagnostics');
+            res.send(204);
+            return next();
+        });
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Parses a diagnostics settings document.
+     *
+     * @param {string} document JSON document
+     * @returns {AuthDiagnosticsSettings} settings
+     * @throws {Error} InvalidArgument error if the document is invalid
+     */
+    static parseSettings(document) {
+        let parsed;
+
+        try {
+            parsed = JSON.parse(document);
+        } catch (e) {
+            throw new errors.InvalidArgument('Diagnostics settings must be a JSON document');
+        }
+
+        if (!mod_lo.isPlainObject(parsed)) {
+            throw new errors.InvalidArgument('Diagnostics settings must be a JSON object');
+        }
+
+        return {
+            accessKeys: AuthDiagnostics._parseList(parsed, 'accessKeys'),
+            clientIps: AuthDiagnostics._parseList(parsed, 'clientIps')
+        };
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Parses a list of strings of a diagnostics settings document.
+     *
+     * @private
+     * @param {object} settings parsed settings document
+     * @param {string} name name of the list
+     * @returns {Array.<string>} list or an empty list if missing
+     * @throws {Error} InvalidArgument error if the list isn't a list of strings
+     */
+    static _parseList(settings, name) {
+        let list = settings[name];
+
+        if (mod_lo.isNil(list)) {
+            return [];
+        }
+
+        if (!Array.isArray(list) || !list.every(mod_lo.isString)) {
+            throw new errors.InvalidArgument('%s must be a list of strings', name);
+        }
+
+        return list;
+    }
+
+    /**
+     * Describes the authentication of a request.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {?string} accessKey access key sent by the client
+     * @param {?string} clientIp IP address of the client
+     * @param {?Error} err authentication error or null if the request was authenticated
+     * @returns {object} description of the authentication
+     */
+    static _describe(req, accessKey, clientIp, err) {
+        let details = req.signatureDetails || {};
+
+        return {
+            time: new Date().toISOString(),
+            requestId: req.getId ? req.getId() : null,
+            method: req.method,
+            path: req.path(),
+            accessKey: accessKey,
+            clientIp: clientIp,
+            code: err ? err.restCode || err.name : null,
+            message: err ? err.message : null,
+            signatureVersion: details.signatureVersion || null,
+            signedHeaders: details.signedHeaders || null,
+            skewMilliseconds: mod_lo.isNil(details.skewMilliseconds) ?
+                null : details.skewMilliseconds,
+            canonicalRequest: details.canonicalRequest || null,
+            stringToSign: details.stringToSign || null
+        };
+    }
+}
+
+/**
+ * @type {AuthDiagnostics}
+ */
+module.exports = AuthDiagnostics;
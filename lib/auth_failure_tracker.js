@@ -0,0 +1,264 @@
+/**
+ * @file File containing {@link AuthFailureTracker} class definition.
+ */
+'use strict';
+
+let mod_assert = require('assert-plus');
+
+/**
+ * Maximum number of clients tracked at once. Clients that are neither
+ * blocked nor within their failure window are forgotten first.
+ * @type {integer}
+ * @default
+ */
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Block preventing an access key or a client IP address from authenticating.
+ * @typedef {object} AuthFailureBlock
+ * @property {string} type accessKey or clientIp
+ * @property {string} value blocked access key or client IP address
+ * @property {integer} failures number of failed authentications that caused the block
+ * @property {Date} until time after which requests are allowed again
+ */
+
+/**
+ * Tracks failed authentications per access key and per client IP address, so
+ * that signatures can't be guessed as fast as the server answers. Once a key
+ * or an address fails to authenticate too many times within a window, every
+ * request made with it is rejected until the block expires. Failures are
+ * kept in memory, so each bridge instance tracks its own clients.
+ */
+class AuthFailureTracker {
+    /**
+     * Creates a new tracker.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {integer} options.authFailureLimit failed authentications allowed per
+     *                                           window, or 0 to disable blocking
+     * @param {integer} options.authFailureWindowMilliseconds window in which failures are counted
+     * @param {integer} options.authFailureBlockMilliseconds duration of a block
+     * @param {Logger} [log] bunyan logger reporting blocks
+     */
+    constructor(options, log) {
+        mod_assert.number(options.authFailureLimit, 'options.authFailureLimit');
+        mod_assert.number(options.authFailureWindowMilliseconds,
+            'options.authFailureWindowMilliseconds');
+        mod_assert.number(options.authFailureBlockMilliseconds,
+            'options.authFailureBlockMilliseconds');
+
+        /**
+         * Failed authentications allowed per window, or 0 to disable blocking.
+         * @private
+         * @type {integer}
+         */
+        this._limit = options.authFailureLimit;
+
+        /**
+         * Number of milliseconds in which failures are counted.
+         * @private
+         * @type {integer}
+         */
+        this._window = options.authFailureWindowMilliseconds;
+
+        /**
+         * Number of milliseconds that blocks last.
+         * @private
+         * @type {integer}
+         */
+        this._blockDuration = options.authFailureBlockMilliseconds;
+
+        /**
+         * Bunyan logger reporting blocks.
+         * @private
+         * @type {?Logger}
+         */
+        this._log = log || null;
+
+        /**
+         * Failures of each client indexed by type and value (eg clientIp:10.0.0.1).
+         * @private
+         * @type {Map.<string, {type: string, value: string, failures: integer,
+         *                      windowStart: number, blockedUntil: number}>}
+         */
+        this._clients = new Map();
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Finds the block preventing the passed access key or client IP address
+     * from authenticating.
+     *
+     * @param {?string} accessKey access key sent by the client
+     * @param {?string} clientIp IP address of the client
+     * @returns {?AuthFailureBlock} block or null if the client isn't blocked
+     */
+    findBlock(accessKey, clientIp) {
+        let now = Date.now();
+        let self = this;
+        let block = null;
+
+        AuthFailureTracker._clientsOf(accessKey, clientIp).forEach(function checkClient(client) {
+            let entry = self._clients.get(`${client.type}:${client.value}`);
+
+            if (!block && entry && entry.blockedUntil > now) {
+                block = AuthFailureTracker._describe(entry);
+            }
+        });
+
+        return block;
+    }
+
+    /**
+     * Records a failed authentication of the passed access key and client IP
+     * address, and blocks them once they reach the limit.
+     *
+     * @param {?string} accessKey access key sent by the client or null if the
+     *                            failure can't be attributed to a key
+     * @param {?string} clientIp IP address of the client
+     */
+    recordFailure(accessKey, clientIp) {
+        if (this._limit <= 0) {
+            return;
+        }
+
+        let now = Date.now();
+        let self = this;
+
+        AuthFailureTracker._clientsOf(accessKey, clientIp).forEach(function countFailure(client) {
+            let id = `${client.type}:${client.value}`;
+            let entry = self._clients.get(id);
+
+            if (!entry || now - entry.windowStart > self._window) {
+                entry = {
+                    type: client.type,
+                    value: client.value,
+                    failures: 0,
+                    windowStart: now,
+                    blockedUntil: 0
+                };
+
+                self._track(id, entry);
+            }
+
+            entry.failures++;
+
+            if (entry.failures >= self._limit && entry.blockedUntil <= now) {
+                entry.blockedUntil = now + self._blockDuration;
+                self._reportBlock(entry);
+            }
+        });
+    }
+
+    /**
+     * Lists the clients that are currently blocked.
+     *
+     * @returns {Array.<AuthFailureBlock>} active blocks
+     */
+    blocks() {
+        let now = Date.now();
+        let blocks = [];
+
+        this._clients.forEach(function addBlock(entry) {
+            if (entry.blockedUntil > now) {
+                blocks.push(AuthFailureTracker._describe(entry));
+            }
+        });
+
+        return blocks;
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Starts tracking a client, forgetting inactive clients when too many
+     * are tracked.
+     *
+     * @private
+     * @param {string} id type and value of the client
+     * @param {object} entry failures of the client
+     */
+    _track(id, entry) {
+        let now = Date.now();
+        let self = this;
+
+        if (this._clients.size >= MAX_TRACKED_CLIENTS) {
+            this._clients.forEach(function forgetInactive(tracked, trackedId) {
+                if (tracked.blockedUntil <= now && now - tracked.windowStart > self._window) {
+                    self._clients.delete(trackedId);
+                }
+            });
+        }
+
+        // Under a flood of distinct clients, the oldest are forgotten
+        if (this._clients.size >= MAX_TRACKED_CLIENTS) {
+            this._clients.delete(this._clients.keys().next().value);
+        }
+
+        this._clients.set(id, entry);
+    }
+
+    /**
+     * Logs a new block so that operators can investigate it.
+     *
+     * @private
+     * @param {object} entry failures of the blocked client
+     */
+    _reportBlock(entry) {
+        if (!this._log) {
+            return;
+        }
+
+        let block = AuthFailureTracker._describe(entry);
+
+        this._log.warn({ authFailureBlock: block },
+            'Blocking %s [%s] until %s after %d failed authentications',
+            block.type, block.value, block.until.toISOString(), block.failures);
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Lists the clients that a request is attributed to.
+     *
+     * @private
+     * @param {?string} accessKey access key sent by the client
+     * @param {?string} clientIp IP address of the client
+     * @returns {Array.<{type: string, value: string}>} clients of the request
+     */
+    static _clientsOf(accessKey, clientIp) {
+        let clients = [];
+
+        if (accessKey) {
+            clients.push({ type: 'accessKey', value: accessKey });
+        }
+
+        if (clientIp) {
+            clients.push({ type: 'clientIp', value: clientIp });
+        }
+
+        return clients;
+    }
+
+    /**
+     * Describes the block of a client.
+     *
+     * @private
+     * @param {object} entry failures of the blocked client
+     * @returns {AuthFailureBlock} block
+     */
+    static _describe(entry) {
+        return {
+            type: entry.type,
+            value: entry.value,
+            failures: entry.failures,
+            until: new Date(entry.blockedUntil)
+        };
+    }
+}
+
+/**
+ * @type {AuthFailureTracker}
+ */
+module.exports = AuthFailureTracker;
@@ -3,14 +3,51 @@
 let mod_lo = require('lodash');
 let errors = require('./errors');
 
+let ClientAddress = require('./client_address');
+let PostForm = require('./post_form');
+let S3Actions = require('./s3_actions');
+let PostPolicy = require('./post_policy');
 let SignerV2 = require('./signer_v2');
 let SignerV4 = require('./signer_v4');
 
+/**
+ * HTTP methods that anonymous clients may use to read public resources.
+ * @type {Array.<string>}
+ */
+const ANONYMOUS_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Authentication errors counted as failures of the access key that signed
+ * the request. Unknown keys and tokens are only counted against the client
+ * IP address, so that made up keys can't fill the tracker.
+ * @type {Array.<string>}
+ */
+const KEY_FAILURES = ['SignatureDoesNotMatch'];
+
+/**
+ * Authentication errors counted as failures of the client IP address.
+ * @type {Array.<string>}
+ */
+const CLIENT_FAILURES = ['SignatureDoesNotMatch', 'InvalidAccessKeyId', 'InvalidToken'];
+
 /**
  * Class that provides S3 compatible authentication.
  */
 class Authenticator {
-    constructor(options) {
+    /**
+     * Creates a new instance that authenticates requests against the
+     * credentials in the passed store.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {CredentialStore} credentialStore store used to look up secret keys
+     * @param {SessionCredentials} sessionCredentials validator of session credentials
+     * @param {AuthFailureTracker} [failureTracker] tracker blocking clients that
+     *                                              repeatedly fail to authenticate
+     * @param {AuthDiagnostics} [diagnostics] collector of authentication diagnostics
+     * @param {AuditLog} [auditLog] audit trail recording rejected requests
+     */
+    constructor(options, credentialStore, sessionCredentials, failureTracker, diagnostics,
+        auditLog) {
         /**
          * Configuration options loaded when server is started.
          * @private
@@ -18,13 +55,39 @@ class Authenticator {
          */
         this._options = options;
 
-        this._signer2 = new SignerV2(options);
-        this._signer4 = new SignerV4(options);
+        /**
+         * Tracker blocking clients that repeatedly fail to authenticate.
+         * @private
+         * @type {?AuthFailureTracker}
+         */
+        this._failureTracker = failureTracker || null;
+
+        /**
+         * Collector of authentication diagnostics.
+         * @private
+         * @type {?AuthDiagnostics}
+         */
+        this._diagnostics = diagnostics || null;
+
+        /**
+         * Audit trail recording rejected requests.
+         * @private
+         * @type {?AuditLog}
+         */
+        this._auditLog = auditLog || null;
+
+        this._signer2 = new SignerV2(options, credentialStore, sessionCredentials);
+        this._signer4 = new SignerV4(options, credentialStore, sessionCredentials);
+        this._postPolicy = new PostPolicy(credentialStore, sessionCredentials, this._signer4);
     }
 
     /**
      * Authenticates the passed request by choosing the correct authentication
-     * scheme by parsing the request.
+     * scheme by parsing the request. Keys restricted to source IP addresses
+     * are denied when used from any other address. Clients that failed to
+     * authenticate too many times are told to slow down until their block
+     * expires, even when their request is correctly signed. Rejected requests
+     * are recorded in the audit trail.
      *
      * @param {external:Request} req request object
      * @param {external:Response} res response object
@@ -32,13 +95,90 @@ class Authenticator {
      * @returns {*} results of the passed callback
      */
     authenticate(req, res, next) {
+        let self = this;
+        let tracker = this._failureTracker;
+        let clientIp = S3Actions.clientIp(req);
+        let block = tracker ? tracker.findBlock(null, clientIp) : null;
+        let accessKey = null;
+
+        function reply(err) {
+            if (err && self._auditLog) {
+                self._auditLog.recordAuthentication(req, accessKey, err);
+            }
+
+            return next.apply(null, arguments);
+        }
+
+        if (block) {
+            return Authenticator._slowDown(req, res, block, reply);
+        }
+
+        function finish(err) {
+            accessKey = Authenticator._accessKeyOf(req, err);
+
+            if (self._diagnostics) {
+                self._diagnostics.record(req, accessKey, clientIp, err);
+            }
+
+            if (!tracker) {
+                return reply.apply(null, arguments);
+            }
+
+            let keyBlock = tracker.findBlock(accessKey, null);
+
+            if (keyBlock) {
+                Authenticator._discardUpload(req);
+                return Authenticator._slowDown(req, res, keyBlock, reply);
+            }
+
+            if (err && CLIENT_FAILURES.indexOf(err.restCode) >= 0) {
+                let failedKey = KEY_FAILURES.indexOf(err.restCode) >= 0 ? accessKey : null;
+                tracker.recordFailure(failedKey, clientIp);
+            }
+
+            return reply.apply(null, arguments);
+        }
+
+        return this._dispatch(req, res, function authenticated(err) {
+            if (!err && !Authenticator._isAllowedSourceIp(req.credential, clientIp)) {
+                Authenticator._discardUpload(req);
+                return finish(Authenticator._sourceIpDenied(req, clientIp));
+            }
+
+            return finish.apply(null, arguments);
+        });
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Authenticates the passed request with the scheme it was signed with.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} results of the passed callback
+     */
+    _dispatch(req, res, next) {
         if (req.method === 'HEAD' && req.path() === '/') {
             return next();
         }
 
+        // Presigned URLs carry their credentials as query parameters
+        if (SignerV4.isPresigned(req)) {
+            return this._signer4.authenticate(req, res, next);
+        } else if (SignerV2.isPresigned(req)) {
+            return this._signer2.authenticate(req, res, next);
+        }
+
+        // Browser form uploads carry their credentials in the form
+        if (!req.headers.authorization && PostForm.isFormUpload(req)) {
+            return this._postPolicy.authenticate(req, res, next);
+        }
+
         if (!req.headers.authorization) {
-            let msg = 'Anonymous access is forbidden for this operation';
-            return next(new errors.AccessDenied(msg));
+            return this._authenticateAnonymous(req, res, next);
         }
 
         // Match based on authorization header received
@@ -59,6 +199,110 @@ class Authenticator {
 
         return next(badAuthErr);
     }
+
+    /**
+     * Lets unsigned reads through as anonymous requests, so that they can be
+     * authorized against the ACLs and policies of the resources they read.
+     * Every other unsigned request is denied.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} results of the passed callback
+     */
+    _authenticateAnonymous(req, res, next) {
+        if (ANONYMOUS_METHODS.indexOf(req.method) < 0) {
+            let msg = 'Anonymous access is forbidden for this operation';
+            return next(new errors.AccessDenied(msg));
+        }
+
+        req.anonymous = true;
+        return next();
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Finds the access key that a request was signed with.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {?Error} err authentication error if the request was rejected
+     * @returns {?string} access key or null if the request wasn't signed
+     */
+    static _accessKeyOf(req, err) {
+        if (err && err.additional && err.additional.AWSAccessKeyId) {
+            return err.additional.AWSAccessKeyId;
+        }
+
+        return req.credential ? req.credential.accessKey : null;
+    }
+
+    /**
+     * Determines if a credential may be used from the passed address.
+     *
+     * @private
+     * @param {?Credential} credential credential that signed the request
+     * @param {?string} clientIp IP address of the client
+     * @returns {boolean} true if the credential isn't restricted to other addresses
+     */
+    static _isAllowedSourceIp(credential, clientIp) {
+        if (!credential || mod_lo.isEmpty(credential.allowedSourceIps)) {
+            return true;
+        }
+
+        return ClientAddress.matchesAny(clientIp, credential.allowedSourceIps);
+    }
+
+    /**
+     * Builds the error denying a key used from an address outside of its
+     * allowlist.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {?string} clientIp IP address of the client
+     * @returns {Error} AccessDenied error
+     */
+    static _sourceIpDenied(req, clientIp) {
+        let accessKey = req.credential.accessKey;
+
+        req.log.debug('Access key [%s] is not allowed from [%s]', accessKey, clientIp);
+
+        return new errors.AccessDenied('Access key is not allowed from this IP address');
+    }
+
+    /**
+     * Drains the file of a rejected browser form upload, so that the
+     * connection isn't left waiting for it to be read.
+     *
+     * @private
+     * @param {external:Request} req request object
+     */
+    static _discardUpload(req) {
+        if (req.postForm && req.postForm.file) {
+            req.postForm.file.stream.resume();
+        }
+    }
+
+    /**
+     * Rejects a request from a blocked client.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {AuthFailureBlock} block block of the client
+     * @param {restifyCallback} next callback
+     * @returns {*} results of the passed callback
+     */
+    static _slowDown(req, res, block, next) {
+        let retryAfter = Math.max(1, Math.ceil((block.until.getTime() - Date.now()) / 1000));
+
+        req.log.debug({ authFailureBlock: block }, 'Rejecting request from blocked client');
+        res.setHeader('Retry-After', String(retryAfter));
+
+        return next(errors.SlowDown());
+    }
 }
 
 module.exports = Authenticator;
\ No newline at end of file
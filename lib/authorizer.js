@@ -0,0 +1,381 @@
+/**
+ * @file File containing {@link Authorizer} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+let AccessControlList = require('./access_control_list');
+let errors = require('./errors');
+let PolicyEvaluator = require('./policy_evaluator');
+let S3Actions = require('./s3_actions');
+
+/**
+ * Class providing authorization of requests against identity policies,
+ * bucket policies and the ACLs of buckets and objects. It runs after a
+ * request has been authenticated and preprocessed, and before it is routed,
+ * so that denied requests never reach Manta.
+ */
+class Authorizer {
+    /**
+     * Creates a new instance.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {MantaClientPool} mantaClientPool pool of Manta clients per Manta identity
+     * @param {BucketPolicyStore} policyStore store containing bucket policies
+     * @param {AclStore} aclStore store containing bucket and object ACLs
+     * @param {AuditLog} [auditLog] audit trail recording authorization decisions
+     */
+    constructor(options, mantaClientPool, policyStore, aclStore, auditLog) {
+        /**
+         * Configuration options loaded when server is started.
+         * @private
+         * @type {Object}
+         */
+        this._options = options;
+
+        /**
+         * Pool of Manta clients per Manta identity.
+         * @private
+         * @type {MantaClientPool}
+         */
+        this._mantaClientPool = mantaClientPool;
+
+        /**
+         * Store containing bucket policies.
+         * @private
+         * @type {BucketPolicyStore}
+         */
+        this._policyStore = policyStore;
+
+        /**
+         * Store containing bucket and object ACLs.
+         * @private
+         * @type {AclStore}
+         */
+        this._aclStore = aclStore;
+
+        /**
+         * Audit trail recording authorization decisions.
+         * @private
+         * @type {?AuditLog}
+         */
+        this._auditLog = auditLog || null;
+    }
+
+    /**
+     * Authorizes the passed request by evaluating the identity policy of the
+     * credential that signed it, the policies of the buckets it accesses and
+     * the ACLs of the resources it accesses. A request is denied when any
+     * statement explicitly denies one of the actions it performs, and allowed
+     * when a statement explicitly allows it. Credentials with an identity
+     * policy are limited to the actions that their identity policy or a
+     * bucket policy allows, and session credentials are further limited to
+     * what their session policy allows. Everything else, including anonymous
+     * requests, is decided by the ACLs. The decision made on every action is
+     * recorded in the audit trail.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} results of the passed callback
+     */
+    authorize(req, res, next) {
+        let self = this;
+        let actions = S3Actions.forRequest(req);
+        let context = S3Actions.conditionContext(req);
+        let credential = req.credential || null;
+
+        // Nothing but policy denials applies when authentication is disabled
+        let enforceAcls = Boolean(credential) || req.anonymous === true;
+
+        this._loadPolicies(req, actions, function policiesLoaded(err, policies) {
+            if (err) {
+                return next(err);
+            }
+
+            function checkNext(i) {
+                if (i >= actions.length) {
+                    return next();
+                }
+
+                let action = actions[i];
+                let decision = Authorizer._decide(action, policies[action.bucket],
+                    credential, context);
+
+                if (decision === 'Deny') {
+                    self._audit(req, action, 'Deny', 'Policy');
+                    return next(Authorizer._accessDenied(req, action));
+                }
+
+                if (decision === 'Allow' || !enforceAcls) {
+                    self._audit(req, action, 'Allow',
+                        decision === 'Allow' ? 'Policy' : 'AuthenticationDisabled');
+                    return checkNext(i + 1);
+                }
+
+                self._isAllowedByAcl(req, action, function aclChecked(err, allowed) {
+                    if (err) {
+                        return next(new errors.InternalError(err));
+                    }
+
+                    self._audit(req, action, allowed ? 'Allow' : 'Deny', 'ACL');
+
+                    if (!allowed) {
+                        return next(Authorizer._accessDenied(req, action));
+                    }
+
+                    return checkNext(i + 1);
+                });
+            }
+
+            return checkNext(0);
+        });
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Records the decision made on an action in the audit trail.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {S3Action} action action performed by the request
+     * @param {string} decision Allow or Deny
+     * @param {string} reason what made the decision
+     */
+    _audit(req, action, decision, reason) {
+        if (this._auditLog) {
+            this._auditLog.recordAuthorization(req, action, decision, reason);
+        }
+    }
+
+    /**
+     * Determines if the ACL of the bucket or object accessed by an action
+     * grants the permission that the action needs to the requester.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {S3Action} action action performed by the request
+     * @param {function} callback callback invoked with an error or a flag
+     *                            indicating if the action is allowed
+     */
+    _isAllowedByAcl(req, action, callback) {
+        let aclStore = this._aclStore;
+        let requirement = AccessControlList.requiredPermission(action.action);
+        let principal = AccessControlList.principalFor(req.credential);
+        let mantaClient;
+
+        // Admin endpoints require an identity policy explicitly allowing them
+        if (S3Actions.isAdminAction(action.action)) {
+            return setImmediate(callback, null, false);
+        }
+
+        // Creating and listing buckets is only restricted to authenticated clients
+        if (!requirement || action.bucket === '*') {
+            return setImmediate(callback, null, principal.id !== null);
+        }
+
+        try {
+            mantaClient = this._mantaClientPool.clientFor(req.credential);
+        } catch (err) {
+            return setImmediate(callback, err);
+        }
+
+        if (requirement.target === 'bucket' || action.key === null) {
+            return aclStore.loadBucketAcl(mantaClient, req.bucketPath, action.bucket,
+                function bucketAclLoaded(err, acl) {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    return callback(null,
+                        Authorizer._aclPermits(acl, principal, requirement.permission));
+                });
+        }
+
+        let mantaPath = `${req.bucketPath}/${action.bucket}/${action.key}`;
+
+        aclStore.loadObjectAcl(mantaClient, mantaPath, function objectAclLoaded(err, acl, found) {
+            if (err) {
+                return callback(err);
+            }
+
+            // Authenticated clients are told that the object doesn't exist
+            if (!found) {
+                return callback(null, principal.id !== null);
+            }
+
+            return callback(null, Authorizer._aclPermits(acl, principal, requirement.permission));
+        });
+    }
+
+    /**
+     * Loads the policies of every bucket accessed by the passed actions.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {Array.<S3Action>} actions actions performed by the request
+     * @param {function} callback callback invoked with an error or the
+     *                            policies indexed by bucket name
+     */
+    _loadPolicies(req, actions, callback) {
+        let policyStore = this._policyStore;
+        let buckets = mod_lo.uniq(mod_lo.map(actions, 'bucket'));
+        buckets = buckets.filter(function isBucket(bucket) {
+            return bucket !== '*' && !mod_lo.isEmpty(bucket);
+        });
+        let policies = {};
+        let mantaClient;
+
+        if (buckets.length === 0) {
+            return setImmediate(callback, null, policies);
+        }
+
+        try {
+            mantaClient = this._mantaClientPool.clientFor(req.credential);
+        } catch (err) {
+            return setImmediate(callback, new errors.InternalError(err));
+        }
+
+        function loadNext(i) {
+            if (i >= buckets.length) {
+                return callback(null, policies);
+            }
+
+            let bucket = buckets[i];
+
+            policyStore.load(mantaClient, req.bucketPath, bucket, function loadPolicy(err, policy) {
+                if (err) {
+                    return callback(new errors.InternalError(err));
+                }
+
+                policies[bucket] = policy;
+                return loadNext(i + 1);
+            });
+        }
+
+        return loadNext(0);
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Decides an action using the identity policy of the credential, the
+     * policy of the bucket and the session policy of session credentials.
+     * Sessions act as the credential that issued them.
+     *
+     * @private
+     * @param {S3Action} action action performed by the request
+     * @param {?object} bucketPolicy policy of the bucket or null if it has none
+     * @param {?Credential} credential credential that signed the request
+     * @param {object.<string, string>} context condition keys and values
+     * @returns {?string} Allow or Deny, or null if the ACLs decide
+     */
+    static _decide(action, bucketPolicy, credential, context) {
+        let principal = null;
+
+        if (credential) {
+            principal = credential.parentAccessKey || credential.accessKey;
+        }
+
+        let request = Authorizer._policyRequest(action, principal, context);
+
+        let identityPolicy = credential ? credential.policy : null;
+        let bucketDecision = bucketPolicy ?
+            PolicyEvaluator.evaluate(bucketPolicy, request) : null;
+
+        if (bucketDecision === 'Deny') {
+            return 'Deny';
+        }
+
+        let sessionPolicy = credential ? credential.sessionPolicy : null;
+
+        if (sessionPolicy && PolicyEvaluator.evaluate(sessionPolicy, request) !== 'Allow') {
+            return 'Deny';
+        }
+
+        if (!identityPolicy) {
+            return bucketDecision === 'Allow' ? 'Allow' : null;
+        }
+
+        let identityDecision = PolicyEvaluator.evaluate(identityPolicy, request);
+
+        if (identityDecision === 'Deny') {
+            return 'Deny';
+        }
+
+        return identityDecision === 'Allow' || bucketDecision === 'Allow' ? 'Allow' : 'Deny';
+    }
+
+    /**
+     * Determines if an ACL grants a permission to the requester. Resources
+     * without an ACL or without an owner were created before ACLs were
+     * stored (or while authentication was disabled), so they only restrict
+     * anonymous requests.
+     *
+     * @private
+     * @param {?Acl} acl ACL of the resource or null if it has none
+     * @param {AclPrincipal} principal requester
+     * @param {?string} permission permission needed or null if only the owner is allowed
+     * @returns {boolean} true if the permission is granted
+     */
+    static _aclPermits(acl, principal, permission) {
+        let authenticated = principal.id !== null;
+
+        if (!acl || !acl.owner) {
+            if (authenticated) {
+                return true;
+            }
+
+            return Boolean(acl) && permission !== null &&
+                AccessControlList.permits(acl, principal, permission);
+        }
+
+        if (permission === null) {
+            return acl.owner.id === principal.id;
+        }
+
+        return AccessControlList.permits(acl, principal, permission);
+    }
+
+    /**
+     * Builds the request that policies are evaluated against.
+     *
+     * @private
+     * @param {S3Action} action action performed by the request
+     * @param {?string} principal access key that made the request or null if anonymous
+     * @param {object.<string, string>} context condition keys and values
+     * @returns {object} request to evaluate policies against
+     */
+    static _policyRequest(action, principal, context) {
+        return {
+            principal: principal,
+            action: action.action,
+            resource: action.resource,
+            context: context
+        };
+    }
+
+    /**
+     * Builds the error sent when an action is denied.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {S3Action} action denied action
+     * @returns {Error} AccessDenied error
+     */
+    static _accessDenied(req, action) {
+        let credential = req.credential;
+
+        req.log.debug('Access denied to %s on %s for [%s]', action.action,
+            action.resource, credential ? credential.accessKey : null);
+
+        return new errors.AccessDenied('Access Denied');
+    }
+}
+
+/**
+ * @type {Authorizer}
+ */
+module.exports = Authorizer;
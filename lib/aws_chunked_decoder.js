@@ -0,0 +1,404 @@
+/**
+ * @file File containing {@link AwsChunkedDecoder} class definition.
+ */
+'use strict';
+
+let mod_crypto = require('crypto');
+
+let errors = require('./errors');
+let VerifyingStream = require('./verifying_stream');
+
+/**
+ * Value of the x-amz-content-sha256 header sent with chunked uploads.
+ * @type {string}
+ * @default
+ */
+const STREAMING_PAYLOAD = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD';
+
+/**
+ * Algorithm line of the string to sign for each chunk.
+ * @type {string}
+ * @default
+ */
+const CHUNK_SIGNATURE_PREFIX = 'AWS4-HMAC-SHA256-PAYLOAD';
+
+/**
+ * Constant checksum for an empty HTTP body.
+ * @type {string}
+ * @default
+ */
+const EMPTY_BODY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+/**
+ * Maximum length of a chunk header line (size;chunk-signature=...).
+ * @type {number}
+ * @default
+ */
+const MAX_HEADER_LENGTH = 4096;
+
+/**
+ * Maximum size of a single chunk. Chunk data is held in memory until its
+ * signature is verified, so larger chunks are rejected.
+ * @type {number}
+ * @default
+ */
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+
+const STATE_HEADER = 'header';
+const STATE_DATA = 'data';
+const STATE_TRAILER = 'trailer';
+const STATE_DONE = 'done';
+
+/**
+ * Transform stream that decodes a body sent with Content-Encoding: aws-chunked.
+ * The chunk framing (chunk sizes and per-chunk signatures) is stripped so that
+ * only the object data is passed downstream. Each chunk signature is verified
+ * against the previous signature in the chain starting with the seed signature
+ * from the authorization header, and the data of a chunk is only passed
+ * downstream once its signature has been verified. Without a signing context
+ * (eg when authentication is disabled) the framing is stripped without
+ * verifying the chunk signatures.
+ *
+ * @see {@link http://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html |
+ *      AWS chunked upload documentation}
+ */
+class AwsChunkedDecoder extends VerifyingStream {
+    /**
+     * Creates a new decoder instance.
+     *
+     * @param {?object} signing signing context from {@link SignerV4}, when not
+     *                          present chunk signatures are not verified
+     * @param {string} signing.accessKey S3 access key that signed the request
+     * @param {string} signing.date ISO8601 date string the request was signed with
+     * @param {string} signing.scope credential scope (date/region/service/aws4_request)
+     * @param {string} signing.seedSignature signature from the authorization header
+     * @param {Buffer} signing.signingKey key derived from the secret key
+     * @param {number} [decodedLength] expected number of bytes after decoding
+     */
+    constructor(signing, decodedLength) {
+        super();
+
+        /**
+         * Signing context used to verify chunk signatures.
+         * @private
+         * @type {?object}
+         */
+        this._signing = signing || null;
+
+        /**
+         * Signature of the previous chunk (or the seed signature).
+         * @private
+         * @type {?string}
+         */
+        this._previousSignature = signing ? signing.seedSignature : null;
+
+        /**
+         * Expected number of bytes after decoding.
+         * @private
+         * @type {?number}
+         */
+        this._expectedLength = decodedLength >= 0 ? decodedLength : null;
+
+        /**
+         * Number of bytes decoded so far.
+         * @private
+         * @type {number}
+         */
+        this._decodedLength = 0;
+
+        // Parser state for the chunk currently being decoded
+        this._state = STATE_HEADER;
+        this._header = '';
+        this._chunkSize = 0;
+        this._chunkSignature = null;
+        this._remaining = 0;
+        this._trailerRemaining = 0;
+        this._hash = null;
+
+        /**
+         * Data of the chunk being read, held until its signature is verified.
+         * @private
+         * @type {Array.<Buffer>}
+         */
+        this._chunkData = [];
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Value of the x-amz-content-sha256 header that indicates a chunked upload.
+     * @return {string} constant string value of 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD'
+     */
+    static payloadHash() {
+        return STREAMING_PAYLOAD;
+    }
+
+    /**
+     * Determines if the passed request is sending its body using aws-chunked
+     * encoding.
+     *
+     * @param {external:Request} req request object
+     * @returns {boolean} true if the body is aws-chunked encoded
+     */
+    static isChunkedUpload(req) {
+        return req.headers['x-amz-content-sha256'] === STREAMING_PAYLOAD;
+    }
+
+    ///--- PRIVATE METHODS
+
+    _transform(chunk, encoding, cb) {
+        if (this._failed) {
+            return cb();
+        }
+
+        let offset = 0;
+
+        while (offset < chunk.length) {
+            let result;
+
+            if (this._state === STATE_HEADER) {
+                result = this._readHeader(chunk, offset);
+            } else if (this._state === STATE_DATA) {
+                result = this._readData(chunk, offset);
+            } else if (this._state === STATE_TRAILER) {
+                result = this._readTrailer(chunk, offset);
+            } else {
+                // Anything after the final chunk is ignored
+                result = { offset: chunk.length, err: null };
+            }
+
+            if (result.err) {
+                return this._fail(result.err, cb);
+            }
+
+            offset = result.offset;
+        }
+
+        return cb();
+    }
+
+    _flush(cb) {
+        if (this._failed) {
+            return cb();
+        }
+
+        if (this._state !== STATE_DONE) {
+            return this._fail(new errors.IncompleteBody(
+                'The request body terminated before the final chunk'), cb);
+        }
+
+        if (this._expectedLength !== null && this._expectedLength !== this._decodedLength) {
+            return this._fail(new errors.IncompleteBody(
+                'You did not provide the number of bytes specified by the ' +
+                'x-amz-decoded-content-length HTTP header'), cb);
+        }
+
+        return cb();
+    }
+
+    /**
+     * Reads the chunk header line from the passed data, and parses it once
+     * the whole line has been read.
+     *
+     * @private
+     * @param {Buffer} chunk data received
+     * @param {integer} offset position of the header in the data
+     * @returns {{offset: integer, err: ?Error}} position after what was read
+     *          and error if the header was invalid
+     */
+    _readHeader(chunk, offset) {
+        let newline = chunk.indexOf('\n', offset);
+        let end = newline < 0 ? chunk.length : newline + 1;
+
+        this._header += chunk.toString('binary', offset, end);
+
+        if (newline >= 0) {
+            return { offset: end, err: this._parseHeader() };
+        }
+
+        if (this._header.length > MAX_HEADER_LENGTH) {
+            return {
+                offset: end,
+                err: new errors.IncompleteBody('Chunk header exceeded the maximum length')
+            };
+        }
+
+        return { offset: end, err: null };
+    }
+
+    /**
+     * Reads chunk data from the passed data. The data of a chunk is held
+     * until the whole chunk has been read and its signature verified.
+     *
+     * @private
+     * @param {Buffer} chunk data received
+     * @param {integer} offset position of the chunk data in the data
+     * @returns {{offset: integer, err: ?Error}} position after what was read
+     *          and error if the chunk signature didn't match
+     */
+    _readData(chunk, offset) {
+        let length = Math.min(this._remaining, chunk.length - offset);
+        let data = chunk.slice(offset, offset + length);
+
+        this._hash.update(data);
+        this._chunkData.push(data);
+        this._remaining -= length;
+        this._decodedLength += length;
+
+        return {
+            offset: offset + length,
+            err: this._remaining === 0 ? this._endChunk() : null
+        };
+    }
+
+    /**
+     * Reads the CRLF terminating chunk data from the passed data.
+     *
+     * @private
+     * @param {Buffer} chunk data received
+     * @param {integer} offset position of the terminator in the data
+     * @returns {{offset: integer, err: ?Error}} position after what was read
+     *          and error if the chunk wasn't terminated by CRLF
+     */
+    _readTrailer(chunk, offset) {
+        let expected = this._trailerRemaining === 2 ? 0x0d : 0x0a;
+        let err = null;
+
+        if (chunk[offset] !== expected) {
+            err = new errors.IncompleteBody('Chunk data was not terminated by CRLF');
+        }
+
+        this._trailerRemaining--;
+
+        if (this._trailerRemaining === 0) {
+            this._state = this._chunkSize === 0 ? STATE_DONE : STATE_HEADER;
+        }
+
+        return { offset: offset + 1, err: err };
+    }
+
+    /**
+     * Parses the chunk header line read so far and readies the decoder to
+     * read the chunk data.
+     *
+     * @private
+     * @returns {?Error} error if the header couldn't be parsed
+     */
+    _parseHeader() {
+        let line = this._header.replace(/\r?\n$/, '');
+        let match = /^([0-9a-fA-F]+);chunk-signature=([0-9a-fA-F]+)$/.exec(line);
+
+        this._header = '';
+
+        if (!match) {
+            return new errors.IncompleteBody('Invalid chunk header: %s', line);
+        }
+
+        this._chunkSize = parseInt(match[1], 16);
+
+        if (this._chunkSize > MAX_CHUNK_SIZE) {
+            return new errors.IncompleteBody(
+                'Chunk size exceeded the maximum of %d bytes', MAX_CHUNK_SIZE);
+        }
+
+        this._chunkSignature = match[2];
+        this._remaining = this._chunkSize;
+        this._hash = mod_crypto.createHash('sha256');
+        this._state = STATE_DATA;
+
+        return this._chunkSize === 0 ? this._endChunk() : null;
+    }
+
+    /**
+     * Verifies the signature of the chunk that was just read, passes its data
+     * downstream and readies the decoder to read the CRLF that follows the
+     * chunk data.
+     *
+     * @private
+     * @returns {?Error} error if the chunk signature didn't match
+     */
+    _endChunk() {
+        let chunkHash = this._hash.digest('hex');
+        let data = this._chunkData;
+
+        this._state = STATE_TRAILER;
+        this._trailerRemaining = 2;
+        this._chunkData = [];
+
+        let err = this._signing ? this._verifyChunk(chunkHash) : null;
+
+        if (err) {
+            return err;
+        }
+
+        if (data.length > 0) {
+            this.push(Buffer.concat(data));
+        }
+
+        return null;
+    }
+
+    /**
+     * Verifies the signature of the chunk that was just read against the
+     * signature of the previous chunk.
+     *
+     * @private
+     * @param {string} chunkHash SHA256 hash as hex string of the chunk data
+     * @returns {?Error} error if the chunk signature didn't match
+     */
+    _verifyChunk(chunkHash) {
+        let stringToSign = AwsChunkedDecoder._buildStringToSign(this._signing.date,
+            this._signing.scope, this._previousSignature, chunkHash);
+        let hmac = mod_crypto.createHmac('sha256', this._signing.signingKey);
+        hmac.update(stringToSign, 'utf8');
+        let signature = hmac.digest('hex');
+
+        if (signature !== this._chunkSignature) {
+            return new errors.SignatureDoesNotMatch(
+                'The request signature we calculated does not match the signature ' +
+                'you provided. Check your key and signing method.',
+                this._signing.accessKey,
+                stringToSign,
+                this._chunkSignature
+            );
+        }
+
+        this._previousSignature = signature;
+
+        return null;
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Creates the string that is signed for a single chunk.
+     *
+     * @private
+     * @param {string} iso8601Date date string the request was signed with
+     * @param {string} scope credential scope (date/region/service/aws4_request)
+     * @param {string} previousSignature signature of the previous chunk
+     * @param {string} chunkHash SHA256 hash as hex string of the chunk data
+     * @returns {string} string that is signed to create the chunk signature
+     */
+    static _buildStringToSign(iso8601Date, scope, previousSignature, chunkHash) {
+        let stringToSign = '';
+        stringToSign += CHUNK_SIGNATURE_PREFIX;
+        stringToSign += '\n';
+        stringToSign += iso8601Date;
+        stringToSign += '\n';
+        stringToSign += scope;
+        stringToSign += '\n';
+        stringToSign += previousSignature;
+        stringToSign += '\n';
+        stringToSign += EMPTY_BODY_HASH;
+        stringToSign += '\n';
+        stringToSign += chunkHash;
+
+        return stringToSign;
+    }
+}
+
+/**
+ * @type {AwsChunkedDecoder}
+ */
+module.exports = AwsChunkedDecoder;
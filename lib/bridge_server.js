@@ -10,9 +10,19 @@ let mod_lo = require('lodash');
 ///--- Globals
 
 let xmlFormatter = require('./xml_formatter');
-let MantaClientFactory = require('./manta_client');
+let MantaClientPool = require('./manta_client_pool');
 let Routes = require('./routes');
+let AuditLog = require('./audit_log');
+let AuthDiagnostics = require('./auth_diagnostics');
+let AuthFailureTracker = require('./auth_failure_tracker');
 let Authenticator = require('./authenticator');
+let Authorizer = require('./authorizer');
+let ClientAddress = require('./client_address');
+let AclStore = require('./acl_store');
+let BucketPolicyStore = require('./bucket_policy_store');
+let CredentialStoreFactory = require('./credential_store_factory');
+let ProxyProtocol = require('./proxy_protocol');
+let SessionCredentials = require('./session_credentials');
 let Utils = require('./utils');
 let apiVersion = require('../package.json').version;
 
@@ -54,9 +64,21 @@ class BridgeServer {
     constructor(options, log) {
         BridgeServer.validateOptions(options);
 
-        let mantaClient = MantaClientFactory.create(options);
-        let router = new Routes(options, mantaClient);
-        let authenticator = new Authenticator(options);
+        let mantaClientPool = new MantaClientPool(options);
+        let policyStore = new BucketPolicyStore(options);
+        let aclStore = new AclStore(options);
+        let credentialStore = CredentialStoreFactory.create(options, log);
+        let sessionCredentials = new SessionCredentials(options, credentialStore);
+        let authDiagnostics = new AuthDiagnostics(options);
+        let router = new Routes(options, mantaClientPool, policyStore, aclStore,
+            sessionCredentials, authDiagnostics);
+        let failureTracker = new AuthFailureTracker(options, log);
+        let auditLog = new AuditLog(options, log);
+        let authenticator = new Authenticator(options, credentialStore, sessionCredentials,
+            failureTracker, authDiagnostics, auditLog);
+        let authorizer = new Authorizer(options, mantaClientPool, policyStore, aclStore,
+            auditLog);
+        let clientAddress = new ClientAddress(options);
 
         let server = mod_restify.createServer({
             name: 's3-manta-bridge',
@@ -71,6 +93,9 @@ class BridgeServer {
         server.use(mod_restify.acceptParser(server.acceptable));
         server.use(mod_restify.requestLogger());
 
+        // Client addresses are resolved before they are logged or checked
+        server.use(clientAddress.resolve.bind(clientAddress));
+
         if (options.authEnabled !== false) {
             server.use(authenticator.authenticate.bind(authenticator));
         }
@@ -108,6 +133,9 @@ class BridgeServer {
 
             req.paths = Utils.splitFirstDirectory(req.sanitizedPath);
 
+            // Buckets are resolved within the namespace of the authenticated tenant
+            req.bucketPath = Utils.bucketPathFor(options, req.credential);
+
             log.debug(`${req.method} http://${req.headers.host}${req.url}`);
 
             // Emulate S3 Server header
@@ -117,10 +145,28 @@ class BridgeServer {
             return next();
         });
 
+        // Policies are evaluated against the preprocessed bucket and path
+        server.use(authorizer.authorize.bind(authorizer));
+
         /* Pass these variables in the global config so that it is universally
          * available from within all handlers. */
         server.options = options;
-        server.options.mantaClient = mantaClient;
+        server.options.mantaClient = mantaClientPool.defaultClient;
+        server.options.mantaClientPool = mantaClientPool;
+
+        // Credentials can be reloaded without restarting the server
+        server.credentialStore = credentialStore;
+
+        // Clients blocked after failing to authenticate can be listed by operators
+        server.authFailureTracker = failureTracker;
+
+        // The audit file is reopened on SIGHUP and flushed on shutdown
+        server.auditLog = auditLog;
+
+        // Load balancers may pass the client address in a PROXY protocol header
+        if (options.proxyProtocol) {
+            ProxyProtocol.accept(server.server, log);
+        }
 
         /* ES6 syntax to pass a instance method: Instance.Method.bind(instance)
          * If anyone knows a less strange way to pass this, please do that because
@@ -144,6 +190,11 @@ class BridgeServer {
     static validateOptions(options) {
         mod_assert.object(options, 'options');
 
+        // Keys are loaded from the credential store when one is configured
+        if (!mod_lo.isEmpty(options.credentialStore)) {
+            return;
+        }
+
         if (mod_lo.isEmpty(options.accessKey)) {
             throw new Error('AWS access key is required');
         }
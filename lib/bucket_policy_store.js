@@ -0,0 +1,208 @@
+/**
+ * @file File containing {@link BucketPolicyStore} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+let mod_stream = require('stream');
+
+let PolicyEvaluator = require('./policy_evaluator');
+
+/**
+ * Callback invoked when a bucket policy has been loaded.
+ * @callback policyCallback
+ * @param {?Error} err error if the policy could not be loaded
+ * @param {?object} policy parsed policy document or null if the bucket has no policy
+ */
+
+/**
+ * Stores bucket policies in Manta and caches them in memory. A policy is
+ * stored as a hidden file next to the bucket directory (eg the policy of
+ * bucket foo is stored in .foo.policy.json). S3 bucket names can't start with
+ * a period, so these files never collide with buckets and they aren't listed
+ * as buckets because bucket listings only contain directories.
+ */
+class BucketPolicyStore {
+    /**
+     * Creates a new store.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {integer} options.policyCacheTtlMilliseconds number of milliseconds to cache policies
+     */
+    constructor(options) {
+        /**
+         * Number of milliseconds that policies are cached for.
+         * @private
+         * @type {integer}
+         */
+        this._ttl = options.policyCacheTtlMilliseconds;
+
+        /**
+         * Cached policies indexed by the Manta path of the policy.
+         * @private
+         * @type {object.<string, {policy: ?object, expires: number}>}
+         */
+        this._cache = {};
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Loads the policy of a bucket.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to read the policy with
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @param {policyCallback} callback callback invoked with the policy
+     */
+    load(mantaClient, bucketPath, bucket, callback) {
+        let self = this;
+        let path = BucketPolicyStore.policyPath(bucketPath, bucket);
+        let cached = this._cache[path];
+
+        if (cached && cached.expires > Date.now()) {
+            return setImmediate(callback, null, cached.policy);
+        }
+
+        mantaClient.get(path, function getPolicy(err, stream) {
+            if (err) {
+                if (err.statusCode === 404) {
+                    self._cachePolicy(path, null);
+                    return callback(null, null);
+                }
+
+                return callback(err);
+            }
+
+            let chunks = [];
+
+            stream.on('data', function policyData(chunk) {
+                chunks.push(chunk);
+            });
+
+            stream.once('error', callback);
+
+            stream.once('end', function policyEnd() {
+                let policy;
+
+                try {
+                    policy = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    return callback(e);
+                }
+
+                self._cachePolicy(path, policy);
+                return callback(null, policy);
+            });
+        });
+    }
+
+    /**
+     * Validates and saves the policy of a bucket.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to write the policy with
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @param {string} text JSON policy document
+     * @param {function} callback callback invoked with an error if the policy is
+     *                            invalid or could not be saved
+     */
+    save(mantaClient, bucketPath, bucket, text, callback) {
+        let self = this;
+        let path = BucketPolicyStore.policyPath(bucketPath, bucket);
+        let policy;
+
+        try {
+            policy = PolicyEvaluator.parse(text, {
+                principalRequired: true,
+                resourceBucket: bucket
+            });
+        } catch (err) {
+            return setImmediate(callback, err);
+        }
+
+        let body = new Buffer(text, 'utf8');
+        let input = new mod_stream.PassThrough();
+        input.end(body);
+
+        let opts = {
+            size: body.length,
+            type: 'application/json'
+        };
+
+        mantaClient.put(path, input, opts, function putPolicy(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            self._cachePolicy(path, policy);
+            return callback();
+        });
+    }
+
+    /**
+     * Removes the policy of a bucket.
+     *
+     * @param {external:MantaClient} mantaClient Manta client to remove the policy with
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @param {function} callback callback invoked with an error and a flag
+     *                            indicating if a policy was removed
+     */
+    remove(mantaClient, bucketPath, bucket, callback) {
+        let self = this;
+        let path = BucketPolicyStore.policyPath(bucketPath, bucket);
+
+        mantaClient.unlink(path, function unlinkPolicy(err) {
+            if (err && err.statusCode !== 404) {
+                return callback(err);
+            }
+
+            self._cachePolicy(path, null);
+            return callback(null, !err);
+        });
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Builds the Manta path of the policy of a bucket.
+     *
+     * @param {string} bucketPath path to the Manta directory containing buckets
+     * @param {string} bucket bucket name
+     * @returns {string} Manta path of the policy
+     */
+    static policyPath(bucketPath, bucket) {
+        return `${bucketPath}/.${bucket}.policy.json`;
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Caches the policy stored at the passed path.
+     *
+     * @private
+     * @param {string} path Manta path of the policy
+     * @param {?object} policy parsed policy document or null if there is no policy
+     */
+    _cachePolicy(path, policy) {
+        if (this._ttl <= 0) {
+            return;
+        }
+
+        // Expired entries are only replaced, so drop them once in a while
+        if (mod_lo.size(this._cache) > 10000) {
+            this._cache = {};
+        }
+
+        this._cache[path] = {
+            policy: policy,
+            expires: Date.now() + this._ttl
+        };
+    }
+}
+
+/**
+ * @type {BucketPolicyStore}
+ */
+module.exports = BucketPolicyStore;
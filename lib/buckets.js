@@ -6,7 +6,23 @@
 let mod_assert = require('assert-plus');
 let mod_xmlbuilder = require('xmlbuilder');
 
+let AccessControlList = require('./access_control_list');
 let errors = require('./errors');
+let RequestBody = require('./request_body');
+
+/**
+ * Maximum size of a bucket policy document in bytes.
+ * @type {integer}
+ * @default
+ */
+const MAX_POLICY_SIZE = 20480;
+
+/**
+ * Maximum size of an AccessControlPolicy document in bytes.
+ * @type {integer}
+ * @default
+ */
+const MAX_ACL_SIZE = 20480;
 
 /**
  * Class providing a S3 compatible API to bucket operations that is consumable
@@ -22,9 +38,13 @@ class Buckets {
      * @param {string} options.s3Version S3 API version to report to client
      * @param {boolean} options.prettyPrint enable pretty printing of XML output
      * @param {external:MantaClient} mantaClient reference to Manta client instance
+     * @param {BucketPolicyStore} policyStore store containing bucket policies
+     * @param {AclStore} aclStore store containing bucket and object ACLs
      */
-    constructor(options, mantaClient) {
+    constructor(options, mantaClient, policyStore, aclStore) {
         mod_assert.ok(mantaClient, 'mantaClient');
+        mod_assert.ok(policyStore, 'policyStore');
+        mod_assert.ok(aclStore, 'aclStore');
 
         /**
          * Reference to Manta client instance.
@@ -33,6 +53,20 @@ class Buckets {
          */
         this._mantaClient = mantaClient;
 
+        /**
+         * Store containing bucket policies.
+         * @private
+         * @type {BucketPolicyStore}
+         */
+        this._policyStore = policyStore;
+
+        /**
+         * Store containing bucket and object ACLs.
+         * @private
+         * @type {AclStore}
+         */
+        this._aclStore = aclStore;
+
         mod_assert.string(options.bucketPath, 'options.bucketPath');
 
         /**
@@ -85,9 +119,9 @@ class Buckets {
         ];
 
         let self = this;
-        let bucketPath = this._bucketPath;
+        let bucketPath = this._bucketPathFor(req);
 
-        this._mantaClient.ls(this._bucketPath, function mlsBuckets(err, mantaRes) {
+        this._mantaClient.ls(bucketPath, function mlsBuckets(err, mantaRes) {
             let result = {
                 ListAllMyBucketsResult: {
                     '@xmlns': `http://s3.amazonaws.com/doc/${this._s3Version}/`,
@@ -157,7 +191,7 @@ class Buckets {
      * @returns {*} callback return value
      */
     bucketExists(req, res, next) {
-        let bucketDir = `${this._bucketPath}/${req.bucket}`;
+        let bucketDir = `${this._bucketPathFor(req)}/${req.bucket}`;
 
         this._mantaClient.info(bucketDir, function headBucket(err) {
             if (err) {
@@ -172,7 +206,9 @@ class Buckets {
     }
 
     /**
-     * Receives a request via the S3 API (PUT) and creates a new bucket.
+     * Receives a request via the S3 API (PUT) and creates a new bucket owned
+     * by the requester. The ACL sent in the x-amz-acl or x-amz-grant-* headers
+     * is recorded for the bucket.
      *
      * @param {external:Request} req request object
      * @param {external:Response} res response object
@@ -181,8 +217,19 @@ class Buckets {
      */
     addBucket(req, res, next) {
         let log = req.log;
-        let bucketDir = `${this._bucketPath}/${req.bucket}`;
+        let bucketPath = this._bucketPathFor(req);
+        let bucketDir = `${bucketPath}/${req.bucket}`;
         let mantaClient = this._mantaClient;
+        let aclStore = this._aclStore;
+        let owner = AccessControlList.ownerFor(req.credential);
+        let acl;
+
+        try {
+            acl = AccessControlList.fromHeaders(req.headers, owner) ||
+                AccessControlList.fromCanned('private', owner);
+        } catch (err) {
+            return next(err);
+        }
 
         // Emulate the S3 behavior, so that we barf if a bucket is already there
         mantaClient.info(bucketDir, function infoBucket(err) {
@@ -195,10 +242,17 @@ class Buckets {
 
                 log.debug('Adding bucket [%s]', req.bucket);
 
-                res.setHeader('Location', `/${req.bucket}`);
-                res.send(200);
+                aclStore.saveBucketAcl(mantaClient, bucketPath, req.bucket, acl,
+                    function saveAcl(err) {
+                        if (err) {
+                            return next(new errors.InternalError(err));
+                        }
 
-                return next();
+                        res.setHeader('Location', `/${req.bucket}`);
+                        res.send(200);
+
+                        return next();
+                    });
             });
         });
     }
@@ -213,8 +267,11 @@ class Buckets {
      */
     removeBucket(req, res, next) {
         let log = req.log;
-        let bucketDir = `${this._bucketPath}/${req.bucket}`;
+        let bucketPath = this._bucketPathFor(req);
+        let bucketDir = `${bucketPath}/${req.bucket}`;
         let mantaClient = this._mantaClient;
+        let policyStore = this._policyStore;
+        let aclStore = this._aclStore;
 
         mantaClient.info(bucketDir, function infoBucket(err) {
             if (err) {
@@ -250,15 +307,281 @@ class Buckets {
                     }
 
                     log.debug('Removing bucket [%s]', req.bucket);
-                    res.send(204);
-                    return next();
+
+                    // A new bucket with the same name must not inherit the policy or ACL
+                    policyStore.remove(mantaClient, bucketPath, req.bucket,
+                        function rmPolicy(err) {
+                            if (err) {
+                                return next(new errors.InternalError(err));
+                            }
+
+                            aclStore.removeBucketAcl(mantaClient, bucketPath, req.bucket,
+                                function rmAcl(err) {
+                                    if (err) {
+                                        return next(new errors.InternalError(err));
+                                    }
+
+                                    res.send(204);
+                                    return next();
+                                });
+                        });
                 });
             });
         });
     }
 
+    /**
+     * Receives a request via the S3 API (GET ?policy) and sends the policy
+     * of a bucket.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    getBucketPolicy(req, res, next) {
+        let bucketPath = this._bucketPathFor(req);
+        let mantaClient = this._mantaClient;
+        let policyStore = this._policyStore;
+
+        this._requireBucket(req, function bucketFound(err) {
+            if (err) {
+                return next(err);
+            }
+
+            policyStore.load(mantaClient, bucketPath, req.bucket, function loadPolicy(err, policy) {
+                if (err) {
+                    return next(new errors.InternalError(err));
+                }
+
+                if (!policy) {
+                    return next(errors.NoSuchBucketPolicy(req.bucket));
+                }
+
+                let body = JSON.stringify(policy);
+
+                res.writeHead(200, {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                });
+                res.end(body);
+
+                return next();
+            });
+        });
+    }
+
+    /**
+     * Receives a request via the S3 API (PUT ?policy) and replaces the policy
+     * of a bucket.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    putBucketPolicy(req, res, next) {
+        let self = this;
+        let log = req.log;
+        let bucketPath = this._bucketPathFor(req);
+        let mantaClient = this._mantaClient;
+        let policyStore = this._policyStore;
+
+        RequestBody.read(req, MAX_POLICY_SIZE, function policyRead(err, body) {
+            if (err) {
+                return next(err);
+            }
+
+            self._requireBucket(req, function bucketFound(err) {
+                if (err) {
+                    return next(err);
+                }
+
+                policyStore.save(mantaClient, bucketPath, req.bucket, body.toString('utf8'),
+                    function savePolicy(err) {
+                        if (err) {
+                            return next(err.restCode ? err : new errors.InternalError(err));
+                        }
+
+                        log.debug('Updated policy of bucket [%s]', req.bucket);
+                        res.send(204);
+                        return next();
+                    });
+            });
+        });
+    }
+
+    /**
+     * Receives a request via the S3 API (DELETE ?policy) and removes the
+     * policy of a bucket.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    deleteBucketPolicy(req, res, next) {
+        let log = req.log;
+        let bucketPath = this._bucketPathFor(req);
+        let mantaClient = this._mantaClient;
+        let policyStore = this._policyStore;
+
+        this._requireBucket(req, function bucketFound(err) {
+            if (err) {
+                return next(err);
+            }
+
+            policyStore.remove(mantaClient, bucketPath, req.bucket, function rmPolicy(err) {
+                if (err) {
+                    return next(new errors.InternalError(err));
+                }
+
+                log.debug('Removed policy of bucket [%s]', req.bucket);
+                res.send(204);
+                return next();
+            });
+        });
+    }
+
+    /**
+     * Receives a request via the S3 API (GET ?acl) and sends the ACL of a
+     * bucket.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    getBucketAcl(req, res, next) {
+        let self = this;
+        let bucketPath = this._bucketPathFor(req);
+        let mantaClient = this._mantaClient;
+        let aclStore = this._aclStore;
+
+        this._requireBucket(req, function bucketFound(err) {
+            if (err) {
+                return next(err);
+            }
+
+            aclStore.loadBucketAcl(mantaClient, bucketPath, req.bucket, function loadAcl(err, acl) {
+                if (err) {
+                    return next(new errors.InternalError(err));
+                }
+
+                // Buckets created before ACLs were stored are private
+                if (!acl) {
+                    acl = AccessControlList.fromCanned('private', null);
+                }
+
+                let owner = {
+                    id: 'idval',
+                    displayName: mantaClient.user
+                };
+
+                res.header('Content-Type', 'application/xml');
+                res.send(self._buildResult(
+                    AccessControlList.toDocument(acl, owner, self._s3Version)));
+
+                return next();
+            });
+        });
+    }
+
+    /**
+     * Receives a request via the S3 API (PUT ?acl) and replaces the ACL of a
+     * bucket with the ACL sent in the x-amz-acl or x-amz-grant-* headers, or
+     * in an AccessControlPolicy document. The owner of the bucket is kept.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    putBucketAcl(req, res, next) {
+        let self = this;
+        let log = req.log;
+        let bucketPath = this._bucketPathFor(req);
+        let mantaClient = this._mantaClient;
+        let aclStore = this._aclStore;
+
+        RequestBody.read(req, MAX_ACL_SIZE, function aclRead(err, body) {
+            if (err) {
+                return next(err);
+            }
+
+            self._requireBucket(req, function bucketFound(err) {
+                if (err) {
+                    return next(err);
+                }
+
+                aclStore.loadBucketAcl(mantaClient, bucketPath, req.bucket,
+                    function loadAcl(err, current) {
+                        if (err) {
+                            return next(new errors.InternalError(err));
+                        }
+
+                        let owner = current && current.owner ?
+                            current.owner : AccessControlList.ownerFor(req.credential);
+
+                        AccessControlList.fromRequest(req.headers, body, owner, null,
+                            function aclParsed(err, acl) {
+                                if (err) {
+                                    return next(err);
+                                }
+
+                                aclStore.saveBucketAcl(mantaClient, bucketPath, req.bucket,
+                                    acl, function saveAcl(err) {
+                                        if (err) {
+                                            return next(new errors.InternalError(err));
+                                        }
+
+                                        log.debug('Updated ACL of bucket [%s]', req.bucket);
+                                        res.send(200);
+                                        return next();
+                                    });
+                            });
+                    });
+            });
+        });
+    }
+
     ///--- PRIVATE METHODS
 
+    /**
+     * Finds the Manta directory containing the buckets visible to the caller.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {string} path to the Manta directory containing buckets
+     */
+    _bucketPathFor(req) {
+        return req.bucketPath || this._bucketPath;
+    }
+
+    /**
+     * Verifies that the bucket of the request exists.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {function} callback callback invoked with a NoSuchBucket error if
+     *                            the bucket doesn't exist
+     */
+    _requireBucket(req, callback) {
+        let bucketDir = `${this._bucketPathFor(req)}/${req.bucket}`;
+
+        this._mantaClient.info(bucketDir, function infoBucket(err) {
+            if (err) {
+                if (err.statusCode === 404) {
+                    return callback(new errors.NoSuchBucketError(req.bucket, err));
+                }
+
+                return callback(new errors.InternalError(err));
+            }
+
+            return callback();
+        });
+    }
+
     /**
      * Utility method used to create XML output from an object.
      *
@@ -0,0 +1,211 @@
+/**
+ * @file File containing {@link ClientAddress} class definition.
+ */
+'use strict';
+
+let mod_ipaddr = require('ipaddr.js');
+let mod_lo = require('lodash');
+
+/**
+ * Resolves the IP address of the client that made a request. When the
+ * bridge runs behind proxies, the address of the connection is the address
+ * of the last proxy, so the address of the client is read from the
+ * X-Forwarded-For and X-Real-IP headers or from the PROXY protocol header of
+ * the connection. Those are only believed when the hop that set them is a
+ * trusted proxy, so that clients can't spoof their address by sending the
+ * headers themselves.
+ *
+ * The resolved address is attached to the request as clientIp, and is used
+ * for logging, blocking failed authentications, source IP allowlists and the
+ * aws:SourceIp condition key of policies.
+ */
+class ClientAddress {
+    /**
+     * Creates a new instance.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {Array.<string>} [options.trustedProxies] IP addresses or CIDR blocks
+     *                                                  of the trusted proxies
+     * @throws {Error} when a trusted proxy is not an IP address or CIDR block
+     */
+    constructor(options) {
+        let trustedProxies = options.trustedProxies || [];
+
+        trustedProxies.forEach(function validateProxy(cidr) {
+            if (!mod_lo.isString(cidr) || !ClientAddress.isValidCidr(cidr)) {
+                throw new Error(`Trusted proxy [${cidr}] is not an IP address or CIDR block`);
+            }
+        });
+
+        /**
+         * IP addresses or CIDR blocks of the trusted proxies.
+         * @private
+         * @type {Array.<string>}
+         */
+        this._trustedProxies = trustedProxies;
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Determines if the passed address is a trusted proxy.
+     *
+     * @param {?string} address IP address of a hop
+     * @returns {boolean} true if the forwarding headers set by the hop are believed
+     */
+    isTrusted(address) {
+        return ClientAddress.matchesAny(address, this._trustedProxies);
+    }
+
+    /**
+     * Resolves the IP address of the client of a request. Hops are walked
+     * from the connection towards the client, and the first address that
+     * isn't a trusted proxy is the client.
+     *
+     * @param {external:Request} req request object
+     * @returns {?string} IP address of the client
+     */
+    find(req) {
+        let socket = req.connection || {};
+        let address = socket.remoteAddress || null;
+
+        if (socket.proxySourceAddress && this.isTrusted(address)) {
+            address = socket.proxySourceAddress;
+        }
+
+        let forwarded = ClientAddress._parseForwardedFor(req.headers['x-forwarded-for']);
+
+        if (forwarded.length === 0) {
+            let realIp = mod_lo.trim(req.headers['x-real-ip']);
+
+            if (realIp && mod_ipaddr.isValid(realIp) && this.isTrusted(address)) {
+                return realIp;
+            }
+
+            return address;
+        }
+
+        while (forwarded.length > 0 && this.isTrusted(address)) {
+            let hop = forwarded.pop();
+
+            // Addresses left of an invalid entry can't be attributed to a hop
+            if (!mod_ipaddr.isValid(hop)) {
+                break;
+            }
+
+            address = hop;
+        }
+
+        return address;
+    }
+
+    /**
+     * Restify handler attaching the IP address of the client to the request
+     * and to its logger.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    resolve(req, res, next) {
+        req.clientIp = this.find(req);
+
+        if (req.log) {
+            req.log = req.log.child({ clientIp: req.clientIp }, true);
+        }
+
+        return next();
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Determines if an IP address is within an address or CIDR block.
+     *
+     * @param {?string} address IP address of a client
+     * @param {string} cidr IP address or CIDR block
+     * @returns {boolean} true if the address is within the block
+     */
+    static matches(address, cidr) {
+        if (!address || !mod_ipaddr.isValid(address) || !ClientAddress.isValidCidr(cidr)) {
+            return false;
+        }
+
+        // IPv4 clients of a dual stack server are reported as IPv4 mapped IPv6 addresses
+        let parsed = mod_ipaddr.process(address);
+        let range;
+
+        if (cidr.indexOf('/') < 0) {
+            let single = mod_ipaddr.process(cidr);
+            range = [single, single.kind() === 'ipv4' ? 32 : 128];
+        } else {
+            range = mod_ipaddr.parseCIDR(cidr);
+        }
+
+        if (range[0].kind() !== parsed.kind()) {
+            return false;
+        }
+
+        return parsed.match(range);
+    }
+
+    /**
+     * Determines if an IP address is within any of the passed blocks.
+     *
+     * @param {?string} address IP address of a client
+     * @param {Array.<string>} cidrs IP addresses or CIDR blocks
+     * @returns {boolean} true if the address is within one of the blocks
+     */
+    static matchesAny(address, cidrs) {
+        return cidrs.some(function matchesCidr(cidr) {
+            return ClientAddress.matches(address, cidr);
+        });
+    }
+
+    /**
+     * Determines if the passed value is an IP address or CIDR block.
+     *
+     * @param {string} cidr value to check
+     * @returns {boolean} true if the value is valid
+     */
+    static isValidCidr(cidr) {
+        if (cidr.indexOf('/') < 0) {
+            return mod_ipaddr.isValid(cidr);
+        }
+
+        try {
+            mod_ipaddr.parseCIDR(cidr);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Splits the X-Forwarded-For headers of a request into the addresses of
+     * its hops, from the client to the last proxy.
+     *
+     * @private
+     * @param {string|Array.<string>} [header] X-Forwarded-For header values
+     * @returns {Array.<string>} addresses of the hops
+     */
+    static _parseForwardedFor(header) {
+        if (!header) {
+            return [];
+        }
+
+        return mod_lo.castArray(header).join(',').split(',')
+            .map(mod_lo.trim)
+            .filter(function isPresent(hop) {
+                return hop.length > 0;
+            });
+    }
+}
+
+/**
+ * @type {ClientAddress}
+ */
+module.exports = ClientAddress;
@@ -0,0 +1,102 @@
+/**
+ * @file File containing {@link CredentialStore} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+/**
+ * A S3 credential as returned by a {@link CredentialStore}.
+ * @typedef {object} Credential
+ * @property {string} accessKey S3 access key id
+ * @property {string} secretKey S3 secret key
+ * @property {string} [previousSecretKey] secret key being rotated out, which is
+ *                                        still accepted until previousSecretKeyExpiration
+ * @property {string} [previousSecretKeyExpiration] date after which the previous
+ *                                                  secret key is rejected
+ * @property {string} [tenant] tenant whose bucket namespace the key has access to
+ * @property {string} [bucketPath] Manta directory containing the buckets of the key
+ * @property {object} [policy] identity policy limiting what the key may do
+ * @property {Array.<string>} [allowedSourceIps] IP addresses or CIDR blocks that the
+ *                                             key may be used from
+ * @property {object} [manta] Manta identity (user, subuser, role, keyId and
+ *                            privateKeyPath) used for requests signed with this key
+ */
+
+/**
+ * Callback invoked when a credential lookup has completed.
+ * @callback credentialCallback
+ * @param {?Error} err error if the backend could not be queried
+ * @param {?Credential} credential matching credential or null if the key is unknown
+ */
+
+/**
+ * Interface for backends that look up S3 credentials by access key id. New
+ * backends extend this class, implement {@link CredentialStore#find} and are
+ * registered with the {@link CredentialStoreFactory}.
+ */
+class CredentialStore {
+    /**
+     * Finds the credential associated with the passed access key.
+     *
+     * @abstract
+     * @param {string} accessKey S3 access key id
+     * @param {credentialCallback} callback callback invoked with the credential
+     */
+    find(accessKey, callback) {
+        callback(new Error('find() is not implemented by ' + this.constructor.name));
+    }
+
+    /**
+     * Flag indicating that {@link CredentialStore#reload} picks up changed
+     * credentials. Stores that can't change without a restart return false.
+     * @type {boolean}
+     */
+    get reloadable() {
+        return false;
+    }
+
+    /**
+     * Reloads the credentials from the backend. Stores that can't change
+     * without a restart do nothing.
+     *
+     * @param {function} callback callback invoked with an error if the
+     *                            credentials could not be reloaded
+     */
+    reload(callback) {
+        setImmediate(callback);
+    }
+
+    /**
+     * Releases any resources held by the store.
+     */
+    close() {
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Lists the secret keys that signatures made with the passed credential
+     * are verified against. While a key is being rotated, signatures made
+     * with its previous secret key are accepted until the cutover time.
+     *
+     * @param {Credential} credential credential that signed the request
+     * @returns {Array.<string>} current secret key followed by the previous one
+     *                           if it hasn't expired yet
+     */
+    static secretKeysFor(credential) {
+        let secretKeys = [credential.secretKey];
+        let expiration = Date.parse(credential.previousSecretKeyExpiration);
+
+        if (!mod_lo.isEmpty(credential.previousSecretKey) && expiration > Date.now()) {
+            secretKeys.push(credential.previousSecretKey);
+        }
+
+        return secretKeys;
+    }
+}
+
+/**
+ * @type {CredentialStore}
+ */
+module.exports = CredentialStore;
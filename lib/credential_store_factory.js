@@ -0,0 +1,77 @@
+/**
+ * @file File containing {@link CredentialStoreFactory} class definition.
+ */
+'use strict';
+
+let mod_assert = require('assert-plus');
+let mod_lo = require('lodash');
+let mod_path = require('path');
+
+let FileCredentialStore = require('./file_credential_store');
+let StaticCredentialStore = require('./static_credential_store');
+
+/**
+ * Factory that creates the {@link CredentialStore} described by the
+ * configuration options.
+ */
+class CredentialStoreFactory {
+    /**
+     * Creates a credential store. When the credentialStore option is set, the
+     * backend it specifies is used. Otherwise, a store containing only the
+     * accessKey and secretKey options is created.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {object} [options.credentialStore] credential store backend settings
+     * @param {string} [options.credentialStore.type] backend type (file)
+     * @param {string} [options.credentialStore.path] path to credentials file
+     * @param {boolean} [options.credentialStore.watch] reload the credentials file
+     *                                                  when it changes (default true)
+     * @param {string} [options.accessKey] S3 compatible access key used to secure server
+     * @param {string} [options.secretKey] S3 compatible secret key used to secure server
+     * @param {?string} [options.previousSecretKey] secret key being rotated out
+     * @param {?string} [options.previousSecretKeyExpiration] date after which the
+     *                                                        previous secret key is rejected
+     * @param {?Array.<string>} [options.allowedSourceIps] IP addresses or CIDR blocks
+     *                                                   that accessKey may be used from
+     * @param {Logger} [log] bunyan logger reporting reloads of the credentials
+     * @returns {CredentialStore} new credential store instance
+     */
+    static create(options, log) {
+        mod_assert.object(options, 'options');
+
+        let config = options.credentialStore;
+
+        if (mod_lo.isEmpty(config)) {
+            let credential = {
+                accessKey: options.accessKey,
+                secretKey: options.secretKey
+            };
+
+            if (!mod_lo.isEmpty(options.previousSecretKey)) {
+                credential.previousSecretKey = options.previousSecretKey;
+                credential.previousSecretKeyExpiration = options.previousSecretKeyExpiration;
+            }
+
+            if (!mod_lo.isEmpty(options.allowedSourceIps)) {
+                credential.allowedSourceIps = mod_lo.castArray(options.allowedSourceIps);
+            }
+
+            return new StaticCredentialStore([credential]);
+        }
+
+        switch (config.type) {
+            case 'file':
+                mod_assert.string(config.path, 'credentialStore.path');
+                mod_assert.optionalBool(config.watch, 'credentialStore.watch');
+
+                return new FileCredentialStore(mod_path.resolve(process.cwd(), config.path), {
+                    watch: config.watch !== false,
+                    log: log
+                });
+            default:
+                throw new Error(`Unknown credential store type: ${config.type}`);
+        }
+    }
+}
+
+module.exports = CredentialStoreFactory;
@@ -51,6 +51,22 @@ errors.makeConstructor(
     }
 );
 
+errors.makeConstructor(
+    'NoSuchKey', {
+        statusCode: 404,
+        restCode: 'NoSuchKey',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'NotImplemented', {
+        statusCode: 501,
+        restCode: 'NotImplemented',
+        severity: 'debug'
+    }
+);
+
 errors.makeConstructor(
     'RequestTimeTooSkewed', {
         statusCode: 403,
@@ -67,6 +83,78 @@ errors.makeConstructor(
     }
 );
 
+errors.makeConstructor(
+    'AuthorizationHeaderMalformed', {
+        statusCode: 400,
+        restCode: 'AuthorizationHeaderMalformed',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'AuthorizationQueryParametersError', {
+        statusCode: 400,
+        restCode: 'AuthorizationQueryParametersError',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'ConditionalRequestConflict', {
+        statusCode: 409,
+        restCode: 'ConditionalRequestConflict',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'EntityTooLarge', {
+        statusCode: 400,
+        restCode: 'EntityTooLarge',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'EntityTooSmall', {
+        statusCode: 400,
+        restCode: 'EntityTooSmall',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'ExpiredToken', {
+        statusCode: 400,
+        restCode: 'ExpiredToken',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'IncompleteBody', {
+        statusCode: 400,
+        restCode: 'IncompleteBody',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'InvalidAccessKeyId', {
+        statusCode: 403,
+        restCode: 'InvalidAccessKeyId',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'InvalidAction', {
+        statusCode: 400,
+        restCode: 'InvalidAction',
+        severity: 'debug'
+    }
+);
+
 errors.makeConstructor(
     'InvalidArgument', {
         statusCode: 400,
@@ -75,6 +163,142 @@ errors.makeConstructor(
     }
 );
 
+errors.makeConstructor(
+    'InvalidPolicyDocument', {
+        statusCode: 400,
+        restCode: 'InvalidPolicyDocument',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'InvalidToken', {
+        statusCode: 400,
+        restCode: 'InvalidToken',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'InvalidPartNumber', {
+        statusCode: 416,
+        restCode: 'InvalidPartNumber',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'InvalidRange', {
+        statusCode: 416,
+        restCode: 'InvalidRange',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'InvalidRequest', {
+        statusCode: 400,
+        restCode: 'InvalidRequest',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'MalformedACLError', {
+        statusCode: 400,
+        restCode: 'MalformedACLError',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'MalformedPolicy', {
+        statusCode: 400,
+        restCode: 'MalformedPolicy',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'MalformedPolicyDocument', {
+        statusCode: 400,
+        restCode: 'MalformedPolicyDocument',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'MalformedPOSTRequest', {
+        statusCode: 400,
+        restCode: 'MalformedPOSTRequest',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'MaxMessageLengthExceeded', {
+        statusCode: 400,
+        restCode: 'MaxMessageLengthExceeded',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'MaxPostPreDataLengthExceededError', {
+        statusCode: 400,
+        restCode: 'MaxPostPreDataLengthExceededError',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'NoSuchBucketPolicy', {
+        statusCode: 404,
+        restCode: 'NoSuchBucketPolicy',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'PreconditionFailed', {
+        statusCode: 412,
+        restCode: 'PreconditionFailed',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'SlowDown', {
+        statusCode: 503,
+        restCode: 'SlowDown',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'UnresolvableGrantByEmailAddress', {
+        statusCode: 400,
+        restCode: 'UnresolvableGrantByEmailAddress',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'ValidationError', {
+        statusCode: 400,
+        restCode: 'ValidationError',
+        severity: 'debug'
+    }
+);
+
+errors.makeConstructor(
+    'XAmzContentSHA256Mismatch', {
+        statusCode: 400,
+        restCode: 'XAmzContentSHA256Mismatch',
+        severity: 'debug'
+    }
+);
+
 function bucketError(msg, bucket, cause, error) {
     return cause ?
         new error(cause, msg, bucket) :
@@ -128,6 +352,139 @@ function RequestTimeTooSkewed(msg, requestTime, serverTime, maxAllowedSkewMs) {
     return err;
 }
 
+function ConditionalRequestConflict() {
+    return new errors.ConditionalRequestConflict(
+        'A conflicting conditional operation is currently in progress against this ' +
+        'resource. Please try again.');
+}
+
+function EntityTooLarge(maxSize) {
+    let err = new errors.EntityTooLarge(
+        'Your proposed upload exceeds the maximum allowed size');
+    err.additional = {
+        MaxSizeAllowed: maxSize
+    };
+
+    return err;
+}
+
+function EntityTooSmall(minSize) {
+    let err = new errors.EntityTooSmall(
+        'Your proposed upload is smaller than the minimum allowed size');
+    err.additional = {
+        MinSizeAllowed: minSize
+    };
+
+    return err;
+}
+
+function ExpiredToken() {
+    return new errors.ExpiredToken('The provided token has expired.');
+}
+
+function AuthorizationHeaderMalformed(msg, region) {
+    let err = new errors.AuthorizationHeaderMalformed('%s', msg);
+
+    if (region) {
+        err.additional = {
+            Region: region
+        };
+    }
+
+    return err;
+}
+
+function InvalidAccessKeyId(accessKey) {
+    let err = new errors.InvalidAccessKeyId(
+        'The AWS Access Key Id you provided does not exist in our records.');
+    err.additional = {
+        AWSAccessKeyId: accessKey
+    };
+
+    return err;
+}
+
+function InvalidPartNumber(partNumber, partCount) {
+    let err = new errors.InvalidPartNumber('The requested partnumber is not satisfiable');
+    err.additional = {
+        PartNumberRequested: partNumber,
+        ActualPartCount: partCount
+    };
+
+    return err;
+}
+
+function InvalidRange(range, objectSize) {
+    let err = new errors.InvalidRange('The requested range is not satisfiable');
+    err.additional = {
+        RangeRequested: range
+    };
+
+    if (objectSize !== undefined && objectSize !== null) {
+        err.additional.ActualObjectSize = objectSize;
+    }
+
+    return err;
+}
+
+function InvalidToken() {
+    return new errors.InvalidToken('The provided token is malformed or otherwise invalid.');
+}
+
+function MalformedACLError() {
+    return new errors.MalformedACLError(
+        'The XML you provided was not well-formed or did not validate against ' +
+        'our published schema.');
+}
+
+function MalformedPOSTRequest() {
+    return new errors.MalformedPOSTRequest(
+        'The body of your POST request is not well-formed multipart/form-data.');
+}
+
+function MaxPostPreDataLengthExceededError() {
+    return new errors.MaxPostPreDataLengthExceededError(
+        'Your POST request fields preceding the upload file were too large.');
+}
+
+function NoSuchBucketPolicy(bucket) {
+    let err = new errors.NoSuchBucketPolicy('The bucket policy does not exist');
+    err.additional = {
+        BucketName: bucket
+    };
+
+    return err;
+}
+
+function NoSuchKey(key) {
+    let err = new errors.NoSuchKey('The specified key does not exist.');
+    err.additional = {
+        Key: key
+    };
+
+    return err;
+}
+
+function PreconditionFailed(condition) {
+    let err = new errors.PreconditionFailed(
+        'At least one of the pre-conditions you specified did not hold');
+    err.additional = {
+        Condition: condition
+    };
+
+    return err;
+}
+
+function RequestExpired(expires, serverTime) {
+    let err = new errors.AccessDenied('Request has expired');
+    err.additional = {
+        Expires: expires.toISOString(),
+        ServerTime: serverTime.toISOString()
+    };
+
+    return err;
+}
+
 function SignatureDoesNotMatch(msg, accessKey, stringToSign, signatureProvided) {
     let err = new errors.SignatureDoesNotMatch(msg);
     err.additional = {
@@ -140,6 +497,31 @@ function SignatureDoesNotMatch(msg, accessKey, stringToSign, signatureProvided)
     return err;
 }
 
+function SlowDown() {
+    return new errors.SlowDown('Please reduce your request rate.');
+}
+
+function UnresolvableGrantByEmailAddress(emailAddress) {
+    let err = new errors.UnresolvableGrantByEmailAddress(
+        'The email address you provided does not match any account on record.');
+    err.additional = {
+        EmailAddress: emailAddress
+    };
+
+    return err;
+}
+
+function XAmzContentSHA256Mismatch(clientHash, serverHash) {
+    let err = new errors.XAmzContentSHA256Mismatch(
+        'The provided \'x-amz-content-sha256\' header does not match what was computed.');
+    err.additional = {
+        ClientComputedContentSHA256: clientHash,
+        S3ComputedContentSHA256: serverHash
+    };
+
+    return err;
+}
+
 function hexEncodeWithSpaces(string){
     let buffer = new Buffer(string, 'utf8');
     let hex = '';
@@ -163,13 +545,42 @@ function hexEncodeWithSpaces(string){
 module.exports = {
     AccessDenied: errors.AccessDenied,
     AllAccessDisabled: AllAccessDisabled,
+    AuthorizationHeaderMalformed: AuthorizationHeaderMalformed,
+    AuthorizationQueryParametersError: errors.AuthorizationQueryParametersError,
     BucketAlreadyExistsError: BucketAlreadyExistsError,
     BucketNotEmptyError: BucketNotEmptyError,
+    ConditionalRequestConflict: ConditionalRequestConflict,
+    EntityTooLarge: EntityTooLarge,
+    EntityTooSmall: EntityTooSmall,
+    ExpiredToken: ExpiredToken,
+    IncompleteBody: errors.IncompleteBody,
+    InvalidAccessKeyId: InvalidAccessKeyId,
+    InvalidAction: errors.InvalidAction,
     InvalidArgument: errors.InvalidArgument,
     InternalError: InternalError,
     InvalidBucketNameError: InvalidBucketNameError,
+    InvalidPartNumber: InvalidPartNumber,
+    InvalidPolicyDocument: errors.InvalidPolicyDocument,
+    InvalidRange: InvalidRange,
+    InvalidRequest: errors.InvalidRequest,
+    InvalidToken: InvalidToken,
+    MalformedACLError: MalformedACLError,
+    MalformedPolicy: errors.MalformedPolicy,
+    MalformedPolicyDocument: errors.MalformedPolicyDocument,
+    MalformedPOSTRequest: MalformedPOSTRequest,
+    MaxMessageLengthExceeded: errors.MaxMessageLengthExceeded,
+    MaxPostPreDataLengthExceededError: MaxPostPreDataLengthExceededError,
     NoSuchBucketError: NoSuchBucket,
+    NoSuchBucketPolicy: NoSuchBucketPolicy,
+    NoSuchKey: NoSuchKey,
     NotFoundError: errors.NotFoundError,
+    NotImplemented: errors.NotImplemented,
+    PreconditionFailed: PreconditionFailed,
+    RequestExpired: RequestExpired,
     RequestTimeTooSkewed: RequestTimeTooSkewed,
-    SignatureDoesNotMatch: SignatureDoesNotMatch
+    SignatureDoesNotMatch: SignatureDoesNotMatch,
+    SlowDown: SlowDown,
+    UnresolvableGrantByEmailAddress: UnresolvableGrantByEmailAddress,
+    ValidationError: errors.ValidationError,
+    XAmzContentSHA256Mismatch: XAmzContentSHA256Mismatch
 };
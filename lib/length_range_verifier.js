@@ -0,0 +1,95 @@
+/**
+ * @file File containing {@link LengthRangeVerifier} class definition.
+ */
+'use strict';
+
+let errors = require('./errors');
+let VerifyingStream = require('./verifying_stream');
+
+/**
+ * Transform stream that counts the bytes of an upload as they stream through
+ * it and verifies that the total is within an allowed range (eg the
+ * content-length-range condition of a POST policy). Uploads that are too
+ * large fail as soon as the maximum is exceeded, while uploads that are too
+ * small fail once the stream ends.
+ */
+class LengthRangeVerifier extends VerifyingStream {
+    /**
+     * Creates a new instance that allows any length until a range is set.
+     */
+    constructor() {
+        super();
+
+        /**
+         * Number of bytes that have passed through the stream.
+         * @private
+         * @type {integer}
+         */
+        this._length = 0;
+
+        /**
+         * Minimum number of bytes allowed.
+         * @private
+         * @type {integer}
+         */
+        this._minLength = 0;
+
+        /**
+         * Maximum number of bytes allowed.
+         * @private
+         * @type {number}
+         */
+        this._maxLength = Infinity;
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Sets the range of allowed lengths. The range may be set after data has
+     * started to flow because the length is checked against the running total.
+     *
+     * @param {integer} minLength minimum number of bytes allowed
+     * @param {number} maxLength maximum number of bytes allowed
+     */
+    setRange(minLength, maxLength) {
+        this._minLength = minLength;
+        this._maxLength = maxLength;
+    }
+
+    /**
+     * Number of bytes that have passed through the stream.
+     * @type {integer}
+     */
+    get length() {
+        return this._length;
+    }
+
+    ///--- PRIVATE METHODS
+
+    _transform(chunk, encoding, cb) {
+        this._length += chunk.length;
+
+        if (this._length > this._maxLength) {
+            return this._fail(errors.EntityTooLarge(this._maxLength), cb);
+        }
+
+        return cb(null, chunk);
+    }
+
+    _flush(cb) {
+        if (this._length > this._maxLength) {
+            return this._fail(errors.EntityTooLarge(this._maxLength), cb);
+        }
+
+        if (this._length < this._minLength) {
+            return this._fail(errors.EntityTooSmall(this._minLength), cb);
+        }
+
+        return cb();
+    }
+}
+
+/**
+ * @type {LengthRangeVerifier}
+ */
+module.exports = LengthRangeVerifier;
@@ -0,0 +1,147 @@
+/**
+ * @file File containing {@link MantaClientPool} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+let MantaClientFactory = require('./manta_client');
+
+/**
+ * Manta settings that a credential may override.
+ * @type {Array.<string>}
+ */
+const IDENTITY_SETTINGS = ['user', 'subuser', 'role', 'keyId', 'privateKeyPath'];
+
+/**
+ * Manta settings that belong to the user and are not inherited from the
+ * default settings when a credential sets a different user.
+ * @type {Array.<string>}
+ */
+const USER_SETTINGS = ['subuser', 'role'];
+
+/**
+ * Pool of Manta clients keyed by Manta identity. Credentials that don't
+ * specify their own Manta identity share the client created from the default
+ * manta options. Clients for other identities are created on first use and
+ * reused for every later request made by that identity.
+ */
+class MantaClientPool {
+    /**
+     * Creates a new pool and the default Manta client.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {object} options.manta default Manta client connection parameters
+     */
+    constructor(options) {
+        /**
+         * Configuration options loaded when server is started.
+         * @private
+         * @type {Object}
+         */
+        this._options = options;
+
+        /**
+         * Manta client used for credentials without their own Manta identity.
+         * @private
+         * @type {external:MantaClient}
+         */
+        this._defaultClient = MantaClientFactory.create(options);
+
+        /**
+         * Manta clients indexed by identity key.
+         * @private
+         * @type {object.<string, external:MantaClient>}
+         */
+        this._clients = {};
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Manta client used for credentials without their own Manta identity.
+     * @type {external:MantaClient}
+     */
+    get defaultClient() {
+        return this._defaultClient;
+    }
+
+    /**
+     * Finds or creates the Manta client for the identity of the passed
+     * credential.
+     *
+     * @param {?Credential} credential credential that authenticated the request
+     * @returns {external:MantaClient} Manta client for the credential
+     * @throws {Error} when a client could not be created for the identity
+     */
+    clientFor(credential) {
+        if (!credential || mod_lo.isEmpty(credential.manta)) {
+            return this._defaultClient;
+        }
+
+        let manta = MantaClientPool._mantaOptionsFor(this._options.manta, credential.manta);
+        let key = MantaClientPool._identityKey(manta);
+
+        if (!mod_lo.has(this._clients, key)) {
+            this._clients[key] = MantaClientFactory.create({ manta: manta });
+        }
+
+        return this._clients[key];
+    }
+
+    /**
+     * Closes every Manta client in the pool.
+     */
+    close() {
+        this._defaultClient.close();
+
+        mod_lo.forOwn(this._clients, function closeClient(client) {
+            client.close();
+        });
+
+        this._clients = {};
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Merges the Manta settings of a credential into the default Manta
+     * settings. When the credential sets a different user, the default
+     * subuser and role are dropped because they belong to the default user.
+     *
+     * @private
+     * @param {object} defaults default Manta client connection parameters
+     * @param {object} overrides Manta settings set on the credential
+     * @returns {object} Manta client connection parameters for the credential
+     */
+    static _mantaOptionsFor(defaults, overrides) {
+        let manta = mod_lo.clone(defaults);
+
+        if (!mod_lo.isEmpty(overrides.user) && overrides.user !== defaults.user) {
+            USER_SETTINGS.forEach(function dropSetting(setting) {
+                delete manta[setting];
+            });
+        }
+
+        return mod_lo.assign(manta, mod_lo.pick(overrides, IDENTITY_SETTINGS));
+    }
+
+    /**
+     * Builds a key that uniquely identifies the Manta identity of the passed
+     * connection parameters.
+     *
+     * @private
+     * @param {object} manta Manta client connection parameters
+     * @returns {string} identity key
+     */
+    static _identityKey(manta) {
+        return IDENTITY_SETTINGS.map(function identityValue(setting) {
+            return manta[setting] || '';
+        }).join('\n');
+    }
+}
+
+/**
+ * @type {MantaClientPool}
+ */
+module.exports = MantaClientPool;
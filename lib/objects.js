@@ -6,10 +6,18 @@
 let mod_assert = require('assert-plus');
 let mod_lo = require('lodash');
 let mod_path = require('path');
+let mod_qs = require('qs');
 let mod_xmlbuilder = require('xmlbuilder');
 
 let errors = require('./errors');
 let Utils = require('./utils');
+let AccessControlList = require('./access_control_list');
+let AclStore = require('./acl_store');
+let AwsChunkedDecoder = require('./aws_chunked_decoder');
+let PayloadHashVerifier = require('./payload_hash_verifier');
+let PostForm = require('./post_form');
+let PostPolicy = require('./post_policy');
+let RequestBody = require('./request_body');
 
 /**
  * Content-type returned by Manta that marks objects as a directory.
@@ -25,6 +33,84 @@ const MANTA_DIR_CONTENT_TYPE = 'application/x-json-stream; type=directory';
  */
 const DEFAULT_MAX_KEYS = 1000;
 
+/**
+ * Pattern matching the headers of a Manta object that PutMetadata replaces.
+ * @type {RegExp}
+ */
+const MANTA_METADATA_HEADERS =
+    /^(content-type|cache-control|content-disposition|access-control-.+|m-.+)$/;
+
+/**
+ * Standard headers of uploads that Manta stores with the object itself.
+ * @type {Array.<string>}
+ */
+const MANTA_OBJECT_HEADERS = [
+    'cache-control',
+    'content-disposition'
+];
+
+/**
+ * Standard headers of uploads that Manta doesn't store, mapped to the Manta
+ * metadata storing them instead.
+ * @type {object.<string, string>}
+ */
+const STORED_OBJECT_HEADERS = {
+    'content-encoding': 'm-s3-bridge-content-encoding',
+    'content-language': 'm-s3-bridge-content-language',
+    'expires': 'm-s3-bridge-expires',
+    'x-amz-website-redirect-location': 'm-s3-bridge-website-redirect-location'
+};
+
+/**
+ * Highest part number that S3 accepts.
+ * @type {integer}
+ * @default
+ */
+const MAX_PART_NUMBER = 10000;
+
+/**
+ * Pattern matching a single byte range of a Range header.
+ * @type {RegExp}
+ */
+const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
+
+/**
+ * Part or byte range of an object requested by a client.
+ * @typedef {object} ObjectRange
+ * @property {string} [header] Range header to send to Manta
+ * @property {integer} [partNumber] requested part number
+ */
+
+/**
+ * Query parameters of GET requests overriding the headers of the response,
+ * mapped to the header they override.
+ * @type {object.<string, string>}
+ */
+const RESPONSE_HEADER_OVERRIDES = {
+    'response-cache-control': 'cache-control',
+    'response-content-disposition': 'content-disposition',
+    'response-content-encoding': 'content-encoding',
+    'response-content-language': 'content-language',
+    'response-content-type': 'content-type',
+    'response-expires': 'expires'
+};
+
+/**
+ * Result of checking a GET request against the object it requests.
+ * @typedef {object} ObjectCheck
+ * @property {?string} condition name of the conditional header that failed or
+ *                               null if the object may be sent
+ * @property {object} [headers] headers of the Manta object when a condition failed
+ * @property {?ObjectRange} [range] range to send or null for the whole object
+ */
+
+/**
+ * Maximum size of an AccessControlPolicy document in bytes.
+ * @type {integer}
+ * @default
+ */
+const MAX_ACL_SIZE = 20480;
+
 /**
  * Class providing a S3 compatible API to object operations that is consumable
  * by the {@link Routes} class. All methods wrap S3 calls in streaming
@@ -36,6 +122,7 @@ class Objects {
      *
      * @param {object} options configuration options loaded when server is started
      * @param {string} options.bucketPath path to the Manta directory containing buckets
+     * @param {?string} options.publicBucketPath Manta directory publishing public objects
      * @param {integer} options.defaultDurability default number of copies to make of new objects
      * @param {integer} options.maxFilenameLength maximum length of full file path
      * @param {boolean} options.prettyPrint enable pretty printing of XML output
@@ -43,9 +130,11 @@ class Objects {
      * @param {object} options.storageClassMappingToDurability mapping of S3 storage classes to durability levels
      * @param {object} options.durabilityMappingToStorageClass mapping of durability levels to S3 storage classes
      * @param {external:MantaClient} mantaClient reference to Manta client instance
+     * @param {AclStore} aclStore store containing bucket and object ACLs
      */
-    constructor(options, mantaClient) {
+    constructor(options, mantaClient, aclStore) {
         mod_assert.ok(mantaClient, 'mantaClient');
+        mod_assert.ok(aclStore, 'aclStore');
 
         /**
          * Reference to Manta client instance.
@@ -54,6 +143,13 @@ class Objects {
          */
         this._mantaClient = mantaClient;
 
+        /**
+         * Store containing bucket and object ACLs.
+         * @private
+         * @type {AclStore}
+         */
+        this._aclStore = aclStore;
+
         /**
          * Path to the Manta directory containing buckets.
          * @private
@@ -61,6 +157,14 @@ class Objects {
          */
         this._bucketPath = options.bucketPath;
 
+        /**
+         * Path to the Manta directory where public objects are published or
+         * null when they aren't published.
+         * @private
+         * @type {?string}
+         */
+        this._publicBucketPath = options.publicBucketPath || null;
+
         /**
          * Default number of copies to make of new objects.
          * @private
@@ -123,28 +227,49 @@ class Objects {
      */
     addObject(req, res, next) {
         let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
-        let mantaPath = `${this._bucketPath}/${req.bucket}/${objPath}`;
-        let mantaDir = mod_path.dirname(mantaPath);
+        let mantaPath = `${this._bucketPathFor(req)}/${req.bucket}/${objPath}`;
 
         let self = this;
 
-        this._mantaClient.info(mantaDir, function headPutDir(headErr) {
-            /* In order to emulate the key/value design of S3 on a hierarchical
-             * filesystem, we have to parse all of the prefixing directories after
-             * the bucket directory because in S3 "directories" are just part of the
-             * object's key. After parsing, we just make all of the the required
-             * directories on an as-needed basis. */
-            if (headErr) {
-                self._mantaClient.mkdirp(mantaDir, function mkObjDir(mkdirErr) {
-                    if (mkdirErr) {
-                        return next(errors.InternalError(mkdirErr));
-                    }
+        this._objectAclFor(req, req.headers, function aclBuilt(err, acl) {
+            if (err) {
+                return next(err);
+            }
 
-                    return self._uploadObject(mantaPath, req, res, next);
-                });
-            } else {
-                return self._uploadObject(mantaPath, req, res, next);
+            self._ensureParentDirectory(mantaPath, function parentReady(err) {
+                if (err) {
+                    return next(err);
+                }
+
+                return self._uploadObject(mantaPath, acl, req, res, next);
+            });
+        });
+    }
+
+    /**
+     * Receives a browser form upload via the S3 API (POST Object) and streams
+     * the uploaded file to the Manta object store. The form is checked against
+     * the conditions of its policy before anything is written.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    postObject(req, res, next) {
+        let self = this;
+
+        // Forms have already been read when authentication is enabled
+        if (req.postForm) {
+            return this._storePostedObject(req.postForm, req, res, next);
+        }
+
+        PostForm.parse(req, function formParsed(err, form) {
+            if (err) {
+                return next(err);
             }
+
+            return self._storePostedObject(form, req, res, next);
         });
     }
 
@@ -160,7 +285,7 @@ class Objects {
         mod_assert.string(req.sanitizedPath, 'path is not present');
 
         let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
-        let mantaPath = `${this._bucketPath}/${req.bucket}/${objPath}`;
+        let mantaPath = `${this._bucketPathFor(req)}/${req.bucket}/${objPath}`;
 
         this._mantaClient.mkdirp(mantaPath, function mmkdirp(mkdirErr) {
             if (mkdirErr) {
@@ -174,11 +299,20 @@ class Objects {
 
     /**
      * Receives a request via the S3 API (GET) and streams the associated object
-     * from the Manta object store directly back to the requester.
+     * from the Manta object store directly back to the requester. A single
+     * byte range sent in the Range header is fetched from Manta and sent as
+     * a partial response, unless an If-Range header doesn't match the object.
+     * Objects are always stored in a single part, so the partNumber parameter
+     * may only request the first part (the whole object). Signed requests
+     * may override headers of the response with response-* parameters, eg to
+     * set the name a browser saves the object as. Conditional headers are
+     * answered with 304 Not Modified or PreconditionFailed; date conditions
+     * are evaluated by Manta unless ETag conditions are present.
      *
      * @param {external:Request} req request object
      * @param {external:Response} res response object
      * @param {restifyCallback} next callback
+     * @returns {*} callback return value
      */
     getObject(req, res, next) {
         req.log.debug('Getting object [%s] %s', req.bucket, req.sanitizedPath);
@@ -188,8 +322,17 @@ class Objects {
         let mantaClient = this._mantaClient;
 
         let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
-        let mantaDir = `${this._bucketPath}/${req.bucket}`;
+        let mantaDir = `${this._bucketPathFor(req)}/${req.bucket}`;
         let mantaPath = `${mantaDir}/${objPath}`;
+        let requested;
+        let overrides;
+
+        try {
+            requested = Objects._parseRangeRequest(req.headers, req.params);
+            overrides = Objects._responseOverrides(req);
+        } catch (err) {
+            return next(err);
+        }
 
         /* We do a HEAD request against the bucket directory because it allows us
          * to simulate the check of a bucket's existence and to throw an error in a
@@ -204,59 +347,137 @@ class Objects {
                 return next(new errors.InternalError(headBucketErr));
             }
 
-            mantaClient.get(mantaPath, function getObj(err, stream, info) {
-                if (err) {
-                    if (err.statusCode === 404) {
-                        res.send(404);
-                        return next();
+            self._checkObject(mantaPath, objPath, req.headers, requested,
+                function objectChecked(checkErr, check) {
+                    if (checkErr) {
+                        return next(checkErr);
                     }
 
-                    return next(new errors.InternalError(err));
-                }
+                    if (check.condition) {
+                        return Objects._rejectCondition(res, check.condition, check.headers, next);
+                    }
 
-                if (info.headers['content-length']) {
-                    res.header('content-length', Number(info.headers['content-length']));
-                }
+                    let range = check.range;
+                    let opts = { headers: Objects._mantaConditionHeaders(req.headers) };
 
-                if (info.headers['content-type']) {
-                    // Don't allow downloading directories as file objects
-                    if (info.headers['content-type'] === MANTA_DIR_CONTENT_TYPE) {
-                        res.send(404);
-                        return next();
+                    if (range && range.header) {
+                        opts.headers.range = range.header;
                     }
 
-                    res.header('content-type', info.headers['content-type']);
+                    mantaClient.get(mantaPath, opts, function getObj(err, stream, info) {
+                        if (err) {
+                            if (err.statusCode === 404) {
+                                res.send(404);
+                                return next();
+                            }
+
+                            if (err.statusCode === 412) {
+                                return next(errors.PreconditionFailed('If-Unmodified-Since'));
+                            }
+
+                            if (err.statusCode === 416) {
+                                return next(errors.InvalidRange(range.header));
+                            }
+
+                            return next(new errors.InternalError(err));
+                        }
+
+                        // Manta doesn't send the object when it wasn't modified
+                        if (info.statusCode === 304) {
+                            return Objects._rejectCondition(res, 'If-Modified-Since',
+                                info.headers, next);
+                        }
+
+                        // Don't allow downloading directories as file objects
+                        if (info.headers['content-type'] === MANTA_DIR_CONTENT_TYPE) {
+                            res.send(404);
+                            return next();
+                        }
+
+                        self._setObjectHeaders(res, info.headers, overrides);
+
+                        let status = Objects._setRangeHeaders(res, info.headers, range);
+                        res.status(status);
+
+                        stream.once('end', function finishedPipingObject() {
+                            res.send(status);
+                            return next();
+                        });
+
+                        stream.pipe(res);
+                    });
+                });
+        });
+    }
+
+    /**
+     * Receives a request via the S3 API (HEAD) and sends the headers that
+     * getObject would send for the associated object, without its contents.
+     * Conditional headers are evaluated as for getObject.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    headObject(req, res, next) {
+        req.log.debug('Getting object info [%s] %s', req.bucket, req.sanitizedPath);
+        mod_assert.string(req.sanitizedPath, 'path is not present');
+
+        let self = this;
+        let mantaClient = this._mantaClient;
+
+        let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
+        let mantaDir = `${this._bucketPathFor(req)}/${req.bucket}`;
+        let mantaPath = `${mantaDir}/${objPath}`;
+        let partNumber;
+        let overrides;
+
+        try {
+            partNumber = Objects._parsePartNumber(req.params);
+            overrides = Objects._responseOverrides(req);
+        } catch (err) {
+            return next(err);
+        }
+
+        mantaClient.info(mantaDir, function headBucketDir(headBucketErr) {
+            if (headBucketErr) {
+                if (headBucketErr.statusCode === 404) {
+                    return next(new errors.NoSuchBucketError(req.bucket, headBucketErr));
                 }
 
-                if (info.headers['content-md5']) {
-                    /* S3 ETags are in a hex string format and are based on the MD5
-                     * of the file. We convert Manta MD5s to a hex string in order
-                     * to assure compatibility. */
-                    let etag = Objects._md5ToEtag(info.headers['content-md5']);
-                    res.header('etag', '"' + etag + '"');
+                return next(new errors.InternalError(headBucketErr));
+            }
+
+            mantaClient.info(mantaPath, function headObj(err, info) {
+                if (err) {
+                    if (err.statusCode === 404) {
+                        return next(errors.NoSuchKey(objPath));
+                    }
+
+                    return next(new errors.InternalError(err));
                 }
 
-                if (info.headers['durability-level']) {
-                    let storageClass = self._durabilityToStorageClass(
-                        info.headers['durability-level']);
-                    res.header('x-amz-storage-class', storageClass);
+                // Directories are not objects
+                if (info.headers['content-type'] === MANTA_DIR_CONTENT_TYPE) {
+                    return next(errors.NoSuchKey(objPath));
                 }
 
-                let metadata = mod_lo.pickBy(info.headers, function filterMetadata(value, key) {
-                    return mod_lo.startsWith(key, 'm-');
-                });
+                let condition = Objects._failedCondition(req.headers, info.headers);
 
-                mod_lo.forIn(metadata, function assignMetadata(value, key) {
-                    let s3Header = key.replace(/^m-/, 'x-amz-meta-');
-                    res.header(s3Header, value);
-                });
+                if (condition) {
+                    return Objects._rejectCondition(res, condition, info.headers, next);
+                }
 
-                stream.once('end', function finishedPipingObject() {
-                    res.send(200);
-                    return next();
-                });
+                if (partNumber > 1) {
+                    return next(errors.InvalidPartNumber(partNumber, 1));
+                }
+
+                self._setObjectHeaders(res, info.headers, overrides);
 
-                stream.pipe(res);
+                let range = partNumber ? { partNumber: partNumber } : null;
+                res.send(Objects._setRangeHeaders(res, info.headers, range));
+                return next();
             });
         });
     }
@@ -273,7 +494,8 @@ class Objects {
         req.log.debug('Deleting object [%s] %s', req.bucket, req.sanitizedPath);
 
         let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
-        let mantaPath = `${this._bucketPath}/${req.bucket}/${objPath}`;
+        let mantaPath = `${this._bucketPathFor(req)}/${req.bucket}/${objPath}`;
+        let self = this;
 
         this._mantaClient.unlink(mantaPath, function rmObj(err) {
             if (err) {
@@ -284,8 +506,15 @@ class Objects {
                 return next(new errors.InternalError(err));
             }
 
-            res.setHeader('x-amz-delete-marker', false);
-            res.send(204);
+            // Deleted objects are no longer served by Manta either
+            self._publishObject(mantaPath, null, function unpublished(err) {
+                if (err) {
+                    return next(err);
+                }
+
+                res.setHeader('x-amz-delete-marker', false);
+                res.send(204);
+            });
         });
     }
 
@@ -330,7 +559,7 @@ class Objects {
 
         let prefixProps = Objects._parseSubdirAndSearchPrefix(prefix);
         let hasPrefix = !mod_lo.isEmpty(prefixProps.searchPrefix);
-        let mantaDir = `${this._bucketPath}/${req.bucket}/${prefixProps.subdir}`;
+        let mantaDir = `${this._bucketPathFor(req)}/${req.bucket}/${prefixProps.subdir}`;
 
         let opts = { };
 
@@ -461,9 +690,9 @@ class Objects {
     }
 
     /**
-     * Receives a request via the S3 API (GET) and returns back XML indicating
-     * the access privileges for a given object. We always return full control
-     * for every object.
+     * Receives a request via the S3 API (GET ?acl) and returns back XML
+     * indicating the access privileges for a given object. Objects created
+     * before ACLs were stored are private.
      *
      * @param {external:Request} req request object
      * @param {external:Response} res response object
@@ -472,51 +701,110 @@ class Objects {
     getAcl(req, res, next) {
         req.log.debug('Getting object ACL [%s] %s', req.bucket, req.sanitizedPath);
 
-        let owner = {
-            ID: 'idval',
-            DisplayName: this._mantaClient.user
-        };
+        let self = this;
+        let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
+        let mantaPath = `${this._bucketPathFor(req)}/${req.bucket}/${objPath}`;
 
-        let xml = mod_xmlbuilder.create({
-            AccessControlPolicy: {
-                '@xmlns': `http://s3.amazonaws.com/doc/${this._s3Version}/`,
-                Owner: owner,
-                AccessControlList: {
-                    Grant: {
-                        Grantee: {
-                            '@xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
-                            '@xsi:type': 'CanonicalUser',
-                            ID: 'idval',
-                            DisplayName: this._mantaClient.user
-                        },
-                        Permission: 'FULL_CONTROL'
-                    }
+        this._mantaClient.info(mantaPath, function objectInfo(err, info) {
+            if (err) {
+                if (err.statusCode === 404) {
+                    return next(errors.NoSuchKey(objPath));
                 }
+
+                return next(new errors.InternalError(err));
             }
-        }, { version: '1.0', encoding: 'UTF-8'});
 
-        let xmlText = xml.end({ pretty: this._prettyPrintXml });
+            let acl;
 
-        res.header('Content-Type', 'application/xml');
-        res.send(xmlText);
+            try {
+                acl = AclStore.objectAcl(info.headers) ||
+                    AccessControlList.fromCanned('private', null);
+            } catch (e) {
+                return next(new errors.InternalError(e));
+            }
 
-        return next();
+            let owner = {
+                id: 'idval',
+                displayName: self._mantaClient.user
+            };
+
+            let xml = mod_xmlbuilder.create(
+                AccessControlList.toDocument(acl, owner, self._s3Version),
+                { version: '1.0', encoding: 'UTF-8'});
+
+            let xmlText = xml.end({ pretty: self._prettyPrintXml });
+
+            res.header('Content-Type', 'application/xml');
+            res.send(xmlText);
+
+            return next();
+        });
     }
 
     /**
-     * Receives a request via the S3 API (PUT) and returns a status code 200
-     * for every ACL put operation. Since we don't support ACLs, we just
-     * conform to the API so that there are no failures to the consumers.
+     * Receives a request via the S3 API (PUT ?acl) and replaces the ACL of an
+     * object with the ACL sent in the x-amz-acl or x-amz-grant-* headers, or
+     * in an AccessControlPolicy document. The owner of the object is kept.
      *
      * @param {external:Request} req request object
      * @param {external:Response} res response object
      * @param {restifyCallback} next callback
      */
-    putAcl(bucket, req, res, next) {
-        req.log.debug('Putting object ACL (NOOP) [%s] %s', bucket, req.path());
+    putAcl(req, res, next) {
+        let self = this;
+        let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
+        let mantaPath = `${this._bucketPathFor(req)}/${req.bucket}/${objPath}`;
 
-        res.send(200);
-        return next();
+        req.log.debug('Putting object ACL [%s] %s', req.bucket, objPath);
+
+        RequestBody.read(req, MAX_ACL_SIZE, function aclRead(err, body) {
+            if (err) {
+                return next(err);
+            }
+
+            self._mantaClient.info(mantaPath, function objectInfo(err, info) {
+                let current;
+
+                if (err) {
+                    if (err.statusCode === 404) {
+                        return next(errors.NoSuchKey(objPath));
+                    }
+
+                    return next(new errors.InternalError(err));
+                }
+
+                try {
+                    current = AclStore.objectAcl(info.headers);
+                } catch (e) {
+                    return next(new errors.InternalError(e));
+                }
+
+                let owner = current && current.owner ?
+                    current.owner : AccessControlList.ownerFor(req.credential);
+
+                self._bucketOwnerFor(req, req.headers, function bucketOwnerFound(err, bucketOwner) {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    AccessControlList.fromRequest(req.headers, body, owner, bucketOwner,
+                        function aclParsed(err, acl) {
+                            if (err) {
+                                return next(err);
+                            }
+
+                            self._setObjectAcl(mantaPath, acl, info.headers, function aclSet(err) {
+                                if (err) {
+                                    return next(err);
+                                }
+
+                                res.send(200);
+                                return next();
+                            });
+                        });
+                });
+            });
+        });
     }
 
     /**
@@ -533,60 +821,120 @@ class Objects {
             this._maxFilenameLength);
 
         let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
-        let mantaPath = Utils.sanitizeS3Filepath(`${this._bucketPath}/${req.bucket}/${objPath}`);
-        let mantaDir = mod_path.dirname(mantaPath);
+        let bucketPath = this._bucketPathFor(req);
+        let mantaPath = Utils.sanitizeS3Filepath(`${bucketPath}/${req.bucket}/${objPath}`);
 
         req.log.debug('Copying object from %s to [%s] %s',
             source, req.bucket, req.path());
 
         let self = this;
-        let fullSource = this._bucketPath + source;
+        let fullSource = bucketPath + source;
+
+        this._objectAclFor(req, req.headers, function aclBuilt(aclErr, acl) {
+            if (aclErr) {
+                return next(aclErr);
+            }
+
+            self._copyObject(fullSource, mantaPath, acl, res, next);
+        });
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Links an object to its copy and sends the result of the copy.
+     *
+     * @private
+     * @param {string} fullSource path on Manta filesystem of the copied object
+     * @param {string} mantaPath path on Manta filesystem of the copy
+     * @param {Acl} acl ACL of the copy
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     */
+    _copyObject(fullSource, mantaPath, acl, res, next) {
+        let self = this;
+        let mantaDir = mod_path.dirname(mantaPath);
 
         this._mantaClient.info(fullSource, function linkedObjectInfo(err, info) {
             if (err) {
                 // TODO: Figure out what s3 does in this case and emulate it
                 res.send(404);
-            } else {
-                self._mantaClient.info(mantaDir, function headLnDir(headErr) {
-                    if (headErr) {
-                        self._mantaClient.mkdirp(mantaDir, function mkLnObjDir(mkdirErr) {
-                            if (mkdirErr) {
-                                return next(errors.InternalError(mkdirErr));
-                            }
-                        });
-                    }
+                return next();
+            }
 
-                    let etag = Objects._md5ToEtag(info.headers['content-md5']);
-                    let lastModified = new Date(info.headers['last-modified']).toISOString();
+            self._mantaClient.info(mantaDir, function headLnDir(headErr) {
+                if (!headErr) {
+                    return self._linkCopy(fullSource, mantaPath, acl, info, res, next);
+                }
 
-                    self._mantaClient.ln(fullSource, mantaPath, function objectLinked(lnErr) {
-                        if (lnErr) {
-                            return next(errors.InternalError(lnErr));
-                        }
+                self._mantaClient.mkdirp(mantaDir, function mkLnObjDir(mkdirErr) {
+                    if (mkdirErr) {
+                        return next(errors.InternalError(mkdirErr));
+                    }
 
-                        let xml = mod_xmlbuilder.create({
-                            CopyObjectResult: {
-                                '@xmlns': `http://s3.amazonaws.com/doc/${self._s3Version}/`
-                            }
-                        });
+                    return self._linkCopy(fullSource, mantaPath, acl, info, res, next);
+                });
+            });
+        });
+    }
+
+    /**
+     * Links an object to its copy once the directory of the copy exists, sets
+     * the ACL of the copy and sends the result of the copy.
+     *
+     * @private
+     * @param {string} fullSource path on Manta filesystem of the copied object
+     * @param {string} mantaPath path on Manta filesystem of the copy
+     * @param {Acl} acl ACL of the copy
+     * @param {object} info Manta info of the copied object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     */
+    _linkCopy(fullSource, mantaPath, acl, info, res, next) {
+        let self = this;
+        let etag = Objects._md5ToEtag(info.headers['content-md5']);
+        let lastModified = new Date(info.headers['last-modified']).toISOString();
 
-                        xml.ele('LastModified', lastModified).up()
-                            .ele('ETag').raw('&quot;' + etag + '&quot;').up()
-                            .end();
+        this._mantaClient.ln(fullSource, mantaPath, function objectLinked(lnErr) {
+            if (lnErr) {
+                return next(errors.InternalError(lnErr));
+            }
 
-                        let xmlText = xml.end({pretty: self._prettyPrintXml});
+            // Copies don't inherit the ACL of their source
+            self._setObjectAcl(mantaPath, acl, info.headers, function copyAclSet(aclErr) {
+                if (aclErr) {
+                    return next(aclErr);
+                }
 
-                        res.header('Content-Type', 'application/xml');
-                        res.send(xmlText);
-                    });
+                let xml = mod_xmlbuilder.create({
+                    CopyObjectResult: {
+                        '@xmlns': `http://s3.amazonaws.com/doc/${self._s3Version}/`
+                    }
                 });
-            }
 
-            return next();
+                xml.ele('LastModified', lastModified).up()
+                    .ele('ETag').raw('&quot;' + etag + '&quot;').up()
+                    .end();
+
+                let xmlText = xml.end({pretty: self._prettyPrintXml});
+
+                res.header('Content-Type', 'application/xml');
+                res.send(xmlText);
+                return next();
+            });
         });
     }
 
-    ///--- PRIVATE METHODS
+    /**
+     * Finds the Manta directory containing the buckets visible to the caller.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {string} path to the Manta directory containing buckets
+     */
+    _bucketPathFor(req) {
+        return req.bucketPath || this._bucketPath;
+    }
 
     /**
      * Looks up the S3 storage class associated with a given durability level.
@@ -604,68 +952,689 @@ class Objects {
     }
 
     /**
-     * Uploads data received from a Restify request object into the Manta
-     * object store.
+     * Maps the headers of a Manta object to the S3 headers describing it.
      *
      * @private
-     * @param {string} mantaPath path on Manta filesystem to upload to
-     * @param {external:Request} req request object
      * @param {external:Response} res response object
-     * @param {restifyCallback} next callback
+     * @param {object} headers headers of the Manta object
+     * @param {object.<string, string>} [overrides] headers requested by the
+     *                                              response-* query parameters
      */
-    _uploadObject(mantaPath, req, res, next) {
-        let opts = { };
+    _setObjectHeaders(res, headers, overrides) {
+        if (headers['content-length']) {
+            res.header('content-length', Number(headers['content-length']));
+        }
 
-        if (req.headers['content-length']) {
-            opts.size = Number(req.headers['content-length']);
+        if (headers['content-type']) {
+            res.header('content-type', headers['content-type']);
         }
 
-        if (req.headers['content-type']) {
-            opts.type = req.headers['content-type'];
+        if (headers['content-md5']) {
+            /* S3 ETags are in a hex string format and are based on the MD5
+             * of the file. We convert Manta MD5s to a hex string in order
+             * to assure compatibility. */
+            let etag = Objects._md5ToEtag(headers['content-md5']);
+            res.header('etag', '"' + etag + '"');
         }
 
-        if (req.headers['content-md5']) {
-            opts.md5 = req.headers['content-md5'];
+        if (headers['last-modified']) {
+            res.header('last-modified', headers['last-modified']);
         }
 
-        let durability = this._defaultDurability;
+        res.header('accept-ranges', 'bytes');
 
-        if (req.headers['x-amz-storage-class']) {
-            let storageMapping = this._storageClassMappingToDurability;
-            let durabilityOverride = storageMapping[req.headers['x-amz-storage-class']];
+        if (headers['durability-level']) {
+            let storageClass = this._durabilityToStorageClass(headers['durability-level']);
+            res.header('x-amz-storage-class', storageClass);
+        }
 
-            if (durabilityOverride) {
-                durability = durabilityOverride;
+        MANTA_OBJECT_HEADERS.forEach(function assignObjectHeader(header) {
+            if (headers[header]) {
+                res.header(header, headers[header]);
             }
+        });
+
+        mod_lo.forIn(STORED_OBJECT_HEADERS, function assignStoredHeader(mantaHeader, header) {
+            if (headers[mantaHeader]) {
+                res.header(header, headers[mantaHeader]);
+            }
+        });
+
+        let metadata = mod_lo.pickBy(headers, function filterMetadata(value, key) {
+            return mod_lo.startsWith(key, 'm-') && !Objects._isBridgeMetadata(key);
+        });
+
+        mod_lo.forIn(metadata, function assignMetadata(value, key) {
+            let s3Header = key.replace(/^m-/, 'x-amz-meta-');
+            res.header(s3Header, value);
+        });
+
+        mod_lo.forIn(overrides, function assignOverride(value, key) {
+            res.header(key, value);
+        });
+    }
+
+    /**
+     * Checks a GET request against the object itself when the request can't
+     * be answered from the response of Manta alone: ETags are evaluated by the
+     * bridge because Manta ETags aren't MD5 sums, parts after the first never
+     * exist, and a range is only sent when the If-Range header matches the
+     * object.
+     *
+     * @private
+     * @param {string} mantaPath path of the object in Manta
+     * @param {string} objPath key of the object
+     * @param {object} headers headers of the request
+     * @param {?ObjectRange} requested range requested by the client
+     * @param {function} callback callback invoked with an error or the
+     *                            {@link ObjectCheck} result
+     * @returns {*} callback return value
+     */
+    _checkObject(mantaPath, objPath, headers, requested, callback) {
+        let ifRange = requested && requested.header ? headers['if-range'] : null;
+        let missingPart = requested && requested.partNumber > 1;
+
+        if (!ifRange && !missingPart && !Objects._hasEtagConditions(headers)) {
+            return setImmediate(callback, null, { range: requested, condition: null });
+        }
+
+        this._mantaClient.info(mantaPath, function objectInfo(err, info) {
+            if (err) {
+                if (err.statusCode === 404) {
+                    return callback(errors.NoSuchKey(objPath));
+                }
+
+                return callback(new errors.InternalError(err));
+            }
+
+            if (info.headers['content-type'] === MANTA_DIR_CONTENT_TYPE) {
+                return callback(errors.NoSuchKey(objPath));
+            }
+
+            let condition = Objects._failedCondition(headers, info.headers);
+
+            if (condition) {
+                return callback(null, { condition: condition, headers: info.headers });
+            }
+
+            if (missingPart) {
+                return callback(errors.InvalidPartNumber(requested.partNumber, 1));
+            }
+
+            // The whole object is sent when it changed since the client got the range
+            let range = ifRange && !Objects._ifRangeMatches(ifRange, info.headers) ?
+                null : requested;
+
+            return callback(null, { range: range, condition: null });
+        });
+    }
+
+    /**
+     * Creates the parent directories of an object as needed. In order to
+     * emulate the key/value design of S3 on a hierarchical filesystem, all of
+     * the prefixing directories after the bucket directory are created
+     * because in S3 "directories" are just part of the object's key.
+     *
+     * @private
+     * @param {string} mantaPath path on Manta filesystem of the object
+     * @param {function} callback callback invoked with an error if the
+     *                            directories couldn't be created
+     */
+    _ensureParentDirectory(mantaPath, callback) {
+        let mantaClient = this._mantaClient;
+        let mantaDir = mod_path.dirname(mantaPath);
+
+        mantaClient.info(mantaDir, function headPutDir(headErr) {
+            if (!headErr) {
+                return callback();
+            }
+
+            mantaClient.mkdirp(mantaDir, function mkObjDir(mkdirErr) {
+                if (mkdirErr) {
+                    return callback(errors.InternalError(mkdirErr));
+                }
+
+                return callback();
+            });
+        });
+    }
+
+    /**
+     * Uploads data received from a Restify request object into the Manta
+     * object store. If-Match and If-None-Match headers are enforced by
+     * Manta, so that concurrent writers can't overwrite each other.
+     *
+     * @private
+     * @param {string} mantaPath path on Manta filesystem to upload to
+     * @param {Acl} acl ACL of the object
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     */
+    _uploadObject(mantaPath, acl, req, res, next) {
+        let self = this;
+
+        this._putConditions(mantaPath, req, function conditionsMapped(err, conditions) {
+            if (err) {
+                return next(err);
+            }
+
+            let size = null;
+            let input = req;
+
+            if (req.headers['content-length']) {
+                size = Number(req.headers['content-length']);
+            }
+
+            /* Bodies sent using aws-chunked encoding contain chunk framing that
+             * isn't part of the object, so it is stripped and each chunk signature
+             * is verified before the data is written to Manta. */
+            if (AwsChunkedDecoder.isChunkedUpload(req)) {
+                let decodedLength = req.headers['x-amz-decoded-content-length'];
+                size = decodedLength ? Number(decodedLength) : null;
+
+                input = self._pipeThroughVerifier(req,
+                    new AwsChunkedDecoder(req.chunkSigning, size === null ? undefined : size),
+                    next);
+            } else {
+                // Verify the body against the x-amz-content-sha256 that was signed
+                let verifier = PayloadHashVerifier.forRequest(req);
+
+                if (verifier) {
+                    input = self._pipeThroughVerifier(req, verifier, next);
+                }
+            }
+
+            self._writeObject(mantaPath, input, size, req.headers, acl, conditions,
+                function objectWritten(err, etag) {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    res.header('ETag', '"' + etag + '"');
+
+                    res.send(200);
+                    return next();
+                });
+        });
+    }
+
+    /**
+     * Maps the If-Match and If-None-Match headers of a PUT request onto the
+     * conditional headers of the Manta PUT. Only If-None-Match: * is
+     * supported, as in S3. Manta ETags aren't MD5 sums, so If-Match is first
+     * checked against the current object and Manta is then asked to replace
+     * only that version of the object.
+     *
+     * @private
+     * @param {string} mantaPath path on Manta filesystem to upload to
+     * @param {external:Request} req request object
+     * @param {function} callback callback invoked with an error or the
+     *                            conditional headers to send to Manta
+     * @returns {*} callback return value
+     */
+    _putConditions(mantaPath, req, callback) {
+        let ifMatch = req.headers['if-match'];
+        let ifNoneMatch = req.headers['if-none-match'];
+        let conditions = {};
+
+        if (ifNoneMatch) {
+            if (mod_lo.trim(ifNoneMatch) !== '*') {
+                let err = new errors.NotImplemented(
+                    'A header you provided implies functionality that is not implemented');
+                err.additional = {
+                    Header: 'If-None-Match'
+                };
+
+                return setImmediate(callback, err);
+            }
+
+            conditions['if-none-match'] = '*';
+        }
+
+        if (!ifMatch) {
+            return setImmediate(callback, null, conditions);
+        }
+
+        let objPath = mod_lo.trimStart(req.sanitizedPath, '/');
+
+        this._mantaClient.info(mantaPath, function objectInfo(err, info) {
+            if (err) {
+                if (err.statusCode === 404) {
+                    return callback(errors.NoSuchKey(objPath));
+                }
+
+                return callback(new errors.InternalError(err));
+            }
+
+            if (info.headers['content-type'] === MANTA_DIR_CONTENT_TYPE) {
+                return callback(errors.NoSuchKey(objPath));
+            }
+
+            let etag = info.headers['content-md5'] ?
+                Objects._md5ToEtag(info.headers['content-md5']) : null;
+
+            if (!Objects._etagMatches(ifMatch, etag)) {
+                return callback(errors.PreconditionFailed('If-Match'));
+            }
+
+            conditions['if-match'] = info.headers.etag;
+
+            return callback(null, conditions);
+        });
+    }
+
+    /**
+     * Stores the file of a browser form upload in the Manta object store and
+     * responds as requested by the success_action_redirect or
+     * success_action_status fields.
+     *
+     * @private
+     * @param {PostFormUpload} form browser form upload
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    _storePostedObject(form, req, res, next) {
+        let fields = form.fields;
+        let input = form.file.stream;
+        let key = PostForm.objectKey(form);
+        let range = { min: 0, max: Infinity };
+        let objPath;
+
+        try {
+            if (mod_lo.isEmpty(key)) {
+                throw new errors.InvalidArgument(
+                    'Bucket POST must contain a field named \'key\'.');
+            }
+
+            if (req.postPolicy) {
+                range = PostPolicy.checkConditions(req.postPolicy, fields, req.bucket);
+            }
+
+            AccessControlList.parseCannedAcl(fields.acl);
+
+            let sanitized = Utils.sanitizeS3Filepath(`/${key}`, this._maxFilenameLength);
+            objPath = mod_lo.trimStart(sanitized, '/');
+        } catch (err) {
+            input.resume();
+            return next(err.restCode ? err : new errors.InvalidArgument('%s', err.message));
+        }
+
+        if (input.failed) {
+            return next(errors.MalformedPOSTRequest());
+        }
+
+        input.setRange(range.min, range.max);
+        input.once('error', next);
+
+        let self = this;
+        let mantaPath = `${this._bucketPathFor(req)}/${req.bucket}/${objPath}`;
+
+        // Fields of the form are stored like the headers of a PUT
+        let headers = mod_lo.assign({
+            'content-type': form.file.contentType,
+            'x-amz-acl': fields.acl
+        }, fields);
+
+        this._objectAclFor(req, headers, function aclBuilt(err, acl) {
+            if (err) {
+                input.resume();
+                return next(err);
+            }
+
+            self._ensureParentDirectory(mantaPath, function parentReady(err) {
+                if (err) {
+                    input.resume();
+                    return next(err);
+                }
+
+                self._writeObject(mantaPath, input, null, headers, acl, {},
+                    function objectWritten(err, etag) {
+                        if (err) {
+                            return next(err);
+                        }
+
+                        self._sendPostResponse(req, res, fields, objPath, etag);
+                        return next();
+                    });
+            });
+        });
+    }
+
+    /**
+     * Sends the response to a successful browser form upload. Clients are
+     * redirected to success_action_redirect if it is set. Otherwise the
+     * response status is success_action_status (200, 201 or the default 204),
+     * and 201 responses describe the object in an XML document.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {object.<string, string>} fields form fields indexed by their lowercase name
+     * @param {string} key key of the uploaded object
+     * @param {string} etag ETag of the uploaded object
+     */
+    _sendPostResponse(req, res, fields, key, etag) {
+        let quotedEtag = `"${etag}"`;
+        let redirect = fields.success_action_redirect || fields.redirect;
+        let encodedKey = key.split('/').map(encodeURIComponent).join('/');
+        let scheme = req.isSecure && req.isSecure() ? 'https' : 'http';
+        let bucketPrefix = req.isBaseEndpoint ? `/${encodeURIComponent(req.bucket)}` : '';
+        let location = `${scheme}://${req.headers.host}${bucketPrefix}/${encodedKey}`;
+
+        res.header('ETag', quotedEtag);
+
+        if (!mod_lo.isEmpty(redirect)) {
+            let query = mod_qs.stringify({ bucket: req.bucket, key: key, etag: quotedEtag });
+            let separator = redirect.indexOf('?') < 0 ? '?' : '&';
+
+            res.header('Location', `${redirect}${separator}${query}`);
+            res.send(303);
+            return;
+        }
+
+        res.header('Location', location);
+
+        switch (fields.success_action_status) {
+            case '200':
+                res.send(200);
+                return;
+            case '201':
+                res.header('Content-Type', 'application/xml');
+                res.send(201, mod_xmlbuilder
+                    .create({
+                        PostResponse: {
+                            Location: location,
+                            Bucket: req.bucket,
+                            Key: key,
+                            ETag: quotedEtag
+                        }
+                    }, {version: '1.0', encoding: 'UTF-8'})
+                    .end({ pretty: this._prettyPrintXml }));
+                return;
+            default:
+                res.send(204);
+        }
+    }
+
+    /**
+     * Writes an object to the Manta object store.
+     *
+     * @private
+     * @param {string} mantaPath path on Manta filesystem to upload to
+     * @param {stream.Readable} input stream containing the object data
+     * @param {?integer} size number of bytes in the object or null if unknown
+     * @param {object.<string, string>} headers headers describing the object
+     *                                  (content-type, content-md5,
+     *                                  x-amz-storage-class, x-amz-meta-* and
+     *                                  the standard headers returned on GET)
+     * @param {Acl} acl ACL of the object
+     * @param {object.<string, string>} conditions conditional headers of the
+     *                                     Manta PUT (if-match and if-none-match)
+     * @param {function} callback callback invoked with an error or the ETag of
+     *                            the object. It is not invoked when the input
+     *                            failed verification because that error has
+     *                            already been sent to the client.
+     */
+    _writeObject(mantaPath, input, size, headers, acl, conditions, callback) {
+        let self = this;
+        let opts = { };
+
+        if (size !== null) {
+            opts.size = size;
+        }
+
+        if (headers['content-type']) {
+            opts.type = headers['content-type'];
         }
 
-        opts.headers = {
+        if (headers['content-md5']) {
+            opts.md5 = headers['content-md5'];
+        }
+
+        let durability = this._defaultDurability;
+
+        if (headers['x-amz-storage-class']) {
+            let storageMapping = this._storageClassMappingToDurability;
+            let durabilityOverride = storageMapping[headers['x-amz-storage-class']];
+
+            if (durabilityOverride) {
+                durability = durabilityOverride;
+            }
+        }
+
+        opts.headers = mod_lo.assign({
             'x-durability-level': durability
-        };
+        }, conditions);
 
-        let metadata = mod_lo.pickBy(req.headers, function filterMetadata(value, key) {
+        let metadata = mod_lo.pickBy(headers, function filterMetadata(value, key) {
             return mod_lo.startsWith(key, 'x-amz-meta-');
         });
 
         mod_lo.forIn(metadata, function assignMetadata(value, key) {
             let mantaHeader = key.replace(/^x-amz-meta-/, 'm-');
-            opts.headers[mantaHeader] = value;
+
+            // User metadata can't pass for the metadata of the bridge
+            if (!Objects._isBridgeMetadata(mantaHeader)) {
+                opts.headers[mantaHeader] = value;
+            }
+        });
+
+        MANTA_OBJECT_HEADERS.forEach(function assignObjectHeader(header) {
+            if (headers[header]) {
+                opts.headers[header] = headers[header];
+            }
         });
 
-        this._mantaClient.put(mantaPath, req, opts, function objectPut(err, putRes) {
+        mod_lo.forIn(STORED_OBJECT_HEADERS, function assignStoredHeader(mantaHeader, header) {
+            // The aws-chunked encoding of a streaming upload was removed by the bridge
+            let value = header === 'content-encoding' ?
+                Objects._withoutAwsChunked(headers[header]) : headers[header];
+
+            if (value) {
+                opts.headers[mantaHeader] = value;
+            }
+        });
+
+        // The ACL header can only be set through the ACL of the object
+        opts.headers[AclStore.OBJECT_ACL_HEADER] = AccessControlList.serialize(acl);
+
+        this._mantaClient.put(mantaPath, input, opts, function objectPut(err, putRes) {
+            // A failed verification has already been sent to the client
+            if (input.failed) {
+                return;
+            }
+
+            if (err && err.statusCode === 412) {
+                /* The object exists despite If-None-Match, or it was replaced
+                 * since If-Match was checked against it. */
+                return callback(conditions['if-match'] ?
+                    errors.ConditionalRequestConflict() :
+                    errors.PreconditionFailed('If-None-Match'));
+            }
+
             if (err) {
                 let internalError = new errors.InternalError(err);
-                return next(internalError);
+                return callback(internalError);
             }
 
             let etag = Objects._md5ToEtag(putRes.headers['computed-md5']);
-            res.header('ETag', '"' + etag + '"');
 
-            res.send(200);
-            return next();
+            self._publishObject(mantaPath, acl, function published(err) {
+                if (err) {
+                    return callback(err);
+                }
+
+                return callback(null, etag);
+            });
         });
     }
 
+    /**
+     * Builds the ACL of an object created by the passed request from its
+     * x-amz-acl or x-amz-grant-* headers. The requester owns the object, and
+     * objects are private unless the headers say otherwise.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {object.<string, string>} headers headers (or form fields) setting the ACL
+     * @param {aclCallback} callback callback invoked with the ACL
+     */
+    _objectAclFor(req, headers, callback) {
+        let owner = AccessControlList.ownerFor(req.credential);
+
+        this._bucketOwnerFor(req, headers, function bucketOwnerFound(err, bucketOwner) {
+            let acl;
+
+            if (err) {
+                return callback(err);
+            }
+
+            try {
+                acl = AccessControlList.fromHeaders(headers, owner, bucketOwner) ||
+                    AccessControlList.fromCanned('private', owner);
+            } catch (e) {
+                return callback(e);
+            }
+
+            return callback(null, acl);
+        });
+    }
+
+    /**
+     * Finds the owner of the bucket accessed by the passed request when it
+     * is needed to build an ACL, ie for the bucket-owner-read and
+     * bucket-owner-full-control canned ACLs.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {object.<string, string>} headers headers (or form fields) setting the ACL
+     * @param {function} callback callback invoked with an error or the owner of
+     *                            the bucket (null when it is unknown or not needed)
+     * @returns {*} callback return value
+     */
+    _bucketOwnerFor(req, headers, callback) {
+        if (!/^bucket-owner-/.test(headers['x-amz-acl'] || '')) {
+            return setImmediate(callback, null, null);
+        }
+
+        this._aclStore.loadBucketAcl(this._mantaClient, this._bucketPathFor(req), req.bucket,
+            function bucketAclLoaded(err, acl) {
+                if (err) {
+                    return callback(new errors.InternalError(err));
+                }
+
+                return callback(null, acl ? acl.owner : null);
+            });
+    }
+
+    /**
+     * Replaces the ACL of an object and publishes or withdraws the object
+     * accordingly. Manta replaces all of the metadata of an object when it
+     * is changed, so the rest of the metadata is sent along.
+     *
+     * @private
+     * @param {string} mantaPath path on Manta filesystem of the object
+     * @param {Acl} acl new ACL of the object
+     * @param {object.<string, string>} headers current headers of the Manta object
+     * @param {function} callback callback invoked with an error if the ACL
+     *                            could not be changed
+     */
+    _setObjectAcl(mantaPath, acl, headers, callback) {
+        let self = this;
+        let serialized = AccessControlList.serialize(acl);
+
+        if (headers[AclStore.OBJECT_ACL_HEADER] === serialized) {
+            return this._publishObject(mantaPath, acl, callback);
+        }
+
+        let metadata = mod_lo.pickBy(headers, function filterMetadata(value, key) {
+            return MANTA_METADATA_HEADERS.test(key);
+        });
+
+        metadata[AclStore.OBJECT_ACL_HEADER] = serialized;
+
+        this._mantaClient.chattr(mantaPath, { headers: metadata }, function aclChanged(err) {
+            if (err) {
+                return callback(new errors.InternalError(err));
+            }
+
+            return self._publishObject(mantaPath, acl, callback);
+        });
+    }
+
+    /**
+     * Publishes an object that anonymous clients may read by linking it into
+     * the public bucket path, so that Manta can serve it directly, and
+     * withdraws it otherwise. Links are snapshots, so this is done whenever an
+     * object or its ACL changes. Nothing is done when publishing is disabled
+     * or when the object isn't in the shared bucket path.
+     *
+     * @private
+     * @param {string} mantaPath path on Manta filesystem of the object
+     * @param {?Acl} acl ACL of the object or null if it was deleted
+     * @param {function} callback callback invoked with an error if the object
+     *                            could not be published or withdrawn
+     */
+    _publishObject(mantaPath, acl, callback) {
+        let mantaClient = this._mantaClient;
+        let bucketPrefix = `${this._bucketPath}/`;
+
+        if (!this._publicBucketPath || !mod_lo.startsWith(mantaPath, bucketPrefix)) {
+            return setImmediate(callback);
+        }
+
+        let publicPath = `${this._publicBucketPath}/${mantaPath.substring(bucketPrefix.length)}`;
+
+        if (!AccessControlList.allowsAnonymousRead(acl)) {
+            return mantaClient.unlink(publicPath, function withdrawn(err) {
+                if (err && err.statusCode !== 404) {
+                    return callback(new errors.InternalError(err));
+                }
+
+                return callback();
+            });
+        }
+
+        mantaClient.mkdirp(mod_path.dirname(publicPath), function publicDirReady(err) {
+            if (err) {
+                return callback(new errors.InternalError(err));
+            }
+
+            mantaClient.ln(mantaPath, publicPath, function published(err) {
+                if (err) {
+                    return callback(new errors.InternalError(err));
+                }
+
+                return callback();
+            });
+        });
+    }
+
+    /**
+     * Pipes the passed stream through a {@link VerifyingStream}. When the
+     * verifier fails, the remainder of the request body is discarded and the
+     * error is sent to the client.
+     *
+     * @private
+     * @param {stream.Readable} source stream containing the request body
+     * @param {VerifyingStream} verifier stream verifying the body
+     * @param {restifyCallback} next callback
+     * @returns {VerifyingStream} the verifier stream
+     */
+    _pipeThroughVerifier(source, verifier, next) {
+        verifier.once('error', function verificationFailed(err) {
+            source.unpipe(verifier);
+            source.resume();
+
+            return next(err);
+        });
+
+        return source.pipe(verifier);
+    }
+
     ///--- PRIVATE STATIC METHODS
 
     /**
@@ -721,6 +1690,337 @@ class Objects {
         return relDir.length > 0 ? `${relDir}/${name}` : name;
     }
 
+    /**
+     * Determines if a request has conditions on the ETag of an object.
+     *
+     * @private
+     * @param {object} headers headers of the request
+     * @returns {boolean} true if If-Match or If-None-Match is present
+     */
+    static _hasEtagConditions(headers) {
+        return Boolean(headers['if-match'] || headers['if-none-match']);
+    }
+
+    /**
+     * Builds the conditional headers that are evaluated by Manta, so that the
+     * object isn't transferred when a date condition fails. Date conditions
+     * are ignored when ETag conditions are present, in which case the bridge
+     * evaluates all of them before getting the object.
+     *
+     * @private
+     * @param {object} headers headers of the request
+     * @returns {object} headers to send to Manta
+     */
+    static _mantaConditionHeaders(headers) {
+        if (Objects._hasEtagConditions(headers)) {
+            return {};
+        }
+
+        return mod_lo.pickBy({
+            'if-modified-since': headers['if-modified-since'],
+            'if-unmodified-since': headers['if-unmodified-since']
+        }, function isValidDate(value) {
+            return Boolean(value) && !isNaN(Date.parse(value));
+        });
+    }
+
+    /**
+     * Evaluates the conditional headers of a request against an object,
+     * following S3 precedence: If-Match takes precedence over
+     * If-Unmodified-Since and If-None-Match over If-Modified-Since.
+     * Conditions with invalid dates are ignored.
+     *
+     * @private
+     * @param {object} headers headers of the request
+     * @param {object} objectHeaders headers of the Manta object
+     * @returns {?string} name of the condition that failed or null if the
+     *                    request may proceed
+     */
+    static _failedCondition(headers, objectHeaders) {
+        let etag = objectHeaders['content-md5'] ?
+            Objects._md5ToEtag(objectHeaders['content-md5']) : null;
+        let lastModified = Date.parse(objectHeaders['last-modified']);
+
+        function modifiedSince(value) {
+            let date = Date.parse(value);
+            return isNaN(date) || isNaN(lastModified) ? null : lastModified > date;
+        }
+
+        if (headers['if-match']) {
+            if (!Objects._etagMatches(headers['if-match'], etag)) {
+                return 'If-Match';
+            }
+        } else if (headers['if-unmodified-since'] &&
+            modifiedSince(headers['if-unmodified-since']) === true) {
+            return 'If-Unmodified-Since';
+        }
+
+        if (headers['if-none-match']) {
+            if (Objects._etagMatches(headers['if-none-match'], etag)) {
+                return 'If-None-Match';
+            }
+        } else if (headers['if-modified-since'] &&
+            modifiedSince(headers['if-modified-since']) === false) {
+            return 'If-Modified-Since';
+        }
+
+        return null;
+    }
+
+    /**
+     * Determines if an If-Match or If-None-Match header matches the ETag of
+     * an object. Like S3, weak and unquoted ETags are accepted.
+     *
+     * @private
+     * @param {string} header list of ETags or *
+     * @param {?string} etag hex encoded MD5 of the object
+     * @returns {boolean} true if one of the ETags matches the object
+     */
+    static _etagMatches(header, etag) {
+        return header.split(',').some(function matchesEtag(value) {
+            let candidate = mod_lo.trim(value).replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+            return candidate === '*' || (etag !== null && candidate === etag);
+        });
+    }
+
+    /**
+     * Replies to a request whose condition failed, either with 304 Not
+     * Modified or with a PreconditionFailed error.
+     *
+     * @private
+     * @param {external:Response} res response object
+     * @param {string} condition name of the condition that failed
+     * @param {object} objectHeaders headers of the Manta object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    static _rejectCondition(res, condition, objectHeaders, next) {
+        if (condition === 'If-Match' || condition === 'If-Unmodified-Since') {
+            return next(errors.PreconditionFailed(condition));
+        }
+
+        if (objectHeaders['content-md5']) {
+            res.header('etag', `"${Objects._md5ToEtag(objectHeaders['content-md5'])}"`);
+        }
+
+        if (objectHeaders['last-modified']) {
+            res.header('last-modified', objectHeaders['last-modified']);
+        }
+
+        res.send(304);
+        return next();
+    }
+
+    /**
+     * Reads the response-* query parameters overriding the headers of the
+     * response. Like S3, they may only be used by signed requests.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {object.<string, string>} headers to send in place of the
+     *                                    headers of the object
+     * @throws {Error} InvalidRequest error if the request is anonymous or
+     *                 InvalidArgument error if a value is not a valid header
+     */
+    static _responseOverrides(req) {
+        let overrides = {};
+
+        mod_lo.forIn(RESPONSE_HEADER_OVERRIDES, function readOverride(header, param) {
+            let value = req.params ? req.params[param] : undefined;
+
+            if (value === undefined) {
+                return;
+            }
+
+            if (!mod_lo.isString(value) || /[^\t\x20-\x7e\x80-\xff]/.test(value)) {
+                let err = new errors.InvalidArgument('Invalid value for %s', param);
+                err.additional = {
+                    ArgumentName: param,
+                    ArgumentValue: String(value)
+                };
+
+                throw err;
+            }
+
+            overrides[header] = value;
+        });
+
+        if (req.anonymous === true && !mod_lo.isEmpty(overrides)) {
+            throw new errors.InvalidRequest(
+                'Request specific response headers cannot be used for anonymous GET requests.');
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Parses the part or the byte range requested by a GET request.
+     *
+     * @private
+     * @param {object} headers headers of the request
+     * @param {object} params query parameters of the request
+     * @returns {?ObjectRange} requested range or null for the whole object
+     * @throws {Error} InvalidArgument or InvalidRequest error if the part is invalid
+     */
+    static _parseRangeRequest(headers, params) {
+        let partNumber = Objects._parsePartNumber(params);
+
+        if (partNumber && headers.range) {
+            throw new errors.InvalidRequest(
+                'Cannot specify both Range header and partNumber query parameter');
+        }
+
+        if (partNumber) {
+            return { partNumber: partNumber };
+        }
+
+        let header = Objects._parseRange(headers.range);
+
+        return header ? { header: header } : null;
+    }
+
+    /**
+     * Parses the partNumber query parameter.
+     *
+     * @private
+     * @param {object} params query parameters of the request
+     * @returns {?integer} part number or null if no part was requested
+     * @throws {Error} InvalidArgument error if the part number is invalid
+     */
+    static _parsePartNumber(params) {
+        let value = params ? params.partNumber : undefined;
+
+        if (value === undefined) {
+            return null;
+        }
+
+        let partNumber = /^\d+$/.test(value) ? Number(value) : NaN;
+
+        if (!(partNumber >= 1 && partNumber <= MAX_PART_NUMBER)) {
+            let err = new errors.InvalidArgument(
+                'Part number must be an integer between 1 and %d, inclusive', MAX_PART_NUMBER);
+            err.additional = {
+                ArgumentName: 'partNumber',
+                ArgumentValue: value
+            };
+
+            throw err;
+        }
+
+        return partNumber;
+    }
+
+    /**
+     * Parses a Range header. Like S3, only a single byte range is supported
+     * and headers that can't be parsed are ignored.
+     *
+     * @private
+     * @param {string} [header] value of the Range header
+     * @returns {?string} Range header to send to Manta or null to get the
+     *                    whole object
+     */
+    static _parseRange(header) {
+        let match = RANGE_PATTERN.exec(mod_lo.trim(header));
+
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return null;
+        }
+
+        if (match[1] !== '' && match[2] !== '' && Number(match[2]) < Number(match[1])) {
+            return null;
+        }
+
+        return `bytes=${match[1]}-${match[2]}`;
+    }
+
+    /**
+     * Determines if an If-Range header matches an object, either by ETag or
+     * by last modification date.
+     *
+     * @private
+     * @param {string} ifRange value of the If-Range header
+     * @param {object} headers headers of the Manta object
+     * @returns {boolean} true if the range may be sent
+     */
+    static _ifRangeMatches(ifRange, headers) {
+        let value = mod_lo.trim(ifRange);
+
+        if (mod_lo.startsWith(value, '"') || mod_lo.startsWith(value, 'W/')) {
+            return Boolean(headers['content-md5']) &&
+                value === `"${Objects._md5ToEtag(headers['content-md5'])}"`;
+        }
+
+        let date = Date.parse(value);
+        let lastModified = Date.parse(headers['last-modified']);
+
+        return !isNaN(date) && date === lastModified;
+    }
+
+    /**
+     * Describes the part of an object sent in a response.
+     *
+     * @private
+     * @param {external:Response} res response object
+     * @param {object} headers headers of the Manta object or of the range
+     *                         sent by Manta
+     * @param {?ObjectRange} range range sent or null for the whole object
+     * @returns {integer} status code of the response (200 or 206)
+     */
+    static _setRangeHeaders(res, headers, range) {
+        if (!range) {
+            return 200;
+        }
+
+        if (range.header && headers['content-range']) {
+            res.header('content-range', headers['content-range']);
+            return 206;
+        }
+
+        let size = Number(headers['content-length']);
+
+        // The first part of an object stored in a single part is the whole object
+        if (range.partNumber && size > 0) {
+            res.header('content-range', `bytes 0-${size - 1}/${size}`);
+            return 206;
+        }
+
+        return 200;
+    }
+
+    /**
+     * Determines if a Manta metadata header is used by the bridge itself
+     * rather than set by users with x-amz-meta-* headers.
+     *
+     * @private
+     * @param {string} mantaHeader name of the Manta header
+     * @returns {boolean} true if the header is reserved to the bridge
+     */
+    static _isBridgeMetadata(mantaHeader) {
+        return mantaHeader === AclStore.OBJECT_ACL_HEADER ||
+            mod_lo.includes(mod_lo.values(STORED_OBJECT_HEADERS), mantaHeader);
+    }
+
+    /**
+     * Removes the aws-chunked token from the Content-Encoding header of an
+     * upload, as S3 does, since the object is stored decoded.
+     *
+     * @private
+     * @param {string} [contentEncoding] Content-Encoding header of the upload
+     * @returns {?string} encodings of the stored object or null if none is left
+     */
+    static _withoutAwsChunked(contentEncoding) {
+        if (!contentEncoding) {
+            return null;
+        }
+
+        let encodings = contentEncoding.split(',').map(mod_lo.trim)
+            .filter(function isObjectEncoding(encoding) {
+                return encoding.length > 0 && encoding.toLowerCase() !== 'aws-chunked';
+            });
+
+        return encodings.length > 0 ? encodings.join(',') : null;
+    }
+
     /**
      * Converts a base64 formatted md5 value to a plain-text hex value.
      *
@@ -24,12 +24,27 @@ class Options {
      * @param {integer} config.serverPort port to listen on for connections
      * @param {boolean} config.prettyPrint enable pretty printing of output
      * @param {string} config.bucketPath path to the Manta directory containing buckets
+     * @param {string} config.tenantBucketPath template of the path containing a tenant's buckets
+     * @param {string} config.publicBucketPath Manta directory publishing public objects
      * @param {string} config.baseSubdomain default subdomain to use for general requests
      * @param {integer} config.maxRequestBodySize maximum number of bytes to support in a single HTTP request
      * @param {string} config.s3Version S3 API version to report to client
      * @param {string} config.accessKey S3 compatible access key used to secure server
      * @param {string} config.secretKey S3 compatible access key used to secure server
+     * @param {string} config.previousSecretKey secret key being rotated out
+     * @param {string} config.previousSecretKeyExpiration date after which previousSecretKey
+     *                                                   is rejected
+     * @param {object} config.credentialStore settings for the store containing S3 credentials
+     * @param {Array.<string>} config.allowedSourceIps IP addresses or CIDR blocks that
+     *                                           accessKey may be used from
      * @param {integer} config.maxAllowedSkewMilliseconds maximum skew allowed when authenticating
+     * @param {boolean} config.allowUnsignedPayload when true v4 requests may send UNSIGNED-PAYLOAD
+     * @param {string} config.auditLog stdout, stderr or path of the file receiving the audit trail
+     * @param {Array.<string>} config.trustedProxies IP addresses or CIDR blocks of trusted proxies
+     * @param {boolean} config.proxyProtocol when true connections start with a PROXY header
+     * @param {integer} config.policyCacheTtlMilliseconds milliseconds to cache policies and ACLs
+     * @param {string} config.sessionTokenSecret secret used to sign session tokens
+     * @param {integer} config.maxSessionDurationSeconds maximum lifetime of session credentials
      * @param {integer} config.defaultDurability default number of copies to make of new objects
      * @param {integer} config.maxFilenameLength maximum length of full file path
      * @param {object} config.storageClassMappingToDurability mapping of S3 storage classes to durability levels
@@ -83,6 +98,26 @@ class Options {
          */
         this.bucketPath = Options.loadOption(config, 'bucketPath', '~~/stor/s3_buckets');
 
+        /**
+         * Template of the path to the Manta directory containing the buckets of
+         * a tenant. The {tenant} placeholder is replaced by the tenant set on
+         * the credential that authenticated the request.
+         * @type {string}
+         * @default ~~/stor/tenants/{tenant}/buckets
+         */
+        this.tenantBucketPath = Options.loadOption(config, 'tenantBucketPath',
+            '~~/stor/tenants/{tenant}/buckets');
+
+        /**
+         * Path to a Manta directory (eg ~~/public/s3_buckets) where objects with
+         * a public-read canned ACL are published as snaplinks, so that Manta can
+         * serve them directly. Only buckets in bucketPath are published. When not
+         * set, public objects are only served by the bridge.
+         * @type {?string}
+         * @default null
+         */
+        this.publicBucketPath = Options.loadOption(config, 'publicBucketPath', null);
+
         /**
          * Default subdomain to use for general requests.
          * @type {string}
@@ -117,6 +152,46 @@ class Options {
          */
         this.secretKey = Options.loadOption(config, 'secretKey');
 
+        /**
+         * Secret key being rotated out, which is still accepted for accessKey
+         * until previousSecretKeyExpiration.
+         * @type {?string}
+         * @default null
+         */
+        this.previousSecretKey = Options.loadOption(config, 'previousSecretKey', null);
+
+        /**
+         * Date after which previousSecretKey is rejected.
+         * @type {?string}
+         * @default null
+         */
+        this.previousSecretKeyExpiration = Options.loadOption(
+            config, 'previousSecretKeyExpiration', null);
+
+        /**
+         * IP addresses or CIDR blocks that accessKey may be used from, or null
+         * to accept it from any address.
+         * @type {?Array.<string>}
+         * @default null
+         */
+        this.allowedSourceIps = Options.loadOption(config, 'allowedSourceIps', null);
+
+        /**
+         * Settings for the store containing S3 credentials. When not set,
+         * accessKey and secretKey are the only accepted credentials.
+         * @type {?object}
+         * @default null
+         */
+        this.credentialStore = Options.loadOption(config, 'credentialStore', null);
+
+        /**
+         * Regions that v4 signatures may be scoped to. Requests signed for any
+         * other region are rejected with the first region as the expected one.
+         * @type {Array.<string>}
+         * @default ['us-east-1']
+         */
+        this.regions = mod_lo.castArray(Options.loadOption(config, 'regions', ['us-east-1']));
+
         /**
          * Maximum skew allowed when authenticating.
          * @type {integer}
@@ -125,6 +200,112 @@ class Options {
         this.maxAllowedSkewMilliseconds = Options.loadOption(
             config, 'maxAllowedSkewMilliseconds', 900000, 'integer');
 
+        /**
+         * When true v4 signed requests may opt out of signing their body by
+         * sending UNSIGNED-PAYLOAD as the x-amz-content-sha256 header.
+         * @type {boolean}
+         * @default true
+         */
+        this.allowUnsignedPayload = Options.loadOption(
+            config, 'allowUnsignedPayload', true, 'boolean');
+
+        /**
+         * Number of failed authentications after which an access key or a
+         * client IP address is temporarily blocked, or 0 to never block.
+         * @type {integer}
+         * @default 20
+         */
+        this.authFailureLimit = Options.loadOption(config, 'authFailureLimit', 20, 'integer');
+
+        /**
+         * Number of milliseconds in which failed authentications are counted.
+         * @type {integer}
+         * @default 300000
+         */
+        this.authFailureWindowMilliseconds = Options.loadOption(
+            config, 'authFailureWindowMilliseconds', 300000, 'integer');
+
+        /**
+         * Number of milliseconds that clients stay blocked after reaching
+         * the failed authentication limit.
+         * @type {integer}
+         * @default 900000
+         */
+        this.authFailureBlockMilliseconds = Options.loadOption(
+            config, 'authFailureBlockMilliseconds', 900000, 'integer');
+
+        /**
+         * Access keys and client IP addresses whose signature checks are
+         * logged when the server starts. They can be changed at runtime
+         * through the PUT /?authDiagnostics admin endpoint.
+         * @type {{accessKeys: Array.<string>, clientIps: Array.<string>}}
+         */
+        this.authDiagnostics = Options.loadOption(config, 'authDiagnostics',
+            { accessKeys: [], clientIps: [] });
+
+        /**
+         * Number of recent authentication failures kept for the
+         * GET /?authDiagnostics admin endpoint.
+         * @type {integer}
+         * @default 100
+         */
+        this.authFailureHistorySize = Options.loadOption(
+            config, 'authFailureHistorySize', 100, 'integer');
+
+        /**
+         * Where the audit trail of authentication and authorization decisions
+         * is written: stdout, stderr or the path of a file. Auditing is
+         * disabled when not set.
+         * @type {?string}
+         * @default null
+         */
+        this.auditLog = Options.loadOption(config, 'auditLog', null);
+
+        /**
+         * IP addresses or CIDR blocks of the proxies in front of the bridge.
+         * The client address is only read from the X-Forwarded-For and
+         * X-Real-IP headers, or from PROXY protocol headers, sent by these.
+         * @type {Array.<string>}
+         * @default []
+         */
+        this.trustedProxies = mod_lo.castArray(Options.loadOption(config, 'trustedProxies', []));
+
+        /**
+         * When true every connection must start with a PROXY protocol header
+         * (version 1 or 2) carrying the address of the client.
+         * @type {boolean}
+         * @default false
+         */
+        this.proxyProtocol = Options.loadOption(config, 'proxyProtocol', false, 'boolean');
+
+        /**
+         * Number of milliseconds that bucket policies and ACLs are cached for.
+         * Changes made through another bridge instance take up to this long
+         * to be seen.
+         * @type {integer}
+         * @default 30000
+         */
+        this.policyCacheTtlMilliseconds = Options.loadOption(
+            config, 'policyCacheTtlMilliseconds', 30000, 'integer');
+
+        /**
+         * Secret used to sign the tokens of session credentials. Every bridge
+         * instance behind the same endpoint must use the same secret. When not
+         * set, a random secret is generated and sessions only work on the
+         * process that issued them.
+         * @type {?string}
+         * @default null
+         */
+        this.sessionTokenSecret = Options.loadOption(config, 'sessionTokenSecret', null);
+
+        /**
+         * Maximum lifetime in seconds of session credentials issued by AssumeRole.
+         * @type {integer}
+         * @default 43200
+         */
+        this.maxSessionDurationSeconds = Options.loadOption(
+            config, 'maxSessionDurationSeconds', 43200, 'integer');
+
         /**
          * Default number of copies to make of new objects.
          * @type {integer}
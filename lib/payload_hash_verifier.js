@@ -0,0 +1,158 @@
+/**
+ * @file File containing {@link PayloadHashVerifier} class definition.
+ */
+'use strict';
+
+let mod_crypto = require('crypto');
+
+let errors = require('./errors');
+let VerifyingStream = require('./verifying_stream');
+
+/**
+ * Pattern matching a SHA256 hash encoded as a hex string.
+ * @type {RegExp}
+ */
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Transform stream that hashes the body of a request as it streams through it
+ * and verifies that the SHA256 hash matches the hash that the client signed
+ * (x-amz-content-sha256). Data is passed downstream as it arrives, except
+ * for the last chunk received, which is held back until the hash has been
+ * verified. Destinations expecting a known length (eg a Manta upload) thus
+ * never receive a complete tampered body. If the hash doesn't match,
+ * downstream destinations are aborted instead of ended.
+ */
+class PayloadHashVerifier extends VerifyingStream {
+    /**
+     * Creates a new instance that verifies against the passed hash.
+     *
+     * @param {string} expectedHash SHA256 hash encoded as a hex string
+     */
+    constructor(expectedHash) {
+        super();
+
+        /**
+         * SHA256 hash encoded as a hex string that the client signed.
+         * @private
+         * @type {string}
+         */
+        this._expectedHash = expectedHash;
+
+        /**
+         * Running hash of the data that has passed through the stream.
+         * @private
+         * @type {crypto.Hash}
+         */
+        this._hash = mod_crypto.createHash('sha256');
+
+        /**
+         * Last chunk received, which is only passed on once the next chunk
+         * arrives or the hash has been verified.
+         * @private
+         * @type {?Buffer}
+         */
+        this._pending = null;
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Creates a new verifier for the passed request if the request was signed
+     * with a hash of its body.
+     *
+     * @param {external:Request} req request object
+     * @returns {?PayloadHashVerifier} verifier or null if the body was not signed
+     */
+    static forRequest(req) {
+        let expectedHash = req.signedPayloadHash;
+
+        if (!PayloadHashVerifier.isPayloadHash(expectedHash)) {
+            return null;
+        }
+
+        return new PayloadHashVerifier(expectedHash);
+    }
+
+    /**
+     * Determines if the passed value is an actual hash of a payload as opposed
+     * to one of the special values (eg UNSIGNED-PAYLOAD) that can be sent as
+     * the x-amz-content-sha256 header.
+     *
+     * @param {string} value value to check
+     * @returns {boolean} true if the value is a SHA256 hash encoded as a hex string
+     */
+    static isPayloadHash(value) {
+        return SHA256_HEX_PATTERN.test(value);
+    }
+
+    /**
+     * Verifies the hash of a body that has already been fully read.
+     *
+     * @param {external:Request} req request object
+     * @param {Buffer} body contents of the request body
+     * @returns {?Error} error if the hash of the body doesn't match the signed hash
+     */
+    static verifyBody(req, body) {
+        let expectedHash = req.signedPayloadHash;
+
+        if (!PayloadHashVerifier.isPayloadHash(expectedHash)) {
+            return null;
+        }
+
+        let hash = mod_crypto.createHash('sha256');
+        hash.update(body);
+
+        return PayloadHashVerifier._compare(expectedHash, hash.digest('hex'));
+    }
+
+    ///--- PRIVATE METHODS
+
+    _transform(chunk, encoding, cb) {
+        let previous = this._pending;
+
+        this._hash.update(chunk);
+        this._pending = chunk;
+
+        return previous ? cb(null, previous) : cb();
+    }
+
+    _flush(cb) {
+        let err = PayloadHashVerifier._compare(this._expectedHash, this._hash.digest('hex'));
+
+        if (err) {
+            this._pending = null;
+            return this._fail(err, cb);
+        }
+
+        if (this._pending) {
+            this.push(this._pending);
+            this._pending = null;
+        }
+
+        return cb();
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Compares the hash sent by the client with the hash computed by the server.
+     *
+     * @private
+     * @param {string} expectedHash hash sent by the client
+     * @param {string} actualHash hash computed from the body received
+     * @returns {?Error} error if the hashes don't match
+     */
+    static _compare(expectedHash, actualHash) {
+        if (expectedHash === actualHash) {
+            return null;
+        }
+
+        return errors.XAmzContentSHA256Mismatch(expectedHash, actualHash);
+    }
+}
+
+/**
+ * @type {PayloadHashVerifier}
+ */
+module.exports = PayloadHashVerifier;
@@ -0,0 +1,519 @@
+/**
+ * @file File containing {@link PolicyEvaluator} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+let errors = require('./errors');
+let ClientAddress = require('./client_address');
+
+/**
+ * Policy language versions that are accepted.
+ * @type {Array.<string>}
+ */
+const POLICY_VERSIONS = ['2012-10-17', '2008-10-17'];
+
+/**
+ * Effect of a statement that allows a request.
+ * @type {string}
+ * @default
+ */
+const ALLOW = 'Allow';
+
+/**
+ * Effect of a statement that denies a request.
+ * @type {string}
+ * @default
+ */
+const DENY = 'Deny';
+
+/**
+ * Condition operators indexed by name. Each operator compares a value from
+ * the request context against a single value from the policy.
+ * @type {object.<string, function>}
+ */
+const CONDITION_OPERATORS = {
+    StringEquals: function (actual, expected) {
+        return actual === String(expected);
+    },
+    StringEqualsIgnoreCase: function (actual, expected) {
+        return actual.toLowerCase() === String(expected).toLowerCase();
+    },
+    StringLike: function (actual, expected) {
+        return PolicyEvaluator._wildcardToRegExp(String(expected), false).test(actual);
+    },
+    NumericEquals: function (actual, expected) {
+        return Number(actual) === Number(expected);
+    },
+    NumericLessThan: function (actual, expected) {
+        return Number(actual) < Number(expected);
+    },
+    NumericLessThanEquals: function (actual, expected) {
+        return Number(actual) <= Number(expected);
+    },
+    NumericGreaterThan: function (actual, expected) {
+        return Number(actual) > Number(expected);
+    },
+    NumericGreaterThanEquals: function (actual, expected) {
+        return Number(actual) >= Number(expected);
+    },
+    Bool: function (actual, expected) {
+        return String(actual).toLowerCase() === String(expected).toLowerCase();
+    },
+    IpAddress: function (actual, expected) {
+        return ClientAddress.matches(actual, String(expected));
+    }
+};
+
+/**
+ * Negated condition operators mapped to the operator they negate.
+ * @type {object.<string, string>}
+ */
+const NEGATED_OPERATORS = {
+    StringNotEquals: 'StringEquals',
+    StringNotEqualsIgnoreCase: 'StringEqualsIgnoreCase',
+    StringNotLike: 'StringLike',
+    NumericNotEquals: 'NumericEquals',
+    NotIpAddress: 'IpAddress'
+};
+
+/**
+ * Evaluates AWS style JSON policy documents against requests. A policy
+ * contains a list of statements that Allow or Deny a set of actions on a set
+ * of resources, optionally limited to principals and to requests that meet
+ * conditions. An explicit Deny in any matching statement takes precedence
+ * over an Allow.
+ *
+ * @see {@link http://docs.aws.amazon.com/IAM/latest/UserGuide/reference_policies_elements.html |
+ *      IAM policy elements reference}
+ */
+class PolicyEvaluator {
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Parses and validates a policy document sent as JSON text.
+     *
+     * @param {string} text JSON policy document
+     * @param {object} [validation] validation settings
+     * @param {boolean} [validation.principalRequired] when true every statement must
+     *                  have a Principal (bucket policies), when false statements may not
+     *                  have a Principal (identity policies)
+     * @param {string} [validation.resourceBucket] bucket that every resource must be in
+     * @returns {object} parsed policy document
+     * @throws {Error} MalformedPolicy error when the document is invalid
+     */
+    static parse(text, validation) {
+        let document;
+
+        try {
+            document = JSON.parse(text);
+        } catch (e) {
+            throw new errors.MalformedPolicy('Policies must be valid JSON');
+        }
+
+        PolicyEvaluator.validate(document, validation);
+
+        return document;
+    }
+
+    /**
+     * Validates the structure of a policy document.
+     *
+     * @param {object} document policy document
+     * @param {object} [validation] validation settings, see {@link PolicyEvaluator.parse}
+     * @throws {Error} MalformedPolicy error when the document is invalid
+     */
+    static validate(document, validation) {
+        let settings = validation || {};
+
+        if (!mod_lo.isPlainObject(document)) {
+            throw new errors.MalformedPolicy('Policies must be a JSON object');
+        }
+
+        if (mod_lo.has(document, 'Version') && POLICY_VERSIONS.indexOf(document.Version) < 0) {
+            throw new errors.MalformedPolicy('The policy must contain a valid version string');
+        }
+
+        let statements = PolicyEvaluator._statements(document);
+
+        if (statements.length === 0) {
+            throw new errors.MalformedPolicy('Could not parse the policy: Statement is empty!');
+        }
+
+        statements.forEach(function validateStatement(statement) {
+            PolicyEvaluator._validateStatement(statement, settings);
+        });
+    }
+
+    /**
+     * Evaluates the passed policy against a request.
+     *
+     * @param {object} document validated policy document
+     * @param {object} request request to evaluate
+     * @param {?string} request.principal access key that made the request
+     * @param {string} request.action S3 action (eg s3:GetObject)
+     * @param {string} request.resource ARN of the resource being accessed
+     * @param {object.<string, string>} request.context condition keys and values
+     *                                  describing the request (eg aws:SourceIp)
+     * @returns {?string} Deny when a statement denies the request, Allow when a
+     *                    statement allows it or null when no statement applies
+     */
+    static evaluate(document, request) {
+        let context = mod_lo.mapKeys(request.context || {}, function lowerKey(v, k) {
+            return k.toLowerCase();
+        });
+        let allowed = false;
+
+        let statements = PolicyEvaluator._statements(document);
+
+        for (let i = 0; i < statements.length; i++) {
+            let statement = statements[i];
+
+            if (!PolicyEvaluator._statementApplies(statement, request, context)) {
+                continue;
+            }
+
+            if (statement.Effect === DENY) {
+                return DENY;
+            }
+
+            allowed = true;
+        }
+
+        return allowed ? ALLOW : null;
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Normalizes the Statement element to an array.
+     *
+     * @private
+     * @param {object} document policy document
+     * @returns {Array.<object>} statements
+     */
+    static _statements(document) {
+        return PolicyEvaluator._asArray(document.Statement);
+    }
+
+    /**
+     * Validates a single statement.
+     *
+     * @private
+     * @param {object} statement policy statement
+     * @param {object} settings validation settings
+     * @throws {Error} MalformedPolicy error when the statement is invalid
+     */
+    static _validateStatement(statement, settings) {
+        if (!mod_lo.isPlainObject(statement)) {
+            throw new errors.MalformedPolicy('Statements must be JSON objects');
+        }
+
+        if (statement.Effect !== ALLOW && statement.Effect !== DENY) {
+            throw new errors.MalformedPolicy('Invalid effect: %s', statement.Effect);
+        }
+
+        PolicyEvaluator._validateElement(statement, 'Action', 'NotAction', true);
+        PolicyEvaluator._validateElement(statement, 'Resource', 'NotResource', true);
+
+        let hasPrincipal = PolicyEvaluator._validateElement(statement, 'Principal',
+            'NotPrincipal', settings.principalRequired === true);
+
+        if (hasPrincipal && settings.principalRequired === false) {
+            throw new errors.MalformedPolicy('Policy document should not specify a principal');
+        }
+
+        if (settings.resourceBucket) {
+            let bucketArn = `arn:aws:s3:::${settings.resourceBucket}`;
+            let resources = PolicyEvaluator._asArray(statement.Resource || statement.NotResource);
+
+            resources.forEach(function validateResource(resource) {
+                if (resource !== bucketArn && !mod_lo.startsWith(resource, `${bucketArn}/`)) {
+                    throw new errors.MalformedPolicy('Policy has invalid resource: %s', resource);
+                }
+            });
+        }
+
+        if (mod_lo.has(statement, 'Condition')) {
+            PolicyEvaluator._validateCondition(statement.Condition);
+        }
+    }
+
+    /**
+     * Validates that a statement contains exactly one of an element or its
+     * negated form and that the element's values are strings.
+     *
+     * @private
+     * @param {object} statement policy statement
+     * @param {string} name element name (eg Action)
+     * @param {string} negatedName negated element name (eg NotAction)
+     * @param {boolean} required when true one of the elements must be present
+     * @returns {boolean} true if one of the elements is present
+     * @throws {Error} MalformedPolicy error when the element is invalid
+     */
+    static _validateElement(statement, name, negatedName, required) {
+        let hasElement = mod_lo.has(statement, name);
+        let hasNegated = mod_lo.has(statement, negatedName);
+
+        if (hasElement && hasNegated) {
+            throw new errors.MalformedPolicy('Statement may not contain both %s and %s',
+                name, negatedName);
+        }
+
+        if (!hasElement && !hasNegated) {
+            if (required) {
+                throw new errors.MalformedPolicy('Missing required field %s', name);
+            }
+
+            return false;
+        }
+
+        let value = hasElement ? statement[name] : statement[negatedName];
+
+        // Principals may be scoped by type (eg { "AWS": [...] })
+        if (name === 'Principal' && mod_lo.isPlainObject(value)) {
+            if (!mod_lo.has(value, 'AWS')) {
+                throw new errors.MalformedPolicy('Invalid principal in policy');
+            }
+
+            value = value.AWS;
+        }
+
+        let values = PolicyEvaluator._asArray(value);
+
+        if (values.length === 0 || !values.every(mod_lo.isString)) {
+            throw new errors.MalformedPolicy('Invalid %s in policy', name);
+        }
+
+        return true;
+    }
+
+    /**
+     * Validates the Condition element of a statement.
+     *
+     * @private
+     * @param {object} condition condition element
+     * @throws {Error} MalformedPolicy error when the condition is invalid
+     */
+    static _validateCondition(condition) {
+        if (!mod_lo.isPlainObject(condition)) {
+            throw new errors.MalformedPolicy('Conditions must be JSON objects');
+        }
+
+        mod_lo.forOwn(condition, function validateOperator(keys, operatorName) {
+            if (!PolicyEvaluator._findOperator(operatorName)) {
+                throw new errors.MalformedPolicy('Invalid Condition type: %s', operatorName);
+            }
+
+            if (!mod_lo.isPlainObject(keys)) {
+                throw new errors.MalformedPolicy('Invalid condition block for %s', operatorName);
+            }
+
+            mod_lo.forOwn(keys, function validateValues(value, key) {
+                let values = PolicyEvaluator._asArray(value);
+
+                if (values.length === 0) {
+                    throw new errors.MalformedPolicy('Missing values for condition key %s', key);
+                }
+
+                if (/IpAddress/.test(operatorName)) {
+                    values.forEach(function validateCidr(cidr) {
+                        if (!ClientAddress.isValidCidr(String(cidr))) {
+                            throw new errors.MalformedPolicy('Invalid IP address: %s', cidr);
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Determines if a statement applies to the passed request.
+     *
+     * @private
+     * @param {object} statement policy statement
+     * @param {object} request request to evaluate
+     * @param {object.<string, string>} context condition values with lowercase keys
+     * @returns {boolean} true if the statement applies to the request
+     */
+    static _statementApplies(statement, request, context) {
+        if (mod_lo.has(statement, 'Principal') &&
+            !PolicyEvaluator._principalMatches(statement.Principal, request.principal)) {
+            return false;
+        }
+
+        if (mod_lo.has(statement, 'NotPrincipal') &&
+            PolicyEvaluator._principalMatches(statement.NotPrincipal, request.principal)) {
+            return false;
+        }
+
+        if (!PolicyEvaluator._elementMatches(statement, 'Action', request.action, true)) {
+            return false;
+        }
+
+        if (!PolicyEvaluator._elementMatches(statement, 'Resource', request.resource, false)) {
+            return false;
+        }
+
+        if (mod_lo.has(statement, 'Condition')) {
+            return PolicyEvaluator._conditionMatches(statement.Condition, context);
+        }
+
+        return true;
+    }
+
+    /**
+     * Determines if the value of a request matches the element (or its
+     * negated form) of a statement.
+     *
+     * @private
+     * @param {object} statement policy statement
+     * @param {string} name element name (Action or Resource)
+     * @param {string} value request value
+     * @param {boolean} ignoreCase when true matching is case-insensitive
+     * @returns {boolean} true if the element matches
+     */
+    static _elementMatches(statement, name, value, ignoreCase) {
+        let negated = !mod_lo.has(statement, name);
+        let element = negated ? statement['Not' + name] : statement[name];
+        let patterns = PolicyEvaluator._asArray(element);
+
+        let matched = patterns.some(function matchPattern(pattern) {
+            return PolicyEvaluator._wildcardToRegExp(pattern, ignoreCase).test(value);
+        });
+
+        return negated ? !matched : matched;
+    }
+
+    /**
+     * Determines if the access key that made the request matches a Principal
+     * element. Principals are specified as "*" or as a list of access keys.
+     *
+     * @private
+     * @param {string|object} principal Principal element
+     * @param {?string} accessKey access key that made the request
+     * @returns {boolean} true if the principal matches
+     */
+    static _principalMatches(principal, accessKey) {
+        if (principal === '*') {
+            return true;
+        }
+
+        let principals = PolicyEvaluator._asArray(
+            mod_lo.isPlainObject(principal) ? principal.AWS : principal);
+
+        return principals.some(function matchPrincipal(candidate) {
+            return candidate === '*' || (accessKey && candidate === accessKey);
+        });
+    }
+
+    /**
+     * Determines if the request context meets every condition in a Condition
+     * element.
+     *
+     * @private
+     * @param {object} condition Condition element
+     * @param {object.<string, string>} context condition values with lowercase keys
+     * @returns {boolean} true if every condition is met
+     */
+    static _conditionMatches(condition, context) {
+        return mod_lo.every(condition, function matchOperator(keys, operatorName) {
+            return mod_lo.every(keys, function matchKey(value, key) {
+                return PolicyEvaluator._evaluateCondition(operatorName,
+                    context[key.toLowerCase()], PolicyEvaluator._asArray(value));
+            });
+        });
+    }
+
+    /**
+     * Evaluates a single condition key. A condition is met when the request
+     * value matches any of the policy values. Negated operators are met when
+     * the request value matches none of them.
+     *
+     * @private
+     * @param {string} operatorName name of the condition operator
+     * @param {?string} actual value from the request context
+     * @param {Array.<*>} expected values from the policy
+     * @returns {boolean} true if the condition is met
+     */
+    static _evaluateCondition(operatorName, actual, expected) {
+        let missing = actual === undefined || actual === null;
+
+        if (operatorName === 'Null') {
+            return expected.some(function matchNull(value) {
+                return String(value).toLowerCase() === String(missing);
+            });
+        }
+
+        let ifExists = mod_lo.endsWith(operatorName, 'IfExists');
+        let baseName = ifExists ? operatorName.slice(0, -'IfExists'.length) : operatorName;
+        let negated = mod_lo.has(NEGATED_OPERATORS, baseName);
+
+        if (missing) {
+            return ifExists || negated;
+        }
+
+        let operator = CONDITION_OPERATORS[negated ? NEGATED_OPERATORS[baseName] : baseName];
+        let matched = expected.some(function matchValue(value) {
+            return operator(String(actual), value);
+        });
+
+        return negated ? !matched : matched;
+    }
+
+    /**
+     * Determines if the passed condition operator is supported.
+     *
+     * @private
+     * @param {string} operatorName name of the condition operator
+     * @returns {boolean} true if the operator is supported
+     */
+    static _findOperator(operatorName) {
+        if (operatorName === 'Null') {
+            return true;
+        }
+
+        let baseName = operatorName.replace(/IfExists$/, '');
+
+        return mod_lo.has(CONDITION_OPERATORS, baseName) ||
+            mod_lo.has(NEGATED_OPERATORS, baseName);
+    }
+
+    /**
+     * Converts a policy pattern containing * and ? wildcards to a regular
+     * expression.
+     *
+     * @private
+     * @param {string} pattern pattern with wildcards
+     * @param {boolean} ignoreCase when true the expression is case-insensitive
+     * @returns {RegExp} regular expression matching the whole value
+     */
+    static _wildcardToRegExp(pattern, ignoreCase) {
+        let source = mod_lo.escapeRegExp(pattern)
+            .replace(/\\\*/g, '.*')
+            .replace(/\\\?/g, '.');
+
+        return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+    }
+
+    /**
+     * Wraps single values in an array.
+     *
+     * @private
+     * @param {*} value single value or array
+     * @returns {Array} array of values
+     */
+    static _asArray(value) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+
+        return mod_lo.isArray(value) ? value : [value];
+    }
+}
+
+/**
+ * @type {PolicyEvaluator}
+ */
+module.exports = PolicyEvaluator;
@@ -0,0 +1,226 @@
+/**
+ * @file File containing {@link PostForm} class definition.
+ */
+'use strict';
+
+let mod_formidable = require('formidable');
+let mod_lo = require('lodash');
+
+let errors = require('./errors');
+let LengthRangeVerifier = require('./length_range_verifier');
+
+/**
+ * Maximum number of bytes of form fields preceding the file.
+ * @type {integer}
+ * @default
+ */
+const MAX_FIELDS_SIZE = 20480;
+
+/**
+ * Name of the form field containing the uploaded file.
+ * @type {string}
+ * @default
+ */
+const FILE_FIELD = 'file';
+
+/**
+ * Pattern matching the placeholder in keys that is replaced by the name of
+ * the uploaded file.
+ * @type {RegExp}
+ */
+const FILENAME_PLACEHOLDER = /\$\{filename\}/g;
+
+/**
+ * File uploaded by a browser form.
+ * @typedef {object} PostFormFile
+ * @property {LengthRangeVerifier} stream stream containing the contents of the file
+ * @property {string} filename name of the file on the client
+ * @property {?string} contentType content type sent for the file
+ */
+
+/**
+ * Browser form upload (POST Object).
+ * @typedef {object} PostFormUpload
+ * @property {object.<string, string>} fields fields preceding the file indexed by
+ *                                     their lowercase name
+ * @property {PostFormFile} file uploaded file
+ */
+
+/**
+ * Callback invoked when the fields of a browser form upload have been read.
+ * @callback postFormCallback
+ * @param {?Error} err error if the form is malformed
+ * @param {PostFormUpload} [form] fields and file of the form
+ */
+
+/**
+ * Parses multipart/form-data bodies sent by browser form uploads (POST
+ * Object). Like S3, only the fields preceding the file are used, so the form
+ * is handed over as soon as the file starts and the file is streamed rather
+ * than buffered.
+ */
+class PostForm {
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Determines if the passed request is a browser form upload.
+     *
+     * @param {external:Request} req request object
+     * @returns {boolean} true if the request is a multipart/form-data POST
+     */
+    static isFormUpload(req) {
+        let contentType = req.headers['content-type'] || '';
+
+        return req.method === 'POST' && /^multipart\/form-data\s*;/i.test(contentType);
+    }
+
+    /**
+     * Reads the fields of a browser form upload up to the file.
+     *
+     * @param {external:Request} req request object
+     * @param {postFormCallback} callback callback invoked once the file starts
+     */
+    static parse(req, callback) {
+        let incoming = new mod_formidable.IncomingForm();
+        let fields = {};
+        let fieldsSize = 0;
+        let form = null;
+        let done = false;
+
+        function finish(err) {
+            if (done) {
+                return;
+            }
+
+            done = true;
+
+            if (err) {
+                incoming.resume();
+            }
+
+            callback(err, form);
+        }
+
+        incoming.onPart = function onPart(part) {
+            // Fields following the file are ignored
+            if (done) {
+                return;
+            }
+
+            let name = mod_lo.toLower(part.name);
+
+            if (name === FILE_FIELD) {
+                form = {
+                    fields: fields,
+                    file: PostForm._streamFile(incoming, part)
+                };
+
+                return finish();
+            }
+
+            let chunks = [];
+
+            part.on('data', function fieldData(chunk) {
+                fieldsSize += chunk.length;
+
+                if (fieldsSize > MAX_FIELDS_SIZE) {
+                    return finish(errors.MaxPostPreDataLengthExceededError());
+                }
+
+                chunks.push(chunk);
+            });
+
+            part.once('end', function fieldEnd() {
+                fields[name] = Buffer.concat(chunks).toString('utf8');
+            });
+        };
+
+        incoming.once('error', function formError(err) {
+            req.log.debug(err, 'Unable to parse POST form');
+            return finish(errors.MalformedPOSTRequest());
+        });
+
+        incoming.once('end', function formEnd() {
+            return finish(new errors.InvalidArgument(
+                'POST requires exactly one file upload per request.'));
+        });
+
+        incoming.parse(req);
+    }
+
+    /**
+     * Finds the key of the object uploaded by a browser form. The ${filename}
+     * placeholder is replaced by the name of the uploaded file.
+     *
+     * @param {PostFormUpload} form browser form upload
+     * @returns {?string} object key or null if the form has no key field
+     */
+    static objectKey(form) {
+        let key = form.fields.key;
+
+        if (mod_lo.isEmpty(key)) {
+            return null;
+        }
+
+        return key.replace(FILENAME_PLACEHOLDER, function filename() {
+            return form.file.filename;
+        });
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Streams a file part into a stream that can be consumed once the fields
+     * have been verified. The form is paused while the consumer falls behind.
+     *
+     * @private
+     * @param {IncomingForm} incoming form being parsed
+     * @param {Stream} part file part of the form
+     * @returns {PostFormFile} uploaded file
+     */
+    static _streamFile(incoming, part) {
+        let stream = new LengthRangeVerifier();
+        let ended = false;
+
+        part.on('data', function fileData(chunk) {
+            if (!stream.failed && !stream.write(chunk)) {
+                incoming.pause();
+            }
+        });
+
+        part.once('end', function fileEnd() {
+            ended = true;
+
+            if (!stream.failed) {
+                stream.end();
+            }
+        });
+
+        // A file that is cut short must not be stored
+        incoming.once('error', function formFailed() {
+            if (!ended) {
+                stream.abort(errors.MalformedPOSTRequest());
+            }
+        });
+
+        stream.on('drain', function fileDrained() {
+            incoming.resume();
+        });
+
+        // The rest of the form is discarded once the upload has failed
+        stream.on('error', function fileFailed() {
+            incoming.resume();
+        });
+
+        return {
+            stream: stream,
+            filename: part.filename || '',
+            contentType: part.mime || null
+        };
+    }
+}
+
+/**
+ * @type {PostForm}
+ */
+module.exports = PostForm;
@@ -0,0 +1,413 @@
+/**
+ * @file File containing {@link PostPolicy} class definition.
+ */
+'use strict';
+
+let mod_crypto = require('crypto');
+let mod_lo = require('lodash');
+
+let CredentialStore = require('./credential_store');
+let errors = require('./errors');
+let PostForm = require('./post_form');
+let SignerV2 = require('./signer_v2');
+let SignerV4 = require('./signer_v4');
+
+/**
+ * Form fields that don't need to be covered by a policy condition.
+ * @type {Array.<string>}
+ */
+const UNCONDITIONED_FIELDS = [
+    'awsaccesskeyid',
+    'file',
+    'policy',
+    'signature',
+    'x-amz-signature'
+];
+
+/**
+ * Allowed lengths of an uploaded file.
+ * @typedef {object} LengthRange
+ * @property {integer} min minimum number of bytes
+ * @property {number} max maximum number of bytes
+ */
+
+/**
+ * Authenticates browser form uploads (POST Object) by verifying the signature
+ * of the policy document sent in the form, and checks the form against the
+ * conditions of that policy. Both the v2 (AWSAccessKeyId and signature
+ * fields) and the v4 (x-amz-credential and x-amz-signature fields) flavours
+ * are supported.
+ */
+class PostPolicy {
+    /**
+     * Creates a new instance that authenticates forms against the
+     * credentials in the passed store.
+     *
+     * @param {CredentialStore} credentialStore store used to look up secret keys
+     * @param {SessionCredentials} sessionCredentials validator of session credentials
+     * @param {SignerV4} signer4 signer checking the credential scope of v4 forms
+     */
+    constructor(credentialStore, sessionCredentials, signer4) {
+        /**
+         * Store used to look up the secret key for an access key.
+         * @private
+         * @type {CredentialStore}
+         */
+        this._credentialStore = credentialStore;
+
+        /**
+         * Validator of temporary session credentials.
+         * @private
+         * @type {SessionCredentials}
+         */
+        this._sessionCredentials = sessionCredentials;
+
+        /**
+         * Signer checking the credential scope of v4 signed forms.
+         * @private
+         * @type {SignerV4}
+         */
+        this._signer4 = signer4;
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Authenticates a browser form upload. The fields preceding the file are
+     * read and attached to the request as postForm, and the verified policy
+     * is attached as postPolicy so that its conditions can be checked once
+     * the request has been routed to its bucket.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     */
+    authenticate(req, res, next) {
+        let self = this;
+
+        PostForm.parse(req, function formParsed(err, form) {
+            if (err) {
+                return next(err);
+            }
+
+            req.postForm = form;
+
+            let fields = form.fields;
+            let signature;
+
+            try {
+                signature = PostPolicy._parseSignature(fields);
+            } catch (e) {
+                form.file.stream.resume();
+                return next(e);
+            }
+
+            let scopeErr = signature.scope ?
+                self._signer4.checkFormScope(signature.scope, fields['x-amz-date']) : null;
+
+            if (scopeErr) {
+                form.file.stream.resume();
+                return next(scopeErr);
+            }
+
+            self._findCredential(signature.accessKey, fields['x-amz-security-token'],
+                function credentialFound(err, credential) {
+                    if (err) {
+                        form.file.stream.resume();
+                        return next(err);
+                    }
+
+                    let signatures = CredentialStore.secretKeysFor(credential).map(
+                        function signPolicy(secretKey) {
+                            return signature.scope ?
+                                SignerV4.signPolicy(secretKey, signature.scope, fields.policy) :
+                                SignerV2.signPolicy(secretKey, fields.policy);
+                        });
+
+                    let matches = signatures.some(function matchesSignature(expected) {
+                        return PostPolicy._signaturesEqual(expected, signature.signature);
+                    });
+
+                    if (!matches) {
+                        form.file.stream.resume();
+                        return next(errors.SignatureDoesNotMatch(
+                            'The request signature we calculated does not match the ' +
+                            'signature you provided. Check your key and signing method.',
+                            signature.accessKey, fields.policy, signature.signature));
+                    }
+
+                    let policy;
+
+                    try {
+                        policy = PostPolicy.parse(fields.policy);
+                    } catch (e) {
+                        form.file.stream.resume();
+                        return next(e);
+                    }
+
+                    if (Date.parse(policy.expiration) <= Date.now()) {
+                        form.file.stream.resume();
+                        return next(new errors.AccessDenied(
+                            'Invalid according to Policy: Policy expired.'));
+                    }
+
+                    req.credential = credential;
+                    req.postPolicy = policy;
+
+                    return next();
+                });
+        });
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Decodes and validates a base64 encoded policy document.
+     *
+     * @param {string} encoded base64 encoded policy document
+     * @returns {object} policy document
+     * @throws {Error} InvalidPolicyDocument error if the document is invalid
+     */
+    static parse(encoded) {
+        let policy;
+
+        try {
+            policy = JSON.parse(new Buffer(encoded, 'base64').toString('utf8'));
+        } catch (e) {
+            throw new errors.InvalidPolicyDocument(
+                'Invalid Policy: Invalid JSON.');
+        }
+
+        if (!mod_lo.isPlainObject(policy) || !mod_lo.isString(policy.expiration) ||
+            isNaN(Date.parse(policy.expiration))) {
+            throw new errors.InvalidPolicyDocument(
+                'Invalid Policy: Policy missing expiration.');
+        }
+
+        if (!mod_lo.isArray(policy.conditions)) {
+            throw new errors.InvalidPolicyDocument(
+                'Invalid Policy: Policy missing conditions.');
+        }
+
+        policy.conditions.forEach(function validateCondition(condition) {
+            if (!PostPolicy._isValidCondition(condition)) {
+                throw new errors.InvalidPolicyDocument(
+                    'Invalid Policy: Invalid condition: %s', JSON.stringify(condition));
+            }
+        });
+
+        return policy;
+    }
+
+    /**
+     * Checks the fields of a browser form upload against the conditions of
+     * its policy. Every field must be covered by a condition, except for the
+     * fields carrying the signature and fields prefixed with x-ignore-.
+     *
+     * @param {object} policy policy document
+     * @param {object.<string, string>} fields form fields indexed by their lowercase name
+     * @param {string} bucket bucket the form was posted to
+     * @returns {LengthRange} allowed lengths of the uploaded file
+     * @throws {Error} AccessDenied error if a condition is not met
+     */
+    static checkConditions(policy, fields, bucket) {
+        let values = mod_lo.assign({}, fields, { bucket: bucket });
+        let range = { min: 0, max: Infinity };
+        let conditioned = {};
+
+        policy.conditions.forEach(function checkCondition(condition) {
+            let operator;
+            let name;
+            let expected;
+
+            if (mod_lo.isPlainObject(condition)) {
+                operator = 'eq';
+                name = mod_lo.keys(condition)[0];
+                expected = condition[name];
+            } else if (condition[0] === 'content-length-range') {
+                range.min = Math.max(range.min, condition[1]);
+                range.max = Math.min(range.max, condition[2]);
+                return;
+            } else {
+                operator = condition[0].toLowerCase();
+                name = condition[1].replace(/^\$/, '');
+                expected = condition[2];
+            }
+
+            name = name.toLowerCase();
+            conditioned[name] = true;
+
+            let actual = mod_lo.get(values, name, '');
+            let passed = operator === 'eq' ?
+                actual === expected : mod_lo.startsWith(actual, expected);
+
+            if (!passed) {
+                throw new errors.AccessDenied(
+                    'Invalid according to Policy: Policy Condition failed: %s',
+                    JSON.stringify(condition));
+            }
+        });
+
+        let extra = mod_lo.keys(fields).filter(function isExtra(name) {
+            return !conditioned[name] && UNCONDITIONED_FIELDS.indexOf(name) < 0 &&
+                !mod_lo.startsWith(name, 'x-ignore-');
+        });
+
+        if (extra.length > 0) {
+            throw new errors.AccessDenied(
+                'Invalid according to Policy: Extra input fields: %s', extra.join(', '));
+        }
+
+        return range;
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Looks up the credential for the passed access key. Forms sent with a
+     * session token are authenticated with the session's credential.
+     *
+     * @private
+     * @param {string} accessKey S3 access key sent by the client
+     * @param {?string} sessionToken session token sent by the client
+     * @param {credentialCallback} callback callback invoked with the credential or an
+     *                             error if the access key is unknown
+     */
+    _findCredential(accessKey, sessionToken, callback) {
+        if (sessionToken) {
+            return this._sessionCredentials.find(accessKey, sessionToken, callback);
+        }
+
+        this._credentialStore.find(accessKey, function credentialFound(err, credential) {
+            if (err) {
+                return callback(new errors.InternalError(err));
+            }
+
+            if (!credential) {
+                return callback(new errors.InvalidAccessKeyId(accessKey));
+            }
+
+            return callback(null, credential);
+        });
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Finds the access key, signature and (for v4) the credential scope sent
+     * in the fields of a browser form upload.
+     *
+     * @private
+     * @param {object.<string, string>} fields form fields indexed by their lowercase name
+     * @returns {{accessKey: string, signature: string, scope: ?object}} signature details
+     * @throws {Error} AccessDenied or InvalidArgument errors if fields are missing
+     */
+    static _parseSignature(fields) {
+        if (mod_lo.isEmpty(fields.policy)) {
+            throw new errors.AccessDenied('Anonymous access is forbidden for this operation');
+        }
+
+        if (!mod_lo.has(fields, 'x-amz-signature')) {
+            PostPolicy._requireFields(fields, ['awsaccesskeyid', 'signature']);
+
+            return {
+                accessKey: fields.awsaccesskeyid,
+                signature: fields.signature,
+                scope: null
+            };
+        }
+
+        PostPolicy._requireFields(fields, ['x-amz-algorithm', 'x-amz-credential', 'x-amz-date']);
+
+        if (fields['x-amz-algorithm'] !== SignerV4.signaturePrefix()) {
+            throw new errors.InvalidArgument(
+                'X-Amz-Algorithm only supports "%s"', SignerV4.signaturePrefix());
+        }
+
+        let scope = fields['x-amz-credential'].replace(/\/aws4_request$/, '').split('/');
+
+        if (scope.length !== 4) {
+            throw new errors.InvalidArgument('Invalid X-Amz-Credential');
+        }
+
+        return {
+            accessKey: scope[0],
+            signature: fields['x-amz-signature'],
+            scope: {
+                date: scope[1],
+                region: scope[2],
+                service: scope[3]
+            }
+        };
+    }
+
+    /**
+     * Compares a signature computed by the bridge with the signature sent by
+     * the client in constant time, so that the comparison doesn't reveal how
+     * much of the signature matched.
+     *
+     * @private
+     * @param {string} expected signature computed by the bridge
+     * @param {string} provided signature sent in the form
+     * @returns {boolean} true if the signatures are equal
+     */
+    static _signaturesEqual(expected, provided) {
+        let expectedBuffer = new Buffer(expected, 'utf8');
+        let providedBuffer = new Buffer(String(provided), 'utf8');
+
+        return expectedBuffer.length === providedBuffer.length &&
+            mod_crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+    }
+
+    /**
+     * Verifies that the passed form fields are present.
+     *
+     * @private
+     * @param {object.<string, string>} fields form fields indexed by their lowercase name
+     * @param {Array.<string>} names names of the required fields
+     * @throws {Error} InvalidArgument error if a field is missing
+     */
+    static _requireFields(fields, names) {
+        let missing = mod_lo.find(names, function isMissing(name) {
+            return mod_lo.isEmpty(fields[name]);
+        });
+
+        if (missing) {
+            throw new errors.InvalidArgument(
+                'Bucket POST must contain a field named \'%s\'.', missing);
+        }
+    }
+
+    /**
+     * Determines if the passed policy condition is well formed.
+     *
+     * @private
+     * @param {*} condition policy condition
+     * @returns {boolean} true if the condition is well formed
+     */
+    static _isValidCondition(condition) {
+        if (mod_lo.isPlainObject(condition)) {
+            return mod_lo.size(condition) === 1 && mod_lo.every(condition, mod_lo.isString);
+        }
+
+        if (!mod_lo.isArray(condition) || condition.length !== 3) {
+            return false;
+        }
+
+        if (condition[0] === 'content-length-range') {
+            return mod_lo.isInteger(condition[1]) && mod_lo.isInteger(condition[2]) &&
+                condition[1] >= 0 && condition[1] <= condition[2];
+        }
+
+        let operator = mod_lo.isString(condition[0]) ? condition[0].toLowerCase() : null;
+
+        return (operator === 'eq' || operator === 'starts-with') &&
+            mod_lo.isString(condition[1]) && mod_lo.startsWith(condition[1], '$') &&
+            mod_lo.isString(condition[2]);
+    }
+}
+
+/**
+ * @type {PostPolicy}
+ */
+module.exports = PostPolicy;
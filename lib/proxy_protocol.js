@@ -0,0 +1,264 @@
+/**
+ * @file File containing {@link ProxyProtocol} class definition.
+ */
+'use strict';
+
+let mod_ipaddr = require('ipaddr.js');
+
+/**
+ * Signature starting version 2 (binary) PROXY protocol headers.
+ * @type {Buffer}
+ */
+const V2_SIGNATURE = new Buffer([
+    0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a
+]);
+
+/**
+ * Prefix of version 1 (text) PROXY protocol headers.
+ * @type {string}
+ * @default
+ */
+const V1_PREFIX = 'PROXY ';
+
+/**
+ * Maximum length of a version 1 header, including the CRLF.
+ * @type {integer}
+ * @default
+ */
+const V1_MAX_LENGTH = 107;
+
+/**
+ * Length of the fixed part of a version 2 header.
+ * @type {integer}
+ * @default
+ */
+const V2_HEADER_LENGTH = 16;
+
+/**
+ * Number of milliseconds a connection may take to send its header.
+ * @type {integer}
+ * @default
+ */
+const HEADER_TIMEOUT_MILLISECONDS = 10000;
+
+/**
+ * Header received at the start of a connection.
+ * @typedef {object} ProxyHeader
+ * @property {integer} length number of bytes taken by the header
+ * @property {?string} sourceAddress IP address of the client that connected to
+ *                                   the proxy, or null if the proxy didn't
+ *                                   forward a client (eg health checks)
+ */
+
+/**
+ * Support for the PROXY protocol (versions 1 and 2) used by load balancers
+ * such as HAProxy or AWS Network Load Balancers to pass the address of the
+ * client at the start of each TCP connection. When enabled, every connection
+ * must start with a PROXY header. The source address it carries is attached
+ * to the socket as proxySourceAddress, and is only used by
+ * {@link ClientAddress} when the load balancer is a trusted proxy.
+ * @see {@link http://www.haproxy.org/download/1.8/doc/proxy-protocol.txt | PROXY protocol}
+ */
+class ProxyProtocol {
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Makes an HTTP server read a PROXY header at the start of every
+     * connection before parsing HTTP requests from it. Connections that don't
+     * start with a valid header are closed.
+     *
+     * @param {external:HttpServer} httpServer server accepting the connections
+     * @param {Logger} log bunyan logger reporting invalid connections
+     */
+    static accept(httpServer, log) {
+        let listeners = httpServer.listeners('connection');
+        httpServer.removeAllListeners('connection');
+
+        httpServer.on('connection', function proxiedConnection(socket) {
+            ProxyProtocol._readHeader(socket, function headerRead(err, header, rest) {
+                if (err) {
+                    log.warn(err, 'Closing connection from [%s]', socket.remoteAddress);
+                    socket.destroy();
+                    return;
+                }
+
+                socket.proxySourceAddress = header.sourceAddress;
+
+                listeners.forEach(function connect(listener) {
+                    listener.call(httpServer, socket);
+                });
+
+                // Bytes following the header are the start of the first request
+                if (rest.length > 0) {
+                    socket.unshift(rest);
+                }
+
+                socket.resume();
+            });
+        });
+    }
+
+    /**
+     * Parses the PROXY header at the start of a connection.
+     *
+     * @param {Buffer} buffer data received so far
+     * @returns {?ProxyHeader} header or null if more data is needed
+     * @throws {Error} if the data isn't a valid PROXY header
+     */
+    static parse(buffer) {
+        let compared = Math.min(buffer.length, V2_SIGNATURE.length);
+
+        if (compared > 0 && buffer.slice(0, compared).equals(V2_SIGNATURE.slice(0, compared))) {
+            return buffer.length < V2_HEADER_LENGTH ? null : ProxyProtocol._parseV2(buffer);
+        }
+
+        let prefix = buffer.slice(0, V1_PREFIX.length).toString('latin1');
+
+        if (V1_PREFIX.indexOf(prefix) !== 0) {
+            throw new Error('Connection did not start with a PROXY protocol header');
+        }
+
+        return ProxyProtocol._parseV1(buffer);
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Reads the PROXY header at the start of a connection.
+     *
+     * @private
+     * @param {external:Socket} socket incoming connection
+     * @param {function} callback callback invoked with an error, or the header
+     *                            and the data received after it
+     */
+    static _readHeader(socket, callback) {
+        let buffer = new Buffer(0);
+        let done = false;
+
+        function finish(err, header, rest) {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            socket.removeListener('data', headerData);
+            socket.removeListener('error', finish);
+            socket.setTimeout(0);
+            socket.pause();
+
+            callback(err, header, rest);
+        }
+
+        function headerData(chunk) {
+            let header;
+            buffer = Buffer.concat([buffer, chunk]);
+
+            try {
+                header = ProxyProtocol.parse(buffer);
+            } catch (err) {
+                return finish(err);
+            }
+
+            if (header) {
+                finish(null, header, buffer.slice(header.length));
+            }
+        }
+
+        socket.setTimeout(HEADER_TIMEOUT_MILLISECONDS, function headerTimeout() {
+            finish(new Error('Timed out waiting for a PROXY protocol header'));
+        });
+        socket.once('error', finish);
+        socket.on('data', headerData);
+    }
+
+    /**
+     * Parses a version 1 (text) header, eg
+     * PROXY TCP4 192.0.2.10 10.0.0.1 56324 443\r\n
+     *
+     * @private
+     * @param {Buffer} buffer data received so far
+     * @returns {?ProxyHeader} header or null if more data is needed
+     * @throws {Error} if the header is invalid
+     */
+    static _parseV1(buffer) {
+        let end = buffer.indexOf('\r\n');
+
+        if (end < 0) {
+            if (buffer.length >= V1_MAX_LENGTH) {
+                throw new Error('PROXY protocol header is too long');
+            }
+
+            return null;
+        }
+
+        let fields = buffer.slice(0, end).toString('latin1').split(' ');
+        let header = { length: end + 2, sourceAddress: null };
+
+        if (fields[1] === 'UNKNOWN') {
+            return header;
+        }
+
+        if (fields.length !== 6 || (fields[1] !== 'TCP4' && fields[1] !== 'TCP6')) {
+            throw new Error('Invalid PROXY protocol header');
+        }
+
+        header.sourceAddress = fields[2];
+
+        return header;
+    }
+
+    /**
+     * Parses a version 2 (binary) header.
+     *
+     * @private
+     * @param {Buffer} buffer data received so far, at least as long as the
+     *                        fixed part of the header
+     * @returns {?ProxyHeader} header or null if more data is needed
+     * @throws {Error} if the header is invalid
+     */
+    static _parseV2(buffer) {
+        let version = buffer[12] >> 4;
+        let command = buffer[12] & 0x0f;
+        let family = buffer[13] >> 4;
+        let length = V2_HEADER_LENGTH + buffer.readUInt16BE(14);
+
+        if (version !== 2 || command > 1) {
+            throw new Error('Invalid PROXY protocol header');
+        }
+
+        if (buffer.length < length) {
+            return null;
+        }
+
+        let header = { length: length, sourceAddress: null };
+
+        // LOCAL connections are made by the proxy itself (eg health checks)
+        if (command === 0) {
+            return header;
+        }
+
+        if (family === 1 && length >= V2_HEADER_LENGTH + 12) {
+            header.sourceAddress = ProxyProtocol._formatAddress(buffer.slice(16, 20));
+        } else if (family === 2 && length >= V2_HEADER_LENGTH + 36) {
+            header.sourceAddress = ProxyProtocol._formatAddress(buffer.slice(16, 32));
+        }
+
+        return header;
+    }
+
+    /**
+     * Formats the bytes of an IPv4 or IPv6 address.
+     *
+     * @private
+     * @param {Buffer} bytes 4 or 16 bytes of the address
+     * @returns {string} address
+     */
+    static _formatAddress(bytes) {
+        return mod_ipaddr.fromByteArray(Array.from(bytes)).toString();
+    }
+}
+
+/**
+ * @type {ProxyProtocol}
+ */
+module.exports = ProxyProtocol;
@@ -0,0 +1,119 @@
+/**
+ * @file File containing {@link RequestBody} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+let AwsChunkedDecoder = require('./aws_chunked_decoder');
+let errors = require('./errors');
+let PayloadHashVerifier = require('./payload_hash_verifier');
+
+/**
+ * Callback invoked when a request body has been read.
+ * @callback bodyCallback
+ * @param {?Error} err error if the body couldn't be read or verified
+ * @param {Buffer} [body] contents of the request body
+ */
+
+/**
+ * Utility class for reading small request bodies (eg policy documents) into
+ * memory. Bodies are verified against their signature just like uploaded
+ * objects are.
+ */
+class RequestBody {
+    /**
+     * Reads the full body of the passed request. Bodies that were already
+     * read during authentication are passed on as they were read.
+     *
+     * @param {external:Request} req request object
+     * @param {integer} maxLength maximum number of bytes to accept
+     * @param {bodyCallback} callback callback invoked with the body
+     * @returns {*} callback return value
+     */
+    static read(req, maxLength, callback) {
+        if (req.bufferedBody) {
+            return setImmediate(callback, null, req.bufferedBody);
+        }
+
+        let contentLength = mod_lo.toInteger(req.headers['content-length']);
+        let isChunked = AwsChunkedDecoder.isChunkedUpload(req);
+
+        if (contentLength > maxLength && !isChunked) {
+            req.resume();
+            return callback(RequestBody._tooLarge(maxLength));
+        }
+
+        let source = req;
+
+        if (isChunked) {
+            let decodedLength = req.headers['x-amz-decoded-content-length'];
+            source = req.pipe(new AwsChunkedDecoder(req.chunkSigning,
+                decodedLength === undefined ? undefined : mod_lo.toInteger(decodedLength)));
+        }
+
+        let chunks = [];
+        let length = 0;
+        let done = false;
+
+        function finish(err, body) {
+            if (done) {
+                return;
+            }
+
+            done = true;
+
+            if (err) {
+                req.unpipe();
+                req.resume();
+            }
+
+            callback(err, body);
+        }
+
+        source.on('data', function bodyData(chunk) {
+            length += chunk.length;
+
+            if (length > maxLength) {
+                return finish(RequestBody._tooLarge(maxLength));
+            }
+
+            chunks.push(chunk);
+        });
+
+        source.once('error', finish);
+
+        source.once('end', function bodyEnd() {
+            let body = Buffer.concat(chunks, length);
+
+            if (!isChunked) {
+                let hashErr = PayloadHashVerifier.verifyBody(req, body);
+
+                if (hashErr) {
+                    return finish(hashErr);
+                }
+            }
+
+            return finish(null, body);
+        });
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Creates the error returned when a body is larger than allowed.
+     *
+     * @private
+     * @param {integer} maxLength maximum number of bytes accepted
+     * @returns {Error} MaxMessageLengthExceeded error
+     */
+    static _tooLarge(maxLength) {
+        return new errors.MaxMessageLengthExceeded(
+            'Your request was too big. The maximum size is %d bytes.', maxLength);
+    }
+}
+
+/**
+ * @type {RequestBody}
+ */
+module.exports = RequestBody;
@@ -10,6 +10,8 @@ let mod_restify_errors = require('restify-errors');
 
 let Buckets = require('./buckets');
 let Objects = require('./objects');
+let PostForm = require('./post_form');
+let Sessions = require('./sessions');
 let errors = require('./errors');
 let Utils = require('./utils');
 
@@ -28,11 +30,20 @@ class Routes {
      * Creates a new instance of a API endpoint routing object.
      *
      * @param {object} options configuration options loaded when server is started
-     * @param {external:MantaClient} mantaClient reference to Manta client instance
+     * @param {MantaClientPool} mantaClientPool pool of Manta clients per Manta identity
+     * @param {BucketPolicyStore} policyStore store containing bucket policies
+     * @param {AclStore} aclStore store containing bucket and object ACLs
+     * @param {SessionCredentials} sessionCredentials issuer of session credentials
+     * @param {AuthDiagnostics} authDiagnostics collector of authentication diagnostics
      */
-    constructor(options, mantaClient) {
+    constructor(options, mantaClientPool, policyStore, aclStore, sessionCredentials,
+                authDiagnostics) {
         mod_assert.ok(options, 'options');
-        mod_assert.ok(mantaClient, 'mantaClient');
+        mod_assert.ok(mantaClientPool, 'mantaClientPool');
+        mod_assert.ok(policyStore, 'policyStore');
+        mod_assert.ok(aclStore, 'aclStore');
+        mod_assert.ok(sessionCredentials, 'sessionCredentials');
+        mod_assert.ok(authDiagnostics, 'authDiagnostics');
 
         /**
          * Configuration options loaded when server is started.
@@ -42,18 +53,46 @@ class Routes {
         this._options = options;
 
         /**
-         * Reference to Buckets class.
+         * Pool of Manta clients per Manta identity.
          * @private
-         * @type {Buckets}
+         * @type {MantaClientPool}
          */
-        this._buckets = new Buckets(options, mantaClient);
+        this._mantaClientPool = mantaClientPool;
 
         /**
-         * Reference to Objects class.
+         * Store containing bucket policies.
          * @private
-         * @type {Objects}
+         * @type {BucketPolicyStore}
          */
-        this._objects = new Objects(options, mantaClient);
+        this._policyStore = policyStore;
+
+        /**
+         * Store containing bucket and object ACLs.
+         * @private
+         * @type {AclStore}
+         */
+        this._aclStore = aclStore;
+
+        /**
+         * Handler of requests for session credentials.
+         * @private
+         * @type {Sessions}
+         */
+        this._sessions = new Sessions(options, sessionCredentials);
+
+        /**
+         * Collector of authentication diagnostics serving the admin endpoint.
+         * @private
+         * @type {AuthDiagnostics}
+         */
+        this._authDiagnostics = authDiagnostics;
+
+        /**
+         * Buckets and Objects instances indexed by the Manta client they use.
+         * @private
+         * @type {Map.<external:MantaClient, {buckets: Buckets, objects: Objects}>}
+         */
+        this._handlers = new Map();
     }
 
     ///--- PUBLIC METHODS
@@ -72,6 +111,12 @@ class Routes {
 
         log.debug('%s %s [%s]', method, req.path(), req.bucket);
 
+        try {
+            req.handlers = this._handlersFor(req);
+        } catch (err) {
+            return next(new errors.InternalError(err));
+        }
+
         switch (method) {
             case 'HEAD':
                 return this._head(req, res, next);
@@ -91,6 +136,28 @@ class Routes {
 
     ///--- PRIVATE METHODS
 
+    /**
+     * Finds the Buckets and Objects instances that make calls to Manta as the
+     * Manta identity of the credential that authenticated the request.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {{buckets: Buckets, objects: Objects}} handlers for the request
+     */
+    _handlersFor(req) {
+        let mantaClient = this._mantaClientPool.clientFor(req.credential);
+
+        if (!this._handlers.has(mantaClient)) {
+            this._handlers.set(mantaClient, {
+                buckets: new Buckets(this._options, mantaClient, this._policyStore,
+                    this._aclStore),
+                objects: new Objects(this._options, mantaClient, this._aclStore)
+            });
+        }
+
+        return this._handlers.get(mantaClient);
+    }
+
     /**
      * Emulate HEAD requests against buckets and objects.
      *
@@ -101,16 +168,17 @@ class Routes {
      */
     _head(req, res, next) {
         // If we are at the service base, emulate the s3 behavior to not support HEAD
-        if (req.isBaseEndpoint) {
+        if (mod_lo.isEmpty(req.bucket)) {
             res.send(405);
             return next();
         }
 
-        if (mod_lo.isEmpty(req.bucket)) {
-            return next(new errors.InvalidBucketNameError(req.bucket));
+        /* Only the root directory has been HEAD - so we are checking the bucket. */
+        if (req.sanitizedPath === '/') {
+            return req.handlers.buckets.bucketExists(req, res, next);
         }
-        
-        return this._buckets.bucketExists(req, res, next);
+
+        return req.handlers.objects.headObject(req, res, next);
     }
 
     /**
@@ -124,27 +192,35 @@ class Routes {
     _get(req, res, next) {
         let bucketEmpty = mod_lo.isEmpty(req.bucket);
 
+        /* GET ?authDiagnostics on the service base is an admin request. */
+        if (bucketEmpty && mod_lo.has(req.params, 'authDiagnostics')) {
+            return this._authDiagnostics.getAuthDiagnostics(req, res, next);
+        }
+
         /* GET with no bucket specified indicates a list buckets operation. */
         if (bucketEmpty) {
-            return this._buckets.listBuckets(req, res, next);
+            return req.handlers.buckets.listBuckets(req, res, next);
         }
         
         /* Only the root directory has been GET - so we are listing bucket contents. */
         if (req.sanitizedPath === '/') {
-            if (mod_lo.has(req.params, 'uploads')) {
-                return this._objects.listMultipartUploads(req, res, next);
+            if (mod_lo.has(req.params, 'policy')) {
+                return req.handlers.buckets.getBucketPolicy(req, res, next);
+            } else if (mod_lo.has(req.params, 'acl')) {
+                return req.handlers.buckets.getBucketAcl(req, res, next);
+            } else if (mod_lo.has(req.params, 'uploads')) {
+                return req.handlers.objects.listMultipartUploads(req, res, next);
             } else {
-                return this._objects.listObjects(req, res, next);
+                return req.handlers.objects.listObjects(req, res, next);
             }
         }
 
-        // We return all objects with full control ACLs
         if (mod_lo.has(req.params, 'acl')) {
-            return this._objects.getAcl(req, res, next);
+            return req.handlers.objects.getAcl(req, res, next);
         }
 
         // Everything else is getting an object
-        return this._objects.getObject(req, res, next);
+        return req.handlers.objects.getObject(req, res, next);
     }
 
     /**
@@ -156,35 +232,48 @@ class Routes {
      * @param {restifyCallback} next callback
      */
     _put(req, res, next) {
+        /* PUT ?authDiagnostics on the service base is an admin request. */
+        if (mod_lo.isEmpty(req.bucket) && mod_lo.has(req.params, 'authDiagnostics')) {
+            return this._authDiagnostics.putAuthDiagnostics(req, res, next);
+        }
+
         if (mod_lo.isEmpty(req.bucket)) {
             return next(new errors.InvalidBucketNameError(req.bucket));
         }
         
         /* A PUT on the root directory indicates adding a bucket */
         if (req.sanitizedPath === '/') {
-            return this._buckets.addBucket(req, res, next);
+            if (mod_lo.has(req.params, 'policy')) {
+                return req.handlers.buckets.putBucketPolicy(req, res, next);
+            }
+
+            if (mod_lo.has(req.params, 'acl')) {
+                return req.handlers.buckets.putBucketAcl(req, res, next);
+            }
+
+            return req.handlers.buckets.addBucket(req, res, next);
         }
 
-        // Support adding ACL as a NOOP
         if (mod_lo.has(req.params, 'acl')) {
-            return this._objects.putAcl(req, res, next);
+            return req.handlers.objects.putAcl(req, res, next);
         }
 
         if (mod_lo.endsWith(req.sanitizedPath, '/')) {
-            return this._objects.createDirectory(req, res, next);
+            return req.handlers.objects.createDirectory(req, res, next);
         }
 
         if (req.headers['x-amz-metadata-directive'] === 'COPY') {
-            return this._objects.copyObject(req, res, next);
+            return req.handlers.objects.copyObject(req, res, next);
         }
 
-        return this._objects.addObject(req, res, next);
+        return req.handlers.objects.addObject(req, res, next);
     }
 
     /**
      * Emulate POST requests against buckets and objects.
      *
-     * Currently, we don't support multi-part POST requests.
+     * Currently, we only support browser form uploads (POST Object) and don't
+     * support multi-part POST requests.
      *
      * @private
      * @param {external:Request} req request object
@@ -192,10 +281,16 @@ class Routes {
      * @param {restifyCallback} next callback
      */
     _post(req, res, next) {
+        /* POST on the service base is a STS request for session credentials. */
         if (mod_lo.isEmpty(req.bucket)) {
-            return next(new errors.InvalidBucketNameError(req.bucket));
+            return this._sessions.assumeRole(req, res, next);
         }
-        
+
+        /* POST of a form on the root path uploads an object from a browser. */
+        if (req.sanitizedPath === '/' && PostForm.isFormUpload(req)) {
+            return req.handlers.objects.postObject(req, res, next);
+        }
+
         res.send(501);
         return next();
     }
@@ -215,11 +310,15 @@ class Routes {
         
         /* DELETE on the root path indicates a bucket delete. */
         if (req.sanitizedPath === '/') {
-            return this._buckets.removeBucket(req, res, next);
+            if (mod_lo.has(req.params, 'policy')) {
+                return req.handlers.buckets.deleteBucketPolicy(req, res, next);
+            }
+
+            return req.handlers.buckets.removeBucket(req, res, next);
         }
 
         // Everything else is an object
-        return this._objects.deleteObject(req, res, next);
+        return req.handlers.objects.deleteObject(req, res, next);
     }
 }
 
@@ -0,0 +1,290 @@
+/**
+ * @file File containing {@link S3Actions} class definition.
+ */
+'use strict';
+
+let mod_lo = require('lodash');
+
+let PostForm = require('./post_form');
+let Utils = require('./utils');
+
+/**
+ * Prefix of the ARNs of S3 resources.
+ * @type {string}
+ * @default
+ */
+const ARN_PREFIX = 'arn:aws:s3:::';
+
+/**
+ * Query parameters of list requests that are available as condition keys.
+ * @type {Array.<string>}
+ */
+const LIST_CONDITION_PARAMS = ['prefix', 'delimiter', 'max-keys'];
+
+/**
+ * Actions of the admin endpoints of the bridge. They are only allowed by
+ * identity policies, never by ACLs.
+ * @type {Array.<string>}
+ */
+const ADMIN_ACTIONS = ['s3:GetAuthDiagnostics', 's3:PutAuthDiagnostics'];
+
+/**
+ * An action that a request performs on a resource.
+ * @typedef {object} S3Action
+ * @property {string} action S3 action name (eg s3:GetObject)
+ * @property {string} resource ARN of the resource the action is performed on
+ * @property {string} bucket name of the bucket containing the resource
+ * @property {?string} key object key or null for bucket actions
+ */
+
+/**
+ * Maps requests to the S3 actions they perform so that they can be checked
+ * against policies. The mapping mirrors the dispatching done by
+ * {@link Routes}.
+ */
+class S3Actions {
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Finds the actions performed by the passed request. Most requests perform
+     * a single action, but some (eg copying an object) perform more than one.
+     *
+     * @param {external:Request} req preprocessed request object
+     * @returns {Array.<S3Action>} actions performed by the request
+     */
+    static forRequest(req) {
+        let method = req.method;
+        let bucket = req.bucket;
+
+        let params = req.params || {};
+
+        if (mod_lo.isEmpty(bucket)) {
+            return [S3Actions._action(S3Actions._serviceAction(method, params), '*', null)];
+        }
+
+        let isBucketRequest = req.sanitizedPath === '/';
+        let key = isBucketRequest ? null : mod_lo.trimStart(req.sanitizedPath, '/');
+
+        // Browser form uploads name the object key in the form
+        if (isBucketRequest && req.postForm) {
+            return [S3Actions._action('s3:PutObject', bucket, PostForm.objectKey(req.postForm))];
+        }
+
+        if (isBucketRequest) {
+            return [S3Actions._action(S3Actions._bucketAction(method, params), bucket, null)];
+        }
+
+        let actions = [S3Actions._action(S3Actions._objectAction(method, params), bucket, key)];
+
+        if (method === 'PUT' && req.headers['x-amz-metadata-directive'] === 'COPY') {
+            let source = S3Actions._parseCopySource(req.headers['x-amz-copy-source']);
+
+            if (source) {
+                actions.push(S3Actions._action('s3:GetObject', source.bucket, source.key));
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Builds the condition keys and values that describe the passed request.
+     *
+     * @param {external:Request} req preprocessed request object
+     * @returns {object.<string, string>} condition keys and values
+     */
+    static conditionContext(req) {
+        let headers = req.headers;
+        let context = {
+            'aws:CurrentTime': new Date().toISOString(),
+            'aws:SecureTransport': String(Boolean(req.isSecure && req.isSecure())),
+            'aws:SourceIp': S3Actions.clientIp(req)
+        };
+
+        if (headers['user-agent']) {
+            context['aws:UserAgent'] = headers['user-agent'];
+        }
+
+        if (headers.referer) {
+            context['aws:Referer'] = headers.referer;
+        }
+
+        let params = req.params || {};
+
+        LIST_CONDITION_PARAMS.forEach(function addListParam(param) {
+            if (mod_lo.has(params, param)) {
+                context[`s3:${param}`] = String(params[param]);
+            }
+        });
+
+        return context;
+    }
+
+    /**
+     * Finds the IP address of the client that made the request.
+     *
+     * @param {external:Request} req request object
+     * @returns {?string} IP address of the client
+     */
+    static clientIp(req) {
+        if (req.clientIp) {
+            return req.clientIp;
+        }
+
+        return req.connection ? req.connection.remoteAddress : null;
+    }
+
+    /**
+     * Determines if an action is performed on an admin endpoint of the bridge.
+     *
+     * @param {string} action S3 action name
+     * @returns {boolean} true for admin actions
+     */
+    static isAdminAction(action) {
+        return ADMIN_ACTIONS.indexOf(action) >= 0;
+    }
+
+    /**
+     * Builds the ARN of a bucket or an object.
+     *
+     * @param {string} bucket bucket name
+     * @param {?string} key object key or null for the bucket
+     * @returns {string} ARN of the resource
+     */
+    static arn(bucket, key) {
+        return key === null || key === undefined ?
+            `${ARN_PREFIX}${bucket}` :
+            `${ARN_PREFIX}${bucket}/${key}`;
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Builds an action performed on a resource.
+     *
+     * @private
+     * @param {string} action S3 action name
+     * @param {string} bucket bucket name or * for all buckets
+     * @param {?string} key object key or null for bucket actions
+     * @returns {S3Action} action
+     */
+    static _action(action, bucket, key) {
+        return {
+            action: action,
+            resource: S3Actions.arn(bucket, key),
+            bucket: bucket,
+            key: key
+        };
+    }
+
+    /**
+     * Finds the action performed by a request on the service base.
+     *
+     * @private
+     * @param {string} method HTTP method
+     * @param {object} params query parameters
+     * @returns {string} action name
+     */
+    static _serviceAction(method, params) {
+        if (mod_lo.has(params, 'authDiagnostics')) {
+            return method === 'PUT' ? 's3:PutAuthDiagnostics' : 's3:GetAuthDiagnostics';
+        }
+
+        return method === 'POST' ? 'sts:AssumeRole' : 's3:ListAllMyBuckets';
+    }
+
+    /**
+     * Finds the action performed by a request on a bucket.
+     *
+     * @private
+     * @param {string} method HTTP method
+     * @param {object} params query parameters
+     * @returns {string} S3 action name
+     */
+    static _bucketAction(method, params) {
+        let isPolicy = mod_lo.has(params, 'policy');
+        let isAcl = mod_lo.has(params, 'acl');
+
+        switch (method) {
+            case 'GET':
+                if (isPolicy) {
+                    return 's3:GetBucketPolicy';
+                }
+
+                if (isAcl) {
+                    return 's3:GetBucketAcl';
+                }
+
+                return mod_lo.has(params, 'uploads') ?
+                    's3:ListBucketMultipartUploads' : 's3:ListBucket';
+            case 'PUT':
+                if (isPolicy) {
+                    return 's3:PutBucketPolicy';
+                }
+
+                return isAcl ? 's3:PutBucketAcl' : 's3:CreateBucket';
+            case 'DELETE':
+                return isPolicy ? 's3:DeleteBucketPolicy' : 's3:DeleteBucket';
+            case 'POST':
+                return 's3:PutObject';
+            default:
+                return 's3:ListBucket';
+        }
+    }
+
+    /**
+     * Finds the action performed by a request on an object.
+     *
+     * @private
+     * @param {string} method HTTP method
+     * @param {object} params query parameters
+     * @returns {string} S3 action name
+     */
+    static _objectAction(method, params) {
+        let isAcl = mod_lo.has(params, 'acl');
+
+        switch (method) {
+            case 'PUT':
+                return isAcl ? 's3:PutObjectAcl' : 's3:PutObject';
+            case 'DELETE':
+                return 's3:DeleteObject';
+            case 'POST':
+                return 's3:PutObject';
+            default:
+                return isAcl ? 's3:GetObjectAcl' : 's3:GetObject';
+        }
+    }
+
+    /**
+     * Parses the x-amz-copy-source header into a bucket and key. The header
+     * is sanitized as it is when the object is copied, so that relative
+     * segments name the object that is actually copied.
+     *
+     * @private
+     * @param {string} copySource header value (eg /bucket/path/to/key)
+     * @returns {?{bucket: string, key: string}} source bucket and key
+     */
+    static _parseCopySource(copySource) {
+        if (mod_lo.isEmpty(copySource)) {
+            return null;
+        }
+
+        // The length of the path is checked when the object is copied
+        let path = mod_lo.trimStart(Utils.sanitizeS3Filepath(copySource, Infinity), '/');
+        let separator = path.indexOf('/');
+
+        if (separator < 0) {
+            return { bucket: path, key: '' };
+        }
+
+        return {
+            bucket: path.slice(0, separator),
+            key: path.slice(separator + 1)
+        };
+    }
+}
+
+/**
+ * @type {S3Actions}
+ */
+module.exports = S3Actions;
@@ -0,0 +1,298 @@
+/**
+ * @file File containing {@link SessionCredentials} class definition.
+ */
+'use strict';
+
+let mod_crypto = require('crypto');
+let mod_lo = require('lodash');
+
+let errors = require('./errors');
+
+/**
+ * Prefix of the access keys of session credentials.
+ * @type {string}
+ * @default
+ */
+const SESSION_KEY_PREFIX = 'ASIA';
+
+/**
+ * Version of the session token format.
+ * @type {integer}
+ * @default
+ */
+const TOKEN_VERSION = 1;
+
+/**
+ * Properties of the parent credential that sessions don't inherit.
+ * @type {Array.<string>}
+ */
+const SECRET_PROPERTIES = ['secretKey', 'previousSecretKey', 'previousSecretKeyExpiration'];
+
+/**
+ * Session credentials issued by {@link SessionCredentials#issue}.
+ * @typedef {object} IssuedSession
+ * @property {string} accessKey temporary access key
+ * @property {string} secretKey temporary secret key
+ * @property {string} sessionToken token that must be sent with every request
+ * @property {Date} expiration time after which the credentials are rejected
+ */
+
+/**
+ * Issues and validates temporary session credentials. Sessions are stateless:
+ * the session token carries the parent access key, the expiration and the
+ * optional session policy, and it is signed with a server secret. The secret
+ * key of a session is derived from the token signature, so nothing needs to
+ * be stored and every bridge instance sharing the server secret accepts the
+ * same sessions. Session credentials only work while the key that issued
+ * them is still in the credential store.
+ */
+class SessionCredentials {
+    /**
+     * Creates a new instance.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {string} [options.sessionTokenSecret] secret used to sign session tokens
+     * @param {integer} options.maxSessionDurationSeconds maximum lifetime of a session
+     * @param {CredentialStore} credentialStore store containing the parent credentials
+     */
+    constructor(options, credentialStore) {
+        /**
+         * Store containing the credentials that issue sessions.
+         * @private
+         * @type {CredentialStore}
+         */
+        this._credentialStore = credentialStore;
+
+        /**
+         * Maximum lifetime of a session in seconds.
+         * @private
+         * @type {integer}
+         */
+        this._maxDurationSeconds = options.maxSessionDurationSeconds;
+
+        /**
+         * Secret used to sign session tokens. When not configured, a random
+         * secret is used and sessions are only valid on this process.
+         * @private
+         * @type {string|Buffer}
+         */
+        this._secret = mod_lo.isEmpty(options.sessionTokenSecret) ?
+            mod_crypto.randomBytes(32) : options.sessionTokenSecret;
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Issues new session credentials on behalf of a parent credential.
+     *
+     * @param {Credential} parent credential that requested the session
+     * @param {integer} durationSeconds lifetime of the session in seconds
+     * @param {?object} [policy] session policy further limiting what the session may do
+     * @returns {IssuedSession} session credentials
+     */
+    issue(parent, durationSeconds, policy) {
+        let duration = Math.min(durationSeconds, this._maxDurationSeconds);
+        let accessKey = SESSION_KEY_PREFIX +
+            mod_crypto.randomBytes(8).toString('hex').toUpperCase();
+        let expiration = new Date(Date.now() + (duration * 1000));
+
+        let payload = {
+            v: TOKEN_VERSION,
+            k: accessKey,
+            p: parent.accessKey,
+            e: expiration.getTime()
+        };
+
+        if (policy) {
+            payload.pol = policy;
+        }
+
+        let encoded = SessionCredentials._base64Url(new Buffer(JSON.stringify(payload), 'utf8'));
+        let signature = this._hmac('token', encoded);
+
+        return {
+            accessKey: accessKey,
+            secretKey: this._deriveSecretKey(signature),
+            sessionToken: `${encoded}.${SessionCredentials._base64Url(signature)}`,
+            expiration: expiration
+        };
+    }
+
+    /**
+     * Finds the credential of a session by validating its session token and
+     * looking up the parent credential.
+     *
+     * @param {string} accessKey temporary access key sent by the client
+     * @param {string} sessionToken session token sent by the client
+     * @param {credentialCallback} callback callback invoked with the session
+     *                             credential or an error if the token is invalid
+     */
+    find(accessKey, sessionToken, callback) {
+        let session;
+
+        try {
+            session = this._verify(accessKey, sessionToken);
+        } catch (err) {
+            return setImmediate(callback, err);
+        }
+
+        this._credentialStore.find(session.parentAccessKey, function parentFound(err, parent) {
+            if (err) {
+                return callback(new errors.InternalError(err));
+            }
+
+            // Removing the parent key revokes all of its sessions
+            if (!parent) {
+                return callback(errors.InvalidToken());
+            }
+
+            let credential = mod_lo.assign(mod_lo.omit(parent, SECRET_PROPERTIES), {
+                accessKey: accessKey,
+                secretKey: session.secretKey,
+                parentAccessKey: parent.accessKey,
+                sessionPolicy: session.policy,
+                expiration: session.expiration
+            });
+
+            return callback(null, credential);
+        });
+    }
+
+    ///--- PUBLIC STATIC METHODS
+
+    /**
+     * Finds the session token sent with the passed request.
+     *
+     * @param {external:Request} req request object
+     * @returns {?string} session token or null if none was sent
+     */
+    static tokenFor(req) {
+        let query = req.query || {};
+        let token = req.headers['x-amz-security-token'] ||
+            query['X-Amz-Security-Token'] || query['x-amz-security-token'];
+
+        return mod_lo.isEmpty(token) ? null : String(token);
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Validates the signature and expiration of a session token.
+     *
+     * @private
+     * @param {string} accessKey temporary access key sent by the client
+     * @param {string} sessionToken session token sent by the client
+     * @returns {{parentAccessKey: string, secretKey: string, policy: ?object, expiration: Date}}
+     *          contents of the session token
+     * @throws {Error} InvalidToken or ExpiredToken errors
+     */
+    _verify(accessKey, sessionToken) {
+        let parts = mod_lo.isString(sessionToken) ? sessionToken.split('.') : [];
+
+        if (parts.length !== 2) {
+            throw errors.InvalidToken();
+        }
+
+        let signature = this._hmac('token', parts[0]);
+        let provided = new Buffer(parts[1], 'base64');
+
+        if (!SessionCredentials._constantTimeEquals(signature, provided)) {
+            throw errors.InvalidToken();
+        }
+
+        let payload;
+
+        try {
+            payload = JSON.parse(new Buffer(parts[0], 'base64').toString('utf8'));
+        } catch (e) {
+            throw errors.InvalidToken();
+        }
+
+        if (payload.v !== TOKEN_VERSION || payload.k !== accessKey) {
+            throw errors.InvalidToken();
+        }
+
+        if (!mod_lo.isNumber(payload.e) || payload.e <= Date.now()) {
+            throw errors.ExpiredToken();
+        }
+
+        return {
+            parentAccessKey: payload.p,
+            secretKey: this._deriveSecretKey(signature),
+            policy: payload.pol || null,
+            expiration: new Date(payload.e)
+        };
+    }
+
+    /**
+     * Derives the secret key of a session from the signature of its token.
+     *
+     * @private
+     * @param {Buffer} tokenSignature signature of the session token
+     * @returns {string} secret key
+     */
+    _deriveSecretKey(tokenSignature) {
+        return this._hmac('secret', tokenSignature).toString('base64').substring(0, 40);
+    }
+
+    /**
+     * Signs the passed data with the server secret.
+     *
+     * @private
+     * @param {string} purpose what the signature is used for, so that keys derived
+     *                 for different purposes never match
+     * @param {string|Buffer} data data to sign
+     * @returns {Buffer} signature
+     */
+    _hmac(purpose, data) {
+        let hmac = mod_crypto.createHmac('sha256', this._secret);
+        hmac.update(purpose);
+        hmac.update('\n');
+        hmac.update(data);
+
+        return hmac.digest();
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Encodes a buffer as URL safe base64 without padding.
+     *
+     * @private
+     * @param {Buffer} buffer data to encode
+     * @returns {string} encoded data
+     */
+    static _base64Url(buffer) {
+        return buffer.toString('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Compares two buffers in constant time.
+     *
+     * @private
+     * @param {Buffer} expected expected value
+     * @param {Buffer} actual actual value
+     * @returns {boolean} true if the buffers are equal
+     */
+    static _constantTimeEquals(expected, actual) {
+        if (expected.length !== actual.length) {
+            return false;
+        }
+
+        let difference = 0;
+
+        for (let i = 0; i < expected.length; i++) {
+            difference |= expected[i] ^ actual[i];
+        }
+
+        return difference === 0;
+    }
+}
+
+/**
+ * @type {SessionCredentials}
+ */
+module.exports = SessionCredentials;
@@ -0,0 +1,236 @@
+/**
+ * @file File containing {@link Sessions} class definition.
+ */
+'use strict';
+
+let mod_assert = require('assert-plus');
+let mod_lo = require('lodash');
+let mod_qs = require('qs');
+let mod_xmlbuilder = require('xmlbuilder');
+
+let errors = require('./errors');
+let PolicyEvaluator = require('./policy_evaluator');
+let RequestBody = require('./request_body');
+
+/**
+ * Maximum size of an AssumeRole request body in bytes.
+ * @type {integer}
+ * @default
+ */
+const MAX_REQUEST_SIZE = 16384;
+
+/**
+ * Minimum lifetime of session credentials in seconds.
+ * @type {integer}
+ * @default
+ */
+const MIN_DURATION_SECONDS = 900;
+
+/**
+ * Lifetime of session credentials in seconds when none is requested.
+ * @type {integer}
+ * @default
+ */
+const DEFAULT_DURATION_SECONDS = 3600;
+
+/**
+ * Pattern that role session names must match.
+ * @type {RegExp}
+ */
+const SESSION_NAME_PATTERN = /^[\w+=,.@-]{2,64}$/;
+
+/**
+ * XML namespace of STS responses.
+ * @type {string}
+ * @default
+ */
+const STS_NAMESPACE = 'https://sts.amazonaws.com/doc/2011-06-15/';
+
+/**
+ * Class providing a STS compatible API (POST /?Action=AssumeRole) that is
+ * consumable by the {@link Routes} class. Long-lived credentials use it to
+ * obtain temporary session credentials.
+ */
+class Sessions {
+    /**
+     * Creates a new instance of the sessions API.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {integer} options.maxSessionDurationSeconds maximum lifetime of a session
+     * @param {boolean} options.prettyPrint enable pretty printing of XML output
+     * @param {SessionCredentials} sessionCredentials issuer of session credentials
+     */
+    constructor(options, sessionCredentials) {
+        mod_assert.ok(sessionCredentials, 'sessionCredentials');
+
+        /**
+         * Issuer of session credentials.
+         * @private
+         * @type {SessionCredentials}
+         */
+        this._sessionCredentials = sessionCredentials;
+
+        /**
+         * Maximum lifetime of a session in seconds.
+         * @private
+         * @type {integer}
+         */
+        this._maxDurationSeconds = options.maxSessionDurationSeconds;
+
+        /**
+         * Flag indicating that we pretty print XML output.
+         * @private
+         * @type {boolean}
+         */
+        this._prettyPrintXml = options.prettyPrint || false;
+    }
+
+    ///--- PUBLIC METHODS
+
+    /**
+     * Receives a request via the STS API (POST /?Action=AssumeRole) and issues
+     * session credentials on behalf of the credential that signed it.
+     * Parameters may be sent in the query string or as a form encoded body.
+     *
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} callback return value
+     */
+    assumeRole(req, res, next) {
+        let self = this;
+        let log = req.log;
+        let credential = req.credential;
+
+        if (!credential) {
+            req.resume();
+            return next(new errors.AccessDenied('AssumeRole requires a signed request'));
+        }
+
+        if (credential.parentAccessKey) {
+            req.resume();
+            return next(new errors.AccessDenied(
+                'Session credentials can not be used to call AssumeRole'));
+        }
+
+        RequestBody.read(req, MAX_REQUEST_SIZE, function requestRead(err, body) {
+            if (err) {
+                return next(err);
+            }
+
+            let params = mod_lo.assign({}, req.query, mod_qs.parse(body.toString('utf8')));
+            let request;
+
+            try {
+                request = self._parseRequest(params);
+            } catch (e) {
+                return next(e);
+            }
+
+            let session = self._sessionCredentials.issue(credential,
+                request.durationSeconds, request.policy);
+
+            log.info('Issued session [%s] for [%s] expiring at %s', session.accessKey,
+                credential.accessKey, session.expiration.toISOString());
+
+            let result = {
+                AssumeRoleResponse: {
+                    '@xmlns': STS_NAMESPACE,
+                    AssumeRoleResult: {
+                        Credentials: {
+                            AccessKeyId: session.accessKey,
+                            SecretAccessKey: session.secretKey,
+                            SessionToken: session.sessionToken,
+                            Expiration: session.expiration.toISOString()
+                        },
+                        AssumedRoleUser: {
+                            AssumedRoleId: `${credential.accessKey}:${request.sessionName}`,
+                            Arn: `arn:aws:sts:::assumed-role/${credential.accessKey}/` +
+                                request.sessionName
+                        }
+                    },
+                    ResponseMetadata: {
+                        RequestId: req.getId()
+                    }
+                }
+            };
+
+            res.header('Content-Type', 'application/xml');
+            res.send(self._buildResult(result));
+            return next();
+        });
+    }
+
+    ///--- PRIVATE METHODS
+
+    /**
+     * Validates the parameters of an AssumeRole request.
+     *
+     * @private
+     * @param {object.<string, string>} params request parameters
+     * @returns {{durationSeconds: integer, policy: ?object, sessionName: string}}
+     *          parsed parameters
+     * @throws {Error} InvalidAction, ValidationError or MalformedPolicyDocument errors
+     */
+    _parseRequest(params) {
+        if (params.Action !== 'AssumeRole') {
+            throw new errors.InvalidAction(
+                'Could not find operation %s for version 2011-06-15', params.Action);
+        }
+
+        let durationSeconds = DEFAULT_DURATION_SECONDS;
+
+        if (!mod_lo.isNil(params.DurationSeconds)) {
+            durationSeconds = Number(params.DurationSeconds);
+
+            if (!mod_lo.isInteger(durationSeconds) ||
+                durationSeconds < MIN_DURATION_SECONDS ||
+                durationSeconds > this._maxDurationSeconds) {
+                throw new errors.ValidationError(
+                    'DurationSeconds must be between %d and %d',
+                    MIN_DURATION_SECONDS, this._maxDurationSeconds);
+            }
+        }
+
+        let sessionName = params.RoleSessionName || 'session';
+
+        if (!SESSION_NAME_PATTERN.test(sessionName)) {
+            throw new errors.ValidationError(
+                'RoleSessionName must match the pattern %s', SESSION_NAME_PATTERN.source);
+        }
+
+        let policy = null;
+
+        if (!mod_lo.isEmpty(params.Policy)) {
+            try {
+                policy = PolicyEvaluator.parse(params.Policy, { principalRequired: false });
+            } catch (err) {
+                throw new errors.MalformedPolicyDocument('%s', err.message);
+            }
+        }
+
+        return {
+            durationSeconds: durationSeconds,
+            policy: policy,
+            sessionName: sessionName
+        };
+    }
+
+    /**
+     * Utility method used to create XML output from an object.
+     *
+     * @private
+     * @param {object} result free-form object to be rendered as XML
+     * @returns {string} XML string
+     */
+    _buildResult(result) {
+        return mod_xmlbuilder
+            .create(result, {version: '1.0', encoding: 'UTF-8'})
+            .end({pretty: this._prettyPrintXml});
+    }
+}
+
+/**
+ * @type {Sessions}
+ */
+module.exports = Sessions;
@@ -6,18 +6,46 @@
 let mod_util = require('util');
 let mod_lo = require('lodash');
 let mod_crypto = require('crypto');
-let mod_assert = require('assert-plus');
 
+let CredentialStore = require('./credential_store');
 let errors = require('./errors');
+let SessionCredentials = require('./session_credentials');
 
 const SUBRESOURCES = [
     'acl',
     'location',
     'logging',
+    'policy',
     'torrent',
     'uploads'
 ];
 
+/**
+ * Query parameters that are part of the signed resource along with their
+ * value.
+ * @type {Array.<string>}
+ */
+const VALUED_SUBRESOURCES = [
+    'partNumber',
+    'response-cache-control',
+    'response-content-disposition',
+    'response-content-encoding',
+    'response-content-language',
+    'response-content-type',
+    'response-expires'
+];
+
+/**
+ * Query parameters used for v2 query string authentication. These are never
+ * part of the canonical resource that is signed.
+ * @type {Array.<string>}
+ */
+const QUERY_AUTH_PARAMS = [
+    'AWSAccessKeyId',
+    'Expires',
+    'Signature'
+];
+
 /**
  * Class providing a method to authenticate HTTP requests made using S3
  * v2 authentication.
@@ -25,28 +53,28 @@ const SUBRESOURCES = [
  */
 class SignerV2 {
     /**
-     * Creates a new instance that authenticates using the passed credentials
-     * via the S3 v2 authentication scheme.
+     * Creates a new instance that authenticates using credentials from the
+     * passed credential store via the S3 v2 authentication scheme.
      *
      * @param {object} options configuration options loaded when server is started
-     * @param {string} options.accessKey S3 compatible access key used to secure server
-     * @param {string} options.secretKey S3 compatible access key used to secure server
      * @param {integer} options.maxAllowedSkewMilliseconds maximum skew allowed when authenticating
+     * @param {CredentialStore} credentialStore store used to look up secret keys
+     * @param {SessionCredentials} sessionCredentials validator of session credentials
      */
-    constructor(options) {
+    constructor(options, credentialStore, sessionCredentials) {
         /**
-         * S3 compatible access key used to secure server.
+         * Store used to look up the secret key for an access key.
          * @private
-         * @type {string}
+         * @type {CredentialStore}
          */
-        this._accessKey = options.accessKey;
+        this._credentialStore = credentialStore;
 
         /**
-         * S3 compatible access key used to secure server.
+         * Validator of temporary session credentials.
          * @private
-         * @type {string}
+         * @type {SessionCredentials}
          */
-        this._secretKey = options.secretKey;
+        this._sessionCredentials = sessionCredentials;
 
         /**
          * Maximum skew allowed when authenticating.
@@ -65,12 +93,12 @@ class SignerV2 {
      * @returns {*} results of the passed callback
      */
     authenticate(req, res, next) {
+        if (SignerV2.isPresigned(req)) {
+            return this._authenticatePresigned(req, res, next);
+        }
+
         let headers = req.headers;
         let method = req.method;
-        let accessKey = this._accessKey;
-        mod_assert.string(accessKey);
-        let secretKey = this._secretKey;
-        mod_assert.string(secretKey);
         let maxAllowedSkewMs = this._maxAllowedSkewMilliseconds;
         let dateString;
         let date;
@@ -90,6 +118,8 @@ class SignerV2 {
         let now = new Date();
         let skew = Math.abs(now.getTime() - date.getTime());
 
+        req.signatureDetails = SignerV2._signatureDetails(null, skew);
+
         if (skew > maxAllowedSkewMs) {
             let skewErr = new errors.RequestTimeTooSkewed(
                 'The difference between the request time and the current time is too large.',
@@ -101,32 +131,131 @@ class SignerV2 {
             return next(skewErr);
         }
 
-        let pathAndParams = SignerV2._extractPathAndParams(req);
-        let authDetails = SignerV2._buildAuthorization(headers, method, pathAndParams, accessKey, secretKey);
-
-        if (authDetails.authorization !== headers.authorization) {
-            /* eslint-disable no-console */
-            console.log(`COMPUTED: ${authDetails.authorization}`);
-            console.log(`ACTUAL:   ${headers.authorization}`);
-            let regex = /(?:\r\n|\r|\n)/g;
-            console.log(`SignHeaders: ${authDetails.stringToSign.replace(regex, '\\n')}`);
-            /* eslint-enable no-console */
-
-            let signatureProvidedParts = headers.authorization.split(':', 2);
-            let signatureProvided = mod_lo.get(signatureProvidedParts, 1, '');
-
-            let authErr = new errors.SignatureDoesNotMatch(
-                'The request signature we calculated does not match the signature ' +
-                'you provided. Check your key and signing method.',
-                accessKey,
-                authDetails.stringToSign,
-                signatureProvided
-            );
+        let accessKey = SignerV2._parseAccessKey(headers.authorization);
+        let sessionToken = SessionCredentials.tokenFor(req);
+
+        this._findCredential(accessKey, sessionToken, function credentialFound(err, credential) {
+            if (err) {
+                return next(err);
+            }
 
-            return next(authErr);
+            let pathAndParams = SignerV2._extractPathAndParams(req);
+            let candidates = CredentialStore.secretKeysFor(credential).map(
+                function buildCandidate(secretKey) {
+                    return SignerV2._buildAuthorization(headers, method, pathAndParams,
+                        mod_lo.get(headers, 'date', ''), accessKey, secretKey);
+                });
+            let authDetails = mod_lo.find(candidates, function matchesHeader(candidate) {
+                return candidate.authorization === headers.authorization;
+            });
+
+            req.signatureDetails = SignerV2._signatureDetails(authDetails || candidates[0], skew);
+
+            if (!authDetails) {
+                authDetails = candidates[0];
+
+                let signatureProvidedParts = headers.authorization.split(':', 2);
+                let signatureProvided = mod_lo.get(signatureProvidedParts, 1, '');
+
+                return next(SignerV2._signatureMismatch(accessKey, authDetails,
+                    signatureProvided));
+            }
+
+            req.credential = credential;
+
+            return next();
+        });
+    }
+
+    /**
+     * Authenticates a request that carries its credentials as the AWSAccessKeyId,
+     * Expires and Signature query parameters rather than in the authorization header.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} results of the passed callback
+     */
+    _authenticatePresigned(req, res, next) {
+        let query = req.query;
+        let accessKey = String(query.AWSAccessKeyId);
+        let expiresSeconds = mod_lo.toNumber(query.Expires);
+
+        if (!mod_lo.isInteger(expiresSeconds)) {
+            return next(new errors.AccessDenied(
+                'Query-string authentication requires the Signature, Expires and ' +
+                'AWSAccessKeyId parameters'));
         }
 
-        return next();
+        let now = new Date();
+        let expires = new Date(expiresSeconds * 1000);
+
+        if (now.getTime() > expires.getTime()) {
+            return next(errors.RequestExpired(expires, now));
+        }
+
+        let sessionToken = SessionCredentials.tokenFor(req);
+
+        this._findCredential(accessKey, sessionToken, function credentialFound(err, credential) {
+            if (err) {
+                return next(err);
+            }
+
+            let pathAndParams = SignerV2._extractPathAndParams(req);
+            let candidates = CredentialStore.secretKeysFor(credential).map(
+                function buildCandidate(secretKey) {
+                    return SignerV2._buildAuthorization(SignerV2._presignedHeaders(req),
+                        req.method, pathAndParams, query.Expires, accessKey, secretKey);
+                });
+
+            /* Clients don't always escape the plus signs in base64 encoded signatures,
+             * so they arrive decoded as spaces. */
+            let signatureProvided = String(query.Signature).replace(/ /g, '+');
+
+            let authDetails = mod_lo.find(candidates, function matchesSignature(candidate) {
+                return candidate.signature === signatureProvided;
+            });
+
+            req.signatureDetails = SignerV2._signatureDetails(authDetails || candidates[0], null);
+
+            if (!authDetails) {
+                return next(SignerV2._signatureMismatch(accessKey, candidates[0],
+                    signatureProvided));
+            }
+
+            req.credential = credential;
+
+            return next();
+        });
+    }
+
+    /**
+     * Looks up the credential for the passed access key. Requests sent with a
+     * session token are authenticated with the session's credential.
+     *
+     * @private
+     * @param {string} accessKey S3 access key sent by the client
+     * @param {?string} sessionToken session token sent by the client
+     * @param {credentialCallback} callback callback invoked with the credential or an
+     *                             error if the access key is unknown
+     */
+    _findCredential(accessKey, sessionToken, callback) {
+        if (sessionToken) {
+            return this._sessionCredentials.find(accessKey, sessionToken, callback);
+        }
+
+        this._credentialStore.find(accessKey, function credentialFound(err, credential) {
+            if (err) {
+                return callback(new errors.InternalError(err));
+            }
+
+            if (!credential) {
+                return callback(new errors.InvalidAccessKeyId(accessKey));
+            }
+
+            return callback(null, credential);
+        });
     }
 
     ///--- PUBLIC STATIC METHODS
@@ -139,13 +268,73 @@ class SignerV2 {
         return 'AWS';
     }
 
+    /**
+     * Determines if the passed request is authenticated using v2 query string
+     * parameters instead of an authorization header.
+     *
+     * @param {external:Request} req request object
+     * @returns {boolean} true if the request contains AWSAccessKeyId and Signature parameters
+     */
+    static isPresigned(req) {
+        return mod_lo.has(req.query, 'AWSAccessKeyId') && mod_lo.has(req.query, 'Signature');
+    }
+
+    /**
+     * Signs the base64 encoded policy document of a browser form upload.
+     *
+     * @param {string} secretKey S3 secret key
+     * @param {string} policy base64 encoded policy document as sent in the form
+     * @returns {string} base64 encoded signature
+     */
+    static signPolicy(secretKey, policy) {
+        let hmac = mod_crypto.createHmac('sha1', secretKey);
+        hmac.update(policy, 'utf8');
+
+        return hmac.digest('base64');
+    }
+
     ///--- PRIVATE STATIC METHODS
 
+    /**
+     * Parses the access key out of a v2 authorization header (AWS accessKey:signature).
+     *
+     * @private
+     * @param {string} authorization contents of the authorization header
+     * @returns {string} access key sent by the client
+     */
+    static _parseAccessKey(authorization) {
+        let credentials = authorization.substring(SignerV2.signaturePrefix().length + 1);
+        return mod_lo.trim(credentials.split(':', 1)[0]);
+    }
+
+    /**
+     * Builds the headers that were signed for a presigned request. Clients move
+     * x-amz-* headers (eg x-amz-security-token) into the query string of
+     * presigned URLs, but they are signed as if they were headers.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {object} headers to use for signing
+     */
+    static _presignedHeaders(req) {
+        let headers = mod_lo.clone(req.headers);
+
+        mod_lo.forOwn(req.query, function addAmzParam(value, key) {
+            let lowerKey = key.toLowerCase();
+
+            if (mod_lo.startsWith(lowerKey, 'x-amz-') && !mod_lo.has(headers, lowerKey)) {
+                headers[lowerKey] = String(value);
+            }
+        });
+
+        return headers;
+    }
+
     /**
      * Extracts the path to be used for signing the request. The path used for
      * signing may differ in subtle ways from the path sent from the client
      * or the path used to point to the resource. In particular, the path
-     * used for signing may contain a subresource.
+     * used for signing may contain subresources, which are sorted by name.
      *
      * @private
      * @param {external:Request} req request object
@@ -156,21 +345,25 @@ class SignerV2 {
             return req.path();
         }
 
-        let paramKeys = Object.keys(req.params);
+        // Query string authentication parameters are never part of the signed resource
+        let paramKeys = mod_lo.difference(Object.keys(req.params), QUERY_AUTH_PARAMS).sort();
 
-        let subresourceKey = mod_lo.find(paramKeys, function firstEmpty(key) {
+        let subresources = paramKeys.filter(function isSubresource(key) {
             // Subresources shouldn't have a value and they should be in the
             // list of whitelisted values
-            return mod_lo.isEmpty(req.params[key]) && mod_lo.includes(SUBRESOURCES, key);
+            return (mod_lo.isEmpty(req.params[key]) && mod_lo.includes(SUBRESOURCES, key)) ||
+                mod_lo.includes(VALUED_SUBRESOURCES, key);
+        }).map(function formatSubresource(key) {
+            return mod_lo.isEmpty(req.params[key]) ? key : `${key}=${req.params[key]}`;
         });
 
-        if (!mod_lo.isEmpty(subresourceKey)) {
-            return `${req.path()}?${subresourceKey}`;
+        if (!mod_lo.isEmpty(subresources)) {
+            return `${req.path()}?${subresources.join('&')}`;
         }
 
         return req.path();
     }
-    
+
     /**
      * Builds authorization header used for comparing against authorization header sent to the
      * server.
@@ -179,12 +372,14 @@ class SignerV2 {
      * @param {object} headers HTTP headers sent in request
      * @param {string} method HTTP verb sent in request
      * @param {string} pathAndParams path sent in request
-     * @param {string} accessKey S3 compatible access key used to secure server
-     * @param {string} secretKey S3 compatible access key used to secure server
-     * @returns {{authorization, stringToSign: string}} authorization header and string that was signed
+     * @param {string} date value of the date header or the Expires query parameter
+     * @param {string} accessKey S3 access key sent by the client
+     * @param {string} secretKey S3 secret key associated with the access key
+     * @returns {{authorization, signature: string, stringToSign: string}} authorization header,
+     *          signature and string that was signed
      */
-    static _buildAuthorization(headers, method, pathAndParams, accessKey, secretKey) {
-        let stringToSign = SignerV2._buildStringToSign(headers, method, pathAndParams);
+    static _buildAuthorization(headers, method, pathAndParams, date, accessKey, secretKey) {
+        let stringToSign = SignerV2._buildStringToSign(headers, method, pathAndParams, date);
 
         let hmac = mod_crypto.createHmac('sha1', secretKey);
         hmac.setEncoding('binary');
@@ -200,10 +395,51 @@ class SignerV2 {
 
         return {
             authorization: authorization,
+            signature: base64,
             stringToSign: stringToSign
         };
     }
 
+    /**
+     * Creates the error returned to the client when the signature calculated
+     * doesn't match the signature sent.
+     *
+     * @private
+     * @param {string} accessKey S3 access key sent by the client
+     * @param {object} authDetails authorization details built for the request
+     * @param {string} signatureProvided signature as sent from client
+     * @returns {Error} SignatureDoesNotMatch error
+     */
+    static _signatureMismatch(accessKey, authDetails, signatureProvided) {
+        return new errors.SignatureDoesNotMatch(
+            'The request signature we calculated does not match the signature ' +
+            'you provided. Check your key and signing method.',
+            accessKey,
+            authDetails.stringToSign,
+            signatureProvided
+        );
+    }
+
+    /**
+     * Describes a signature check for authentication diagnostics.
+     *
+     * @private
+     * @param {?object} authDetails authorization details built for the request
+     *                              or null if no signature was computed
+     * @param {?integer} skew difference in milliseconds between the request date
+     *                        and the server time or null for presigned URLs
+     * @returns {SignatureDetails} details of the signature check
+     */
+    static _signatureDetails(authDetails, skew) {
+        return {
+            signatureVersion: 2,
+            canonicalRequest: null,
+            stringToSign: authDetails ? authDetails.stringToSign : null,
+            signedHeaders: null,
+            skewMilliseconds: skew
+        };
+    }
+
     /**
      * Creates the string that is signed in order to create the authorization header based
      * on data from the incoming HTTP request.
@@ -212,9 +448,10 @@ class SignerV2 {
      * @param {object} headers HTTP headers sent in request
      * @param {string} method HTTP verb sent in request
      * @param {string} pathAndParams path sent in request
+     * @param {string} date value of the date header or the Expires query parameter
      * @returns {string} string that is signed as part of the authorization header
      */
-    static _buildStringToSign(headers, method, pathAndParams) {
+    static _buildStringToSign(headers, method, pathAndParams, date) {
         let xamzKeys = mod_lo.filter(Object.keys(headers), function amzFilter(key) {
             return mod_lo.startsWith(key, 'x-amz');
         }).sort();
@@ -226,7 +463,7 @@ class SignerV2 {
         stringToSign += '\n';
         stringToSign += mod_lo.get(headers, 'content-type', '');
         stringToSign += '\n';
-        stringToSign += mod_lo.get(headers, 'date', '');
+        stringToSign += date;
         stringToSign += '\n';
 
         xamzKeys.forEach(function appendXamzHeaders(key) {
@@ -3,8 +3,12 @@
 let mod_util = require('util');
 let mod_lo = require('lodash');
 let mod_crypto = require('crypto');
+let CredentialStore = require('./credential_store');
 let errors = require('./errors');
+let SessionCredentials = require('./session_credentials');
 let utils = require('./utils');
+let AwsChunkedDecoder = require('./aws_chunked_decoder');
+let RequestBody = require('./request_body');
 
 /**
  * Constant checksum for an empty HTTP body.
@@ -13,6 +17,70 @@ let utils = require('./utils');
  */
 const EMPTY_BODY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
 
+/**
+ * Payload hash value used by clients that do not sign the HTTP body.
+ * @type {string}
+ * @default
+ */
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * Maximum number of seconds a presigned URL can be valid for (one week).
+ * @type {number}
+ * @default
+ */
+const MAX_PRESIGNED_EXPIRES_SECONDS = 604800;
+
+/**
+ * Query parameters that must all be present for query string (presigned URL)
+ * authentication.
+ * @type {Array.<string>}
+ */
+const PRESIGNED_QUERY_PARAMS = [
+    'X-Amz-Algorithm',
+    'X-Amz-Credential',
+    'X-Amz-Date',
+    'X-Amz-Expires',
+    'X-Amz-SignedHeaders',
+    'X-Amz-Signature'
+];
+
+/**
+ * Service that signatures must be scoped to.
+ * @type {string}
+ * @default
+ */
+const SERVICE = 's3';
+
+/**
+ * Service that STS requests (POST on the service base) are signed for.
+ * @type {string}
+ * @default
+ */
+const STS_SERVICE = 'sts';
+
+/**
+ * Maximum size in bytes of STS request bodies read in order to hash them.
+ * @type {integer}
+ * @default
+ */
+const MAX_STS_BODY_SIZE = 16384;
+
+/**
+ * Maximum number of derived signing keys that are cached.
+ * @type {integer}
+ * @default
+ */
+const SIGNING_KEY_CACHE_SIZE = 1000;
+
+/**
+ * Signing keys derived from a secret key and a credential scope, ordered from
+ * least to most recently used. Clients sign every request of a day with the
+ * same key, so deriving it once saves four HMACs per request.
+ * @type {Map.<string, Buffer>}
+ */
+let signingKeys = new Map();
+
 /**
  * Class providing a method to authenticate HTTP requests made using S3
  * v4 authentication.
@@ -24,12 +92,28 @@ class SignerV4 {
      * via the S3 v4 authentication scheme.
      *
      * @param {object} options configuration options loaded when server is started
-     * @param {string} options.accessKey S3 compatible access key used to secure server
-     * @param {string} options.secretKey S3 compatible access key used to secure server
      * @param {integer} options.maxAllowedSkewMilliseconds maximum skew allowed when authenticating
+     * @param {boolean} options.allowUnsignedPayload when false request bodies must be signed
+     * @param {Array.<string>} options.regions regions that signatures may be scoped to
+     * @param {CredentialStore} credentialStore store used to look up secret keys
+     * @param {SessionCredentials} sessionCredentials validator of session credentials
      */
-    constructor(options) {
+    constructor(options, credentialStore, sessionCredentials) {
         this._options = options;
+
+        /**
+         * Store used to look up the secret key for an access key.
+         * @private
+         * @type {CredentialStore}
+         */
+        this._credentialStore = credentialStore;
+
+        /**
+         * Validator of temporary session credentials.
+         * @private
+         * @type {SessionCredentials}
+         */
+        this._sessionCredentials = sessionCredentials;
     }
 
     /**
@@ -41,9 +125,26 @@ class SignerV4 {
      * @returns {*} results of the passed callback
      */
     authenticate(req, res, next) {
+        let self = this;
+
+        if (SignerV4.isPresigned(req)) {
+            return this._authenticatePresigned(req, res, next);
+        }
+
+        /* STS clients sign the hash of the form they send without sending it
+         * in x-amz-content-sha256, so the body is read in order to hash it. */
+        if (SignerV4._mustHashBody(req)) {
+            return RequestBody.read(req, MAX_STS_BODY_SIZE, function stsBodyRead(err, body) {
+                if (err) {
+                    return next(err);
+                }
+
+                req.bufferedBody = body;
+                return self.authenticate(req, res, next);
+            });
+        }
+
         let headers = req.headers;
-        let accessKey = this._options.accessKey;
-        let secretKey = this._options.secretKey;
         let maxAllowedSkewMs = Number(this._options.maxAllowedSkewMilliseconds);
         let date = SignerV4._extractRequestDate(req.headers);
 
@@ -56,6 +157,8 @@ class SignerV4 {
         let now = new Date();
         let skew = Math.abs(now.getTime() - date.getTime());
 
+        req.signatureDetails = SignerV4._signatureDetails(null, null, skew);
+
         if (skew > maxAllowedSkewMs) {
             let skewErr = new errors.RequestTimeTooSkewed(
                 'The difference between the request time and the current time is too large.',
@@ -67,27 +170,326 @@ class SignerV4 {
             return next(skewErr);
         }
 
+        let hashedPayload = SignerV4._buildHashedPayload(req);
+
+        if (!this._isPayloadHashAllowed(req, hashedPayload)) {
+            return next(new errors.AccessDenied('Unsigned payloads are not allowed'));
+        }
+
+        // We normalize the path for signing for both ways of specifying buckets
+        let path = this._signedPath(req);
+        let parts = SignerV4._parseAuthorization(headers.authorization);
+        // x-amz-date is the date that was signed, whichever date was checked for skew
+        let signedDate = SignerV4._parseAmzDate(headers['x-amz-date']) || date;
+        let scopeProblem = this._findScopeProblem(SignerV4._expectedService(req), parts,
+            signedDate);
+
+        if (scopeProblem) {
+            return next(errors.AuthorizationHeaderMalformed(
+                `The authorization header is malformed; ${scopeProblem.message}`,
+                scopeProblem.region));
+        }
+
+        let accessKey = parts.credential;
+        let sessionToken = SessionCredentials.tokenFor(req);
+
+        this._findCredential(accessKey, sessionToken, function credentialFound(err, credential) {
+            if (err) {
+                return next(err);
+            }
+
+            // We build our own authorization header in order to compare it with the header sent
+            let candidates = CredentialStore.secretKeysFor(credential).map(
+                function buildCandidate(secretKey) {
+                    return SignerV4._buildAuthorization(req, parts, req.query, path,
+                        headers['x-amz-date'], hashedPayload, secretKey);
+                });
+            // We then build a normalized form of the headers sent to us, so we can compare
+            // headers without worrying about little differences making the authentication fail
+            let normalizedAuth = SignerV4._normalizeAuthorizationHeader(headers.authorization);
+
+            // Authentication is as simple as verifying that our generated auth header matches
+            // the auth header sent.
+            let authDetails = mod_lo.find(candidates, function matchesHeader(candidate) {
+                return candidate.authorization === normalizedAuth;
+            });
+
+            req.signatureDetails = SignerV4._signatureDetails(authDetails || candidates[0],
+                parts, skew);
+
+            if (!authDetails) {
+                return SignerV4._authenticationFailed(candidates[0], parts.signature,
+                    accessKey, next);
+            }
+
+            req.credential = credential;
+
+            // The body is verified against the signed hash as it is consumed
+            req.signedPayloadHash = hashedPayload;
+
+            /* Chunked uploads sign each chunk of the body using the signature we just
+             * verified as the seed, so we pass along what is needed to verify the
+             * chunks as the body is streamed. */
+            if (hashedPayload === AwsChunkedDecoder.payloadHash()) {
+                req.chunkSigning = {
+                    accessKey: accessKey,
+                    date: headers['x-amz-date'],
+                    scope: `${parts.date}/${parts.region}/${parts.service}/aws4_request`,
+                    seedSignature: authDetails.signature,
+                    signingKey: authDetails.signingKey
+                };
+            }
+
+            return next();
+        });
+    }
+
+    /**
+     * Checks the credential scope of a browser form upload signed with the
+     * x-amz-credential and x-amz-date fields, the same way that the scope of
+     * presigned URLs is checked. Form uploads are always sent to S3.
+     *
+     * @param {{date: string, region: string, service: string}} scope credential
+     *        scope sent as the x-amz-credential field
+     * @param {string} amzDate date sent as the x-amz-date field
+     * @returns {?Error} AuthorizationQueryParametersError error if the scope
+     *                   is invalid or null if it is valid
+     */
+    checkFormScope(scope, amzDate) {
+        let date = SignerV4._parseAmzDate(amzDate);
+
+        if (date == null) {
+            return new errors.AuthorizationQueryParametersError(
+                'X-Amz-Date must be in the ISO8601 Long Format "yyyyMMdd\'T\'HHmmss\'Z\'"');
+        }
+
+        let scopeProblem = this._findScopeProblem(SERVICE, scope, date);
+
+        return scopeProblem ? SignerV4._credentialScopeError(scopeProblem) : null;
+    }
+
+    /**
+     * Authenticates a request that carries its credentials as query parameters
+     * (a presigned URL) rather than in the authorization header.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {external:Response} res response object
+     * @param {restifyCallback} next callback
+     * @returns {*} results of the passed callback
+     */
+    _authenticatePresigned(req, res, next) {
+        let query = req.query;
+        let maxAllowedSkewMs = Number(this._options.maxAllowedSkewMilliseconds);
+
+        let missing = mod_lo.find(PRESIGNED_QUERY_PARAMS, function isMissing(param) {
+            return mod_lo.isEmpty(query[param]);
+        });
+
+        if (missing) {
+            return next(new errors.AuthorizationQueryParametersError(
+                'Query-string authentication version 4 requires the X-Amz-Algorithm, ' +
+                'X-Amz-Credential, X-Amz-Signature, X-Amz-Date, X-Amz-SignedHeaders, ' +
+                'and X-Amz-Expires parameters.'));
+        }
+
+        if (query['X-Amz-Algorithm'] !== SignerV4.signaturePrefix()) {
+            return next(new errors.AuthorizationQueryParametersError(
+                'X-Amz-Algorithm only supports "%s"', SignerV4.signaturePrefix()));
+        }
+
+        let date = SignerV4._parseAmzDate(query['X-Amz-Date']);
+
+        if (date == null) {
+            return next(new errors.AuthorizationQueryParametersError(
+                'X-Amz-Date must be in the ISO8601 Long Format "yyyyMMdd\'T\'HHmmss\'Z\'"'));
+        }
+
+        let expiresSeconds = mod_lo.toNumber(query['X-Amz-Expires']);
+
+        if (!mod_lo.isInteger(expiresSeconds) || expiresSeconds < 0) {
+            return next(new errors.AuthorizationQueryParametersError(
+                'X-Amz-Expires should be a number'));
+        }
+
+        if (expiresSeconds > MAX_PRESIGNED_EXPIRES_SECONDS) {
+            return next(new errors.AuthorizationQueryParametersError(
+                'X-Amz-Expires must be less than a week (in seconds) that is %s',
+                MAX_PRESIGNED_EXPIRES_SECONDS));
+        }
+
+        let now = new Date();
+        let expires = new Date(date.getTime() + expiresSeconds * 1000);
+
+        if (now.getTime() > expires.getTime()) {
+            let expiredErr = errors.RequestExpired(expires, now);
+            expiredErr.additional['X-Amz-Expires'] = expiresSeconds;
+            return next(expiredErr);
+        }
+
+        // A URL signed too far in the future is as suspicious as a skewed header
+        if (date.getTime() - now.getTime() > maxAllowedSkewMs) {
+            return next(new errors.AccessDenied('Request is not valid yet'));
+        }
+
+        let path = this._signedPath(req);
+        let parts = SignerV4._parseQueryAuthorization(query);
+        let scopeProblem = this._findScopeProblem(SignerV4._expectedService(req), parts, date);
+
+        if (scopeProblem) {
+            return next(SignerV4._credentialScopeError(scopeProblem));
+        }
+
+        // The signature itself is never part of the canonical query string
+        let queryParams = mod_lo.omit(query, 'X-Amz-Signature');
+        let hashedPayload = req.headers['x-amz-content-sha256'] || UNSIGNED_PAYLOAD;
+
+        if (!this._isPayloadHashAllowed(req, hashedPayload)) {
+            return next(new errors.AccessDenied('Unsigned payloads are not allowed'));
+        }
+
+        let accessKey = parts.credential;
+        let sessionToken = SessionCredentials.tokenFor(req);
+
+        this._findCredential(accessKey, sessionToken, function credentialFound(err, credential) {
+            if (err) {
+                return next(err);
+            }
+
+            let candidates = CredentialStore.secretKeysFor(credential).map(
+                function buildCandidate(secretKey) {
+                    return SignerV4._buildAuthorization(req, parts, queryParams, path,
+                        query['X-Amz-Date'], hashedPayload, secretKey);
+                });
+
+            let authDetails = mod_lo.find(candidates, function matchesSignature(candidate) {
+                return candidate.signature === parts.signature;
+            });
+
+            req.signatureDetails = SignerV4._signatureDetails(authDetails || candidates[0],
+                parts, null);
+
+            if (!authDetails) {
+                return SignerV4._authenticationFailed(candidates[0], parts.signature,
+                    accessKey, next);
+            }
+
+            req.credential = credential;
+            req.signedPayloadHash = hashedPayload;
+
+            return next();
+        });
+    }
+
+    /**
+     * Looks up the credential for the passed access key. Requests sent with a
+     * session token are authenticated with the session's credential.
+     *
+     * @private
+     * @param {string} accessKey S3 access key sent by the client
+     * @param {?string} sessionToken session token sent by the client
+     * @param {credentialCallback} callback callback invoked with the credential or an
+     *                             error if the access key is unknown
+     */
+    _findCredential(accessKey, sessionToken, callback) {
+        if (sessionToken) {
+            return this._sessionCredentials.find(accessKey, sessionToken, callback);
+        }
+
+        this._credentialStore.find(accessKey, function credentialFound(err, credential) {
+            if (err) {
+                return callback(new errors.InternalError(err));
+            }
+
+            if (!credential) {
+                return callback(new errors.InvalidAccessKeyId(accessKey));
+            }
+
+            return callback(null, credential);
+        });
+    }
+
+    /**
+     * Checks the credential scope that a request was signed for. The scope
+     * must be for this service, for the date the request was signed on and
+     * for one of the regions that the bridge serves.
+     *
+     * @private
+     * @param {string} service service that the request is sent to
+     * @param {{date: string, region: string, service: string}} parts parsed authorization values
+     * @param {Date} signedDate date that the client signed
+     * @returns {?{message: string, region: ?string}} problem with the scope,
+     *          along with the expected region if the region is wrong, or null
+     *          if the scope is valid
+     */
+    _findScopeProblem(service, parts, signedDate) {
+        let regions = this._options.regions;
+        let expectedDate = SignerV4._scopeDate(signedDate);
+
+        if (parts.service !== service) {
+            return {
+                message: `incorrect service "${parts.service}". ` +
+                    `This endpoint belongs to "${service}".`,
+                region: null
+            };
+        }
+
+        if (parts.date !== expectedDate) {
+            return {
+                message: `Invalid credential date "${parts.date}". ` +
+                    `This date is not the same as X-Amz-Date: "${expectedDate}".`,
+                region: null
+            };
+        }
+
+        if (regions.indexOf(parts.region) < 0) {
+            return {
+                message: `the region '${parts.region}' is wrong; expecting '${regions[0]}'`,
+                region: regions[0]
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Determines if the payload hash sent by the client is acceptable. Clients
+     * may opt out of signing the body by sending UNSIGNED-PAYLOAD, but only
+     * if unsigned payloads are enabled or if there is no body.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @param {string} hashedPayload payload hash used to sign the request
+     * @returns {boolean} true if the payload hash is acceptable
+     */
+    _isPayloadHashAllowed(req, hashedPayload) {
+        if (hashedPayload !== UNSIGNED_PAYLOAD || this._options.allowUnsignedPayload !== false) {
+            return true;
+        }
+
+        let hasBody = Number(req.headers['content-length']) > 0 ||
+            !mod_lo.isEmpty(req.headers['transfer-encoding']);
+
+        return !hasBody;
+    }
+
+    /**
+     * Determines the path used for signing for the passed request taking into
+     * account if the request was made with or without a bucket subdomain.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {string} path used when creating the canonical request
+     */
+    _signedPath(req) {
         let host = utils.parseDomainFromHostWithPort(req.headers.host);
         // Typically, a bucket is identified by the subdomain
         let subdomain = utils.parseSubdomain(host);
         // Sometimes, it isn't because we are operating on the root, we need to alias the
         // path for these cases - that's why we detect if we are on the basename.
         let isBaseEndpoint = subdomain === null || subdomain === this._options.baseSubdomain;
-        // We normalize the path for signing for both ways of specifying buckets
-        let path = this._determineSignedPath(req.path(), headers, isBaseEndpoint);
-        // We build our own authorization header in order to compare it with the header sent
-        let authDetails = SignerV4._buildAuthorization(req, headers, path, secretKey);
-        // We then build a normalized form of the headers sent to us, so we can compare headers
-        // without worrying about little differences making the authentication fail
-        let normalizedAuth = SignerV4._normalizeAuthorizationHeader(headers.authorization);
-
-        // Authentication is as simple as verifying that our generated auth header matches the
-        // auth header sent.
-        if (authDetails.authorization !== normalizedAuth) {
-            return SignerV4._authenticationFailed(req, authDetails, normalizedAuth, headers, accessKey, next);
-        }
 
-        return next();
+        return this._determineSignedPath(req.path(), req.headers, isBaseEndpoint);
     }
 
     /**
@@ -125,8 +527,75 @@ class SignerV4 {
         return 'AWS4-HMAC-SHA256';
     }
 
+    /**
+     * Determines if the passed request is authenticated using v4 query string
+     * parameters (a presigned URL) instead of an authorization header.
+     *
+     * @param {external:Request} req request object
+     * @returns {boolean} true if the request contains a X-Amz-Algorithm query parameter
+     */
+    static isPresigned(req) {
+        return mod_lo.has(req.query, 'X-Amz-Algorithm');
+    }
+
+    /**
+     * Signs the base64 encoded policy document of a browser form upload.
+     *
+     * @param {string} secretKey S3 secret key
+     * @param {{date: string, region: string, service: string}} scope credential
+     *        scope sent as the x-amz-credential field
+     * @param {string} policy base64 encoded policy document as sent in the form
+     * @returns {string} signature as a hex string
+     */
+    static signPolicy(secretKey, scope, policy) {
+        let signingKey = SignerV4._buildSigningKey(scope, secretKey);
+        return SignerV4._buildSignature(signingKey, policy);
+    }
+
     ///--- PRIVATE STATIC METHODS
 
+    /**
+     * Creates the error reporting an invalid credential scope sent in the
+     * X-Amz-Credential parameter or field.
+     *
+     * @private
+     * @param {{message: string, region: ?string}} scopeProblem problem with the scope
+     * @returns {Error} AuthorizationQueryParametersError error
+     */
+    static _credentialScopeError(scopeProblem) {
+        let scopeErr = new errors.AuthorizationQueryParametersError('%s',
+            `Error parsing the X-Amz-Credential parameter; ${scopeProblem.message}`);
+
+        if (scopeProblem.region) {
+            scopeErr.additional = { Region: scopeProblem.region };
+        }
+
+        return scopeErr;
+    }
+
+    /**
+     * Determines the service that the passed request must be signed for.
+     * AssumeRole requests are made to the service base by STS clients.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {string} service name
+     */
+    static _expectedService(req) {
+        return req.method === 'POST' && req.path() === '/' ? STS_SERVICE : SERVICE;
+    }
+
+    /**
+     * Formats a date the way it appears in a credential scope.
+     *
+     * @private
+     * @param {Date} date date to format
+     * @returns {string} date as YYYYMMDD in UTC
+     */
+    static _scopeDate(date) {
+        return date.toISOString().substring(0, 10).replace(/-/g, '');
+    }
+
     /**
      * Gets the date sent to the server via HTTP request headers.
      *
@@ -145,7 +614,28 @@ class SignerV4 {
             return null;
         }
 
-        return new Date(Date.parse(dateString));
+        return SignerV4._parseAmzDate(dateString);
+    }
+
+    /**
+     * Parses a date sent by a client either in the ISO8601 basic format used by
+     * x-amz-date (eg 20150830T123600Z) or in any format supported by Date.parse().
+     *
+     * @private
+     * @param {string} dateString date as sent by the client
+     * @returns {?Date} node date object or null if the date couldn't be parsed
+     */
+    static _parseAmzDate(dateString) {
+        let basic = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(dateString);
+        let millis;
+
+        if (basic) {
+            millis = Date.UTC(basic[1], basic[2] - 1, basic[3], basic[4], basic[5], basic[6]);
+        } else {
+            millis = Date.parse(dateString);
+        }
+
+        return isNaN(millis) ? null : new Date(millis);
     }
 
     /**
@@ -174,17 +664,41 @@ class SignerV4 {
         return hash.digest('hex');
     }
 
+    /**
+     * Determines if the body of a request must be read before its signature
+     * can be checked, which is the case for STS requests with a body that
+     * don't send its hash in x-amz-content-sha256.
+     *
+     * @private
+     * @param {external:Request} req request object
+     * @returns {boolean} true if the body must be read and hashed
+     */
+    static _mustHashBody(req) {
+        if (req.bufferedBody || req.headers['x-amz-content-sha256'] ||
+            SignerV4._expectedService(req) !== STS_SERVICE) {
+            return false;
+        }
+
+        return mod_lo.toInteger(req.headers['content-length']) > 0 ||
+            Boolean(req.headers['transfer-encoding']);
+    }
+
     /**
      * Finds the correct hash value for the HTTP request body based on
-     * the passed HTTP headers. If there is no body, then the default
-     * empty body hash value is returned.
+     * the passed HTTP headers, or on the body itself when it was read in
+     * order to hash it. If there is no body, then the default empty body
+     * hash value is returned.
      *
      * @private
      * @param {external:Request} req request object
      * @returns {string} SHA256 encoded as hex string of HTTP body
      */
     static _buildHashedPayload(req) {
-        return req.headers['x-amz-content-sha256'] || EMPTY_BODY_HASH;
+        if (req.headers['x-amz-content-sha256']) {
+            return req.headers['x-amz-content-sha256'];
+        }
+
+        return req.bufferedBody ? SignerV4._hashAsHex(req.bufferedBody) : EMPTY_BODY_HASH;
     }
 
     /**
@@ -318,7 +832,7 @@ class SignerV4 {
         let signedHeadersText = authorization.substring(signedHeadersStart, signedHeadersEnd);
         let signedHeaders = signedHeadersText.split(';');
 
-        let signatureStart = authorization.indexOf('Signature=');
+        let signatureStart = authorization.indexOf('Signature=') + 10;
         let signature = authorization.substring(signatureStart, signatureStart + 64);
 
         return {
@@ -333,6 +847,30 @@ class SignerV4 {
         };
     }
 
+    /**
+     * Parses the authentication query parameters sent as part of a presigned URL
+     * into the same structure as {@link SignerV4._parseAuthorization}.
+     *
+     * @private
+     * @param {object.<string, string>} query associative array of query keys and values
+     * @returns {object.<string, string>} associative array of authorization keys and values
+     */
+    static _parseQueryAuthorization(query) {
+        let credentialBlock = query['X-Amz-Credential'].replace(/\/aws4_request$/, '');
+        let scope = credentialBlock.split('/');
+
+        return {
+            signer: query['X-Amz-Algorithm'],
+            credential: scope[0],
+            credentialBlock: credentialBlock,
+            date: scope[1],
+            region: scope[2],
+            service: scope[3],
+            signedHeaders: query['X-Amz-SignedHeaders'].split(';'),
+            signature: query['X-Amz-Signature']
+        };
+    }
+
     /**
      * Concatenates all of the properties needed to create the string that is
      * signed in order to construct an authorization header.
@@ -383,7 +921,7 @@ class SignerV4 {
 
     /**
      * Generates the signing key used to sign the string to sign in order
-     * to generate the authorization header.
+     * to generate the authorization header. Recently used keys are cached.
      *
      * @private
      * @param {object.<string, string>} parts associative array of values used to create secret key
@@ -391,10 +929,29 @@ class SignerV4 {
      * @returns {Buffer} a buffer used as the signing key
      */
     static _buildSigningKey(parts, secretKey) {
+        let cacheKey = [parts.date, parts.region, parts.service, secretKey].join('\n');
+        let signingKey = signingKeys.get(cacheKey);
+
+        if (signingKey) {
+            // Move the key to the most recently used end
+            signingKeys.delete(cacheKey);
+            signingKeys.set(cacheKey, signingKey);
+
+            return signingKey;
+        }
+
         let dateKey = SignerV4._sign('AWS4' + secretKey, parts.date);
         let dateRegionKey = SignerV4._sign(dateKey, parts.region);
         let dateRegionServiceKey = SignerV4._sign(dateRegionKey, parts.service);
-        return SignerV4._sign(dateRegionServiceKey, 'aws4_request');
+        signingKey = SignerV4._sign(dateRegionServiceKey, 'aws4_request');
+
+        if (signingKeys.size >= SIGNING_KEY_CACHE_SIZE) {
+            signingKeys.delete(signingKeys.keys().next().value);
+        }
+
+        signingKeys.set(cacheKey, signingKey);
+
+        return signingKey;
     }
 
     /**
@@ -415,19 +972,21 @@ class SignerV4 {
      *
      * @private
      * @param {external:Request} req request object
-     * @param {object.<string, string>} headers associative array of HTTP headers
+     * @param {object.<string, string>} parts parsed authorization values
+     * @param {object.<string, string>} queryParams query parameters that are signed
      * @param {string} path path sent in request
+     * @param {string} iso8601Date date string the client signed with
+     * @param {string} hashedPayload SHA256 hash as hex string of HTTP body content
      * @param {string} secretKey S3 secret key
      * @returns {object.<string, string>}
      */
-    static _buildAuthorization(req, headers, path, secretKey) {
-        let parts = SignerV4._parseAuthorization(headers.authorization);
-        let hashedPayload = SignerV4._buildHashedPayload(req);
+    static _buildAuthorization(req, parts, queryParams, path, iso8601Date, hashedPayload,
+                               secretKey) {
         let canonicalHeaders = SignerV4._buildCanonicalHeaders(req, parts.signedHeaders);
         let canonicalRequest = SignerV4._buildCanonicalRequest(req.method, path,
-            req.query, canonicalHeaders, parts.signedHeaders, hashedPayload);
+            queryParams, canonicalHeaders, parts.signedHeaders, hashedPayload);
         let canonicalRequestHash = SignerV4._hashAsHex(canonicalRequest);
-        let stringToSign = SignerV4._buildStringToSign(req.headers['x-amz-date'],
+        let stringToSign = SignerV4._buildStringToSign(iso8601Date,
             canonicalRequestHash, parts.date, parts.region, parts.service);
         let signingKey = SignerV4._buildSigningKey(parts, secretKey);
         let signature = SignerV4._buildSignature(signingKey, stringToSign);
@@ -442,39 +1001,46 @@ class SignerV4 {
 
         return {
             authorization: authorization,
+            signature: signature,
+            signingKey: signingKey,
             canonicalRequest: canonicalRequest,
             stringToSign: stringToSign
         };
     }
 
     /**
-     * When authentication fails, this method outputs the necessary information to logs and
-     * to the requesting client.
+     * Describes a signature check for authentication diagnostics.
+     *
+     * @private
+     * @param {?object.<string, *>} authDetails authorization details built for the
+     *                                          request or null if none were built
+     * @param {?object.<string, *>} parts parsed authorization values
+     * @param {?integer} skew difference in milliseconds between the request date
+     *                        and the server time or null for presigned URLs
+     * @returns {SignatureDetails} details of the signature check
+     */
+    static _signatureDetails(authDetails, parts, skew) {
+        return {
+            signatureVersion: 4,
+            canonicalRequest: authDetails ? authDetails.canonicalRequest : null,
+            stringToSign: authDetails ? authDetails.stringToSign : null,
+            signedHeaders: parts ? parts.signedHeaders : null,
+            skewMilliseconds: skew
+        };
+    }
+
+    /**
+     * When authentication fails, this method builds the error sent to the
+     * requesting client.
      *
      * @private
-     * @param {external:Request} req request object
      * @param {object.<string, *>} authDetails associative array containing authorization information
-     * @param {string} requestAuth authorization as sent from client
-     * @param {object.<string, string>} headers HTTP headers sent from client
+     * @param {string} signatureProvided signature as sent from client
      * @param {string} accessKey S3 access key
      * @param {restifyCallback} next callback
      * @returns {*} results of the passed callback
      */
-    static _authenticationFailed(req, authDetails, requestAuth, headers, accessKey, next) {
-        if (req.log.debug()) {
-            let lineEscRegEx = /(?:\r\n|\r|\n)/g;
-
-            req.log.debug(
-                `COMPUTED: ${authDetails.authorization}\n` +
-                `ACTUAL:   ${requestAuth}\n` +
-                `StringToSign: ${authDetails.stringToSign.replace(lineEscRegEx, '\\n')}\n` +
-                `CanonicalRequest: ${authDetails.canonicalRequest.replace(lineEscRegEx, '\\n')}`
-            );
-        }
-
-        let signatureProvidedParts = headers.authorization.split(':', 2);
-        let signatureProvided = mod_lo.get(signatureProvidedParts, 1, '');
-
+    static _authenticationFailed(authDetails, signatureProvided, accessKey, next) {
         // We add information about the authorization sent so that it can be displayed as part
         // or the XML error output.
         let authErr = new errors.SignatureDoesNotMatch(
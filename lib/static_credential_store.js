@@ -0,0 +1,173 @@
+/**
+ * @file File containing {@link StaticCredentialStore} class definition.
+ */
+'use strict';
+
+let mod_assert = require('assert-plus');
+let mod_lo = require('lodash');
+
+let ClientAddress = require('./client_address');
+let CredentialStore = require('./credential_store');
+let PolicyEvaluator = require('./policy_evaluator');
+
+/**
+ * Pattern matching valid tenant names. Tenants are used as a directory name
+ * in Manta, so path separators and relative names are not allowed.
+ * @type {RegExp}
+ */
+const TENANT_PATTERN = /^(?!\.\.?$)[A-Za-z0-9._-]+$/;
+
+/**
+ * Credential store backed by a fixed in-memory list of credentials. This is
+ * used for the single access key / secret key pair set directly in the
+ * configuration.
+ */
+class StaticCredentialStore extends CredentialStore {
+    /**
+     * Creates a new instance containing the passed credentials.
+     *
+     * @param {Array.<Credential>} credentials list of credentials
+     */
+    constructor(credentials) {
+        super();
+
+        /**
+         * Credentials indexed by access key.
+         * @private
+         * @type {object.<string, Credential>}
+         */
+        this._credentials = StaticCredentialStore._index(credentials);
+    }
+
+    find(accessKey, callback) {
+        let credential = mod_lo.has(this._credentials, accessKey) ?
+            this._credentials[accessKey] : null;
+
+        setImmediate(callback, null, credential);
+    }
+
+    /**
+     * Replaces all of the credentials of the store. The new credentials are
+     * validated first, so the store is left untouched when they are invalid.
+     *
+     * @param {Array.<Credential>} credentials list of credentials
+     * @throws {Error} when a credential is invalid
+     */
+    replace(credentials) {
+        this._credentials = StaticCredentialStore._index(credentials);
+    }
+
+    ///--- PRIVATE STATIC METHODS
+
+    /**
+     * Validates the passed credentials and indexes them by access key.
+     *
+     * @private
+     * @param {Array.<Credential>} credentials list of credentials
+     * @returns {object.<string, Credential>} credentials indexed by access key
+     */
+    static _index(credentials) {
+        mod_assert.arrayOfObject(credentials, 'credentials');
+
+        let indexed = {};
+
+        credentials.forEach(function indexCredential(credential, i) {
+            if (mod_lo.isEmpty(credential.accessKey)) {
+                throw new Error(`Credential [${i}] is missing an access key`);
+            }
+
+            if (mod_lo.isEmpty(credential.secretKey)) {
+                throw new Error(`Credential [${credential.accessKey}] is missing a secret key`);
+            }
+
+            if (mod_lo.has(credential, 'manta') && !mod_lo.isPlainObject(credential.manta)) {
+                throw new Error(`Credential [${credential.accessKey}] has invalid manta settings`);
+            }
+
+            if (mod_lo.has(credential, 'tenant') && !TENANT_PATTERN.test(credential.tenant)) {
+                throw new Error(`Credential [${credential.accessKey}] has an invalid tenant`);
+            }
+
+            if (mod_lo.has(credential, 'previousSecretKey')) {
+                StaticCredentialStore._validatePreviousSecretKey(credential);
+            }
+
+            if (mod_lo.has(credential, 'allowedSourceIps')) {
+                StaticCredentialStore._validateAllowedSourceIps(credential);
+            }
+
+            if (mod_lo.has(credential, 'policy')) {
+                StaticCredentialStore._validatePolicy(credential);
+            }
+
+            if (mod_lo.has(indexed, credential.accessKey)) {
+                throw new Error(`Credential [${credential.accessKey}] is defined more than once`);
+            }
+
+            indexed[credential.accessKey] = credential;
+        });
+
+        return indexed;
+    }
+
+    /**
+     * Validates the previous secret key of a credential whose key is being
+     * rotated. A cutover time is required so that old secrets don't linger.
+     *
+     * @private
+     * @param {Credential} credential credential with a previous secret key
+     * @throws {Error} when the previous secret key or its expiration is invalid
+     */
+    static _validatePreviousSecretKey(credential) {
+        if (!mod_lo.isString(credential.previousSecretKey) ||
+            mod_lo.isEmpty(credential.previousSecretKey)) {
+            throw new Error(`Credential [${credential.accessKey}] has an invalid previous ` +
+                'secret key');
+        }
+
+        if (isNaN(Date.parse(credential.previousSecretKeyExpiration))) {
+            throw new Error(`Credential [${credential.accessKey}] has a previous secret key ` +
+                'without a valid previousSecretKeyExpiration');
+        }
+    }
+
+    /**
+     * Validates the source IP allowlist of the passed credential.
+     *
+     * @private
+     * @param {Credential} credential credential restricted to source IP addresses
+     * @throws {Error} when the allowlist isn't a list of addresses or CIDR blocks
+     */
+    static _validateAllowedSourceIps(credential) {
+        let cidrs = credential.allowedSourceIps;
+        let valid = Array.isArray(cidrs) && cidrs.every(function isCidr(cidr) {
+            return mod_lo.isString(cidr) && ClientAddress.isValidCidr(cidr);
+        });
+
+        if (!valid) {
+            throw new Error(`Credential [${credential.accessKey}] has invalid allowedSourceIps; ` +
+                'expected a list of IP addresses or CIDR blocks');
+        }
+    }
+
+    /**
+     * Validates the identity policy of the passed credential.
+     *
+     * @private
+     * @param {Credential} credential credential with an identity policy
+     * @throws {Error} when the identity policy is invalid
+     */
+    static _validatePolicy(credential) {
+        try {
+            PolicyEvaluator.validate(credential.policy, { principalRequired: false });
+        } catch (err) {
+            throw new Error(
+                `Credential [${credential.accessKey}] has an invalid policy: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * @type {StaticCredentialStore}
+ */
+module.exports = StaticCredentialStore;
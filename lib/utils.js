@@ -168,6 +168,34 @@ class Utils {
         return dodgyCharsRemoved;
     }
 
+    /**
+     * Finds the Manta directory containing the buckets visible to the passed
+     * credential. A credential may set its own bucketPath or belong to a
+     * tenant whose buckets are stored in the directory built from the
+     * tenantBucketPath template. Otherwise, the shared bucketPath is used.
+     *
+     * @param {object} options configuration options loaded when server is started
+     * @param {string} options.bucketPath path to the shared Manta directory containing buckets
+     * @param {string} options.tenantBucketPath template of the path containing a tenant's buckets
+     * @param {?Credential} credential credential that authenticated the request
+     * @returns {string} path to the Manta directory containing buckets
+     */
+    static bucketPathFor(options, credential) {
+        if (!credential) {
+            return options.bucketPath;
+        }
+
+        if (!mod_lo.isEmpty(credential.bucketPath)) {
+            return credential.bucketPath;
+        }
+
+        if (!mod_lo.isEmpty(credential.tenant)) {
+            return options.tenantBucketPath.replace(/\{tenant\}/g, credential.tenant);
+        }
+
+        return options.bucketPath;
+    }
+
     /**
      * Interpolates all $XXXX values of the object to their matching environment variables.
      * Beware this function mutates the passed object.
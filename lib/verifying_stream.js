@@ -0,0 +1,124 @@
+/**
+ * @file File containing {@link VerifyingStream} class definition.
+ */
+'use strict';
+
+let mod_stream = require('stream');
+
+/**
+ * Base class for transform streams that verify the data of an upload as it
+ * passes through them. When verification fails, every destination the stream
+ * is piped to is aborted before the error is emitted. Aborting the HTTP request
+ * to Manta (rather than just ending it) is what stops Manta from committing an
+ * object that was only partially written.
+ */
+class VerifyingStream extends mod_stream.Transform {
+    /**
+     * Creates a new instance.
+     *
+     * @param {object} [options] options passed to the underlying transform stream
+     */
+    constructor(options) {
+        super(options);
+
+        /**
+         * Destinations that this stream has been piped to.
+         * @private
+         * @type {Array.<stream.Writable>}
+         */
+        this._destinations = [];
+
+        /**
+         * Flag indicating that verification has failed.
+         * @private
+         * @type {boolean}
+         */
+        this._failed = false;
+    }
+
+    /**
+     * Pipes this stream to the passed destination and keeps track of the
+     * destination so that it can be aborted upon failure.
+     *
+     * @param {stream.Writable} destination stream to write to
+     * @param {object} [options] pipe options
+     * @returns {stream.Writable} destination stream
+     */
+    pipe(destination, options) {
+        /* The destination may only be piped to after verification has already
+         * failed (eg Manta waits for 100-continue before reading the body). */
+        if (this._failed) {
+            VerifyingStream._abort(destination);
+            return destination;
+        }
+
+        this._destinations.push(destination);
+        return super.pipe(destination, options);
+    }
+
+    /**
+     * Flag indicating that verification has failed.
+     * @type {boolean}
+     */
+    get failed() {
+        return this._failed;
+    }
+
+    /**
+     * Fails verification because of an error outside of this stream (eg the
+     * request carrying the data was malformed or aborted).
+     *
+     * @param {Error} err error describing the failure
+     */
+    abort(err) {
+        if (this._failed) {
+            return;
+        }
+
+        let self = this;
+
+        this._fail(err, function emitError(failure) {
+            self.emit('error', failure);
+        });
+    }
+
+    /**
+     * Aborts all destinations and passes the error to the transform callback
+     * so that it is emitted by this stream.
+     *
+     * @protected
+     * @param {Error} err error describing the verification failure
+     * @param {function} cb transform or flush callback
+     * @returns {*} results of the passed callback
+     */
+    _fail(err, cb) {
+        this._failed = true;
+
+        let self = this;
+
+        this._destinations.forEach(function abortDestination(destination) {
+            self.unpipe(destination);
+            VerifyingStream._abort(destination);
+        });
+
+        return cb(err);
+    }
+
+    /**
+     * Aborts the passed destination if it supports being aborted (eg a HTTP
+     * client request).
+     *
+     * @private
+     * @param {stream.Writable} destination stream to abort
+     */
+    static _abort(destination) {
+        if (typeof destination.abort === 'function') {
+            destination.abort();
+        }
+    }
+}
+
+/**
+ * @type {VerifyingStream}
+ */
+module.exports = VerifyingStream;
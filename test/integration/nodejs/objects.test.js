@@ -189,6 +189,258 @@ test('can add and get an object with metadata', function(t) {
     });
 });
 
+test('can head an object', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'sample.txt';
+    let filepath = `${__dirname}/../../data/${object}`;
+
+    mod_fs.readFile(filepath, function (err, data) {
+        t.ifError(err, `${filepath} read without problems`);
+        s3.createBucket({ Bucket: bucket}, function(err) {
+            t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+            let params = {
+                Bucket: bucket,
+                Key: object,
+                Body: data,
+                ContentType: 'text/plain',
+                Metadata: {
+                    foo: 'bar'
+                }
+            };
+
+            s3.putObject(params, function(err, putData) {
+                t.ifError(err, `Put object ${object} via the S3 API without errors`);
+
+                s3.headObject({ Bucket: bucket, Key: object }, function headObj(err, data) {
+                    t.ifError(err, `Got info of object ${object} via the S3 API without errors`);
+
+                    t.equal(Number(data.ContentLength), params.Body.length,
+                        'Content length is the size of the object');
+                    t.equal(data.ContentType, params.ContentType, 'Content type is as expected');
+                    t.equal(data.ETag, putData.ETag, 'ETag is the one returned when adding');
+                    t.ok(data.LastModified instanceof Date, 'Last modified date is present');
+                    t.equal(data.StorageClass, 'STANDARD', 'Storage class is as expected');
+                    t.deepEqual(data.Metadata, params.Metadata, 'Metadata is as expected');
+
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('can\'t head a missing object', function(t) {
+    let bucket = 'predictable-bucket-name';
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        s3.headObject({ Bucket: bucket, Key: 'missing.txt' }, function headObj(err) {
+            t.equal(err.statusCode, 404, 'Expecting 404 from server for missing object');
+            t.end();
+        });
+    });
+});
+
+test('can get a range of an object', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'range.txt';
+    let body = '0123456789';
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        s3.putObject({ Bucket: bucket, Key: object, Body: body }, function(err) {
+            t.ifError(err, `Put object ${object} via the S3 API without errors`);
+
+            let params = { Bucket: bucket, Key: object, Range: 'bytes=2-5' };
+
+            s3.getObject(params, function getObj(err, data) {
+                t.ifError(err, `Got range of object ${object} via the S3 API without errors`);
+
+                t.equal(data.Body.toString(), '2345', 'Body is the requested range');
+                t.equal(data.ContentRange, 'bytes 2-5/10', 'Content range is as expected');
+                t.equal(data.AcceptRanges, 'bytes', 'Byte ranges are accepted');
+
+                params.Range = 'bytes=20-';
+
+                s3.getObject(params, function getInvalidRange(err) {
+                    t.equal(err.statusCode, 416, 'Expecting 416 for an unsatisfiable range');
+                    t.equal(err.code, 'InvalidRange', 'Error code is as expected');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('can get an object by part number', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'part.txt';
+    let body = '0123456789';
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        s3.putObject({ Bucket: bucket, Key: object, Body: body }, function(err) {
+            t.ifError(err, `Put object ${object} via the S3 API without errors`);
+
+            let params = { Bucket: bucket, Key: object, PartNumber: 1 };
+
+            s3.getObject(params, function getObj(err, data) {
+                t.ifError(err, `Got part 1 of object ${object} via the S3 API without errors`);
+
+                t.equal(data.Body.toString(), body, 'The first part is the whole object');
+                t.equal(data.ContentRange, 'bytes 0-9/10', 'Content range is as expected');
+
+                params.PartNumber = 2;
+
+                s3.headObject(params, function headMissingPart(err) {
+                    t.equal(err.statusCode, 416, 'Expecting 416 for a missing part');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('can get an object conditionally', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'conditional.txt';
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        s3.putObject({ Bucket: bucket, Key: object, Body: 'conditional' }, function(err, putData) {
+            t.ifError(err, `Put object ${object} via the S3 API without errors`);
+
+            let future = new Date(Date.now() + 3600000);
+            let past = new Date(Date.now() - 3600000);
+
+            mod_vasync.pipeline({ funcs: [
+                function matchingEtag(_, next) {
+                    s3.getObject({ Bucket: bucket, Key: object, IfMatch: putData.ETag },
+                        function (err, data) {
+                            t.ifError(err, 'Got object with a matching If-Match');
+                            t.equal(data.Body.toString(), 'conditional', 'Body is as expected');
+                            next();
+                        });
+                },
+                function mismatchingEtag(_, next) {
+                    s3.getObject({ Bucket: bucket, Key: object, IfMatch: '"mismatch"' },
+                        function (err) {
+                            t.equal(err.statusCode, 412,
+                                'Expecting 412 for a mismatching If-Match');
+                            t.equal(err.code, 'PreconditionFailed', 'Error code is as expected');
+                            next();
+                        });
+                },
+                function notModifiedEtag(_, next) {
+                    s3.getObject({ Bucket: bucket, Key: object, IfNoneMatch: putData.ETag },
+                        function (err) {
+                            t.equal(err.statusCode, 304,
+                                'Expecting 304 for a matching If-None-Match');
+                            next();
+                        });
+                },
+                function notModifiedDate(_, next) {
+                    s3.headObject({ Bucket: bucket, Key: object, IfModifiedSince: future },
+                        function (err) {
+                            t.equal(err.statusCode, 304,
+                                'Expecting 304 for an object not modified since');
+                            next();
+                        });
+                },
+                function modifiedDate(_, next) {
+                    s3.getObject({ Bucket: bucket, Key: object, IfUnmodifiedSince: past },
+                        function (err) {
+                            t.equal(err.statusCode, 412,
+                                'Expecting 412 for an object modified since');
+                            next();
+                        });
+                }
+            ]}, function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('can add an object conditionally', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'lock.txt';
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        let params = { Bucket: bucket, Key: object, Body: 'first', IfNoneMatch: '*' };
+
+        s3.deleteObject({ Bucket: bucket, Key: object }, function() {
+            s3.putObject(params, function(err, putData) {
+                t.ifError(err, `Created object ${object} only if absent`);
+
+                s3.putObject(params, function(err) {
+                    t.equal(err.statusCode, 412, 'Expecting 412 when the object exists');
+                    t.equal(err.code, 'PreconditionFailed', 'Error code is as expected');
+
+                    // The SDK doesn't model If-Match on uploads, so it is added to the request
+                    function putIfMatch(callback) {
+                        s3.putObject({ Bucket: bucket, Key: object, Body: 'second' })
+                            .on('build', function(request) {
+                                request.httpRequest.headers['If-Match'] = putData.ETag;
+                            })
+                            .send(callback);
+                    }
+
+                    putIfMatch(function(err) {
+                        t.ifError(err, `Replaced object ${object} only if unchanged`);
+
+                        putIfMatch(function(err) {
+                            t.equal(err.statusCode, 412,
+                                'Expecting 412 when the object has changed');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('can override the response headers of an object', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'report.bin';
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        s3.putObject({ Bucket: bucket, Key: object, Body: 'report' }, function(err) {
+            t.ifError(err, `Put object ${object} via the S3 API without errors`);
+
+            let params = {
+                Bucket: bucket,
+                Key: object,
+                ResponseCacheControl: 'no-cache',
+                ResponseContentDisposition: 'attachment; filename="report.pdf"',
+                ResponseContentType: 'application/pdf'
+            };
+
+            s3.getObject(params, function getObj(err, data) {
+                t.ifError(err, `Got object ${object} via the S3 API without errors`);
+
+                t.equal(data.CacheControl, params.ResponseCacheControl,
+                    'Cache control was overridden');
+                t.equal(data.ContentDisposition, params.ResponseContentDisposition,
+                    'Content disposition was overridden');
+                t.equal(data.ContentType, params.ResponseContentType,
+                    'Content type was overridden');
+                t.end();
+            });
+        });
+    });
+});
+
 test('can add and get an object with reduced redundancy', function(t) {
     let bucket = 'predictable-bucket-name';
     let object = 'sample.txt';
@@ -472,3 +724,60 @@ test('can copy an object between directories', function(t) {
         });
     });
 });
+
+test('can add, get and copy an object with standard headers', function(t) {
+    let bucket = 'predictable-bucket-name';
+    let object = 'styles.css.gz';
+    let copy = 'dir1/styles-copy.css.gz';
+
+    let params = {
+        Bucket: bucket,
+        Key: object,
+        Body: 'compressed',
+        CacheControl: 'public, max-age=3600',
+        ContentDisposition: 'inline',
+        ContentEncoding: 'gzip',
+        ContentLanguage: 'en',
+        Expires: new Date('2030-01-01T00:00:00Z'),
+        WebsiteRedirectLocation: '/styles.css'
+    };
+
+    function verifyHeaders(key, data) {
+        t.equal(data.CacheControl, params.CacheControl, `Cache control of ${key} was kept`);
+        t.equal(data.ContentDisposition, params.ContentDisposition,
+            `Content disposition of ${key} was kept`);
+        t.equal(data.ContentEncoding, params.ContentEncoding,
+            `Content encoding of ${key} was kept`);
+        t.equal(data.ContentLanguage, params.ContentLanguage,
+            `Content language of ${key} was kept`);
+        t.equal(data.Expires.getTime(), params.Expires.getTime(), `Expires of ${key} was kept`);
+        t.equal(data.WebsiteRedirectLocation, params.WebsiteRedirectLocation,
+            `Website redirect location of ${key} was kept`);
+        t.deepEqual(data.Metadata, {}, `No metadata was added to ${key}`);
+    }
+
+    s3.createBucket({ Bucket: bucket}, function(err) {
+        t.ifError(err, `No error when creating [${bucket}] bucket`);
+
+        s3.putObject(params, function(err) {
+            t.ifError(err, `Put object ${object} via the S3 API without errors`);
+
+            s3.headObject({ Bucket: bucket, Key: object }, function headObj(err, data) {
+                t.ifError(err, `Got info of object ${object} via the S3 API without errors`);
+                verifyHeaders(object, data);
+
+                let copyParams = { Bucket: bucket, CopySource: object, Key: copy };
+
+                s3.copyObject(copyParams, function copyObj(err) {
+                    t.ifError(err, `Object copied to ${copy} via the S3 API without errors`);
+
+                    s3.getObject({ Bucket: bucket, Key: copy }, function getCopy(err, data) {
+                        t.ifError(err, `Got object ${copy} via the S3 API without errors`);
+                        verifyHeaders(copy, data);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
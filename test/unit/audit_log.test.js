@@ -0,0 +1,157 @@
+'use strict';
+
+let mod_fs = require('fs');
+let mod_os = require('os');
+let mod_path = require('path');
+let AuditLog = require('../../lib/audit_log');
+let Authenticator = require('../../lib/authenticator');
+let Authorizer = require('../../lib/authorizer');
+let SessionCredentials = require('../../lib/session_credentials');
+let StaticCredentialStore = require('../../lib/static_credential_store');
+let test = require('tape');
+
+const OPTIONS = {
+    maxAllowedSkewMilliseconds: 900000,
+    sessionTokenSecret: 'token-secret',
+    maxSessionDurationSeconds: 3600
+};
+
+const READER = {
+    accessKey: 'AKIAREADER',
+    secretKey: 'secret-reader',
+    policy: {
+        Statement: {
+            Effect: 'Allow',
+            Action: 's3:GetObject',
+            Resource: 'arn:aws:s3:::logs/*'
+        }
+    }
+};
+
+let policyStore = {
+    load: function (mantaClient, bucketPath, bucket, callback) {
+        setImmediate(callback, null, null);
+    }
+};
+
+let mantaClientPool = {
+    clientFor: function () {
+        return {};
+    }
+};
+
+function auditFile() {
+    return mod_path.join(mod_os.tmpdir(), `audit-${process.pid}-${Date.now()}.log`);
+}
+
+function readEntries(path) {
+    return mod_fs.readFileSync(path, 'utf8').trim().split('\n').map(function (line) {
+        return JSON.parse(line);
+    });
+}
+
+function buildRequest(method, path, headers) {
+    return {
+        method: method,
+        headers: headers || {},
+        query: {},
+        params: {},
+        clientIp: '192.0.2.10',
+        log: {
+            debug: function () {
+                return false;
+            }
+        },
+        getId: function () {
+            return 'request-id';
+        },
+        path: function () {
+            return path;
+        }
+    };
+}
+
+test('canDisableAuditing', function (t) {
+    let auditLog = new AuditLog({ auditLog: null });
+
+    t.notOk(auditLog.isEnabled(), 'auditing is disabled by default');
+    auditLog.recordAuthentication(buildRequest('GET', '/'), null, new Error('ignored'));
+    auditLog.close(function () {
+        t.end();
+    });
+});
+
+test('canAuditRejectedAuthentications', function (t) {
+    let path = auditFile();
+    let auditLog = new AuditLog({ auditLog: path });
+    let credentialStore = new StaticCredentialStore([READER]);
+    let authenticator = new Authenticator(OPTIONS, credentialStore,
+        new SessionCredentials(OPTIONS, credentialStore), null, null, auditLog);
+    let req = buildRequest('GET', '/logs/app.log', {
+        authorization: 'AWS AKIAUNKNOWN:c2lnbmF0dXJl',
+        date: new Date().toUTCString()
+    });
+
+    authenticator.authenticate(req, {}, function (err) {
+        t.equal(err.restCode, 'InvalidAccessKeyId', 'unknown key was rejected');
+
+        auditLog.close(function () {
+            let entries = readEntries(path);
+
+            t.equal(entries.length, 1, 'rejection was recorded');
+            t.equal(entries[0].name, 's3-manta-bridge-audit', 'entry was written by the audit log');
+            t.equal(entries[0].stage, 'authentication', 'stage was recorded');
+            t.equal(entries[0].decision, 'Deny', 'decision was recorded');
+            t.equal(entries[0].reason, 'InvalidAccessKeyId', 'reason was recorded');
+            t.equal(entries[0].accessKey, 'AKIAUNKNOWN', 'access key was recorded');
+            t.equal(entries[0].clientIp, '192.0.2.10', 'client IP was recorded');
+            t.equal(entries[0].requestId, 'request-id', 'request ID was recorded');
+            t.equal(entries[0].path, '/logs/app.log', 'path was recorded');
+
+            mod_fs.unlinkSync(path);
+            t.end();
+        });
+    });
+});
+
+test('canAuditAuthorizationDecisions', function (t) {
+    let path = auditFile();
+    let auditLog = new AuditLog({ auditLog: path });
+    let authorizer = new Authorizer({}, mantaClientPool, policyStore, {}, auditLog);
+
+    function buildAuthenticatedRequest(method, sanitizedPath) {
+        let req = buildRequest(method, `/logs${sanitizedPath}`);
+        req.bucket = 'logs';
+        req.sanitizedPath = sanitizedPath;
+        req.bucketPath = '~~/stor/s3_buckets';
+        req.credential = READER;
+
+        return req;
+    }
+
+    authorizer.authorize(buildAuthenticatedRequest('GET', '/app.log'), {}, function (err) {
+        t.ifError(err, 'read was allowed');
+
+        authorizer.authorize(buildAuthenticatedRequest('DELETE', '/app.log'), {}, function (err) {
+            t.equal(err.restCode, 'AccessDenied', 'delete was denied');
+
+            auditLog.close(function () {
+                let entries = readEntries(path);
+
+                t.equal(entries.length, 2, 'both decisions were recorded');
+                t.equal(entries[0].stage, 'authorization', 'stage was recorded');
+                t.equal(entries[0].decision, 'Allow', 'allowed read was recorded');
+                t.equal(entries[0].reason, 'Policy', 'reason was recorded');
+                t.equal(entries[0].operation, 's3:GetObject', 'operation was recorded');
+                t.equal(entries[0].accessKey, 'AKIAREADER', 'access key was recorded');
+                t.equal(entries[0].bucket, 'logs', 'bucket was recorded');
+                t.equal(entries[0].key, 'app.log', 'key was recorded');
+                t.equal(entries[1].decision, 'Deny', 'denied delete was recorded');
+                t.equal(entries[1].operation, 's3:DeleteObject', 'denied operation was recorded');
+
+                mod_fs.unlinkSync(path);
+                t.end();
+            });
+        });
+    });
+});
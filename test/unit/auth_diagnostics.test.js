@@ -0,0 +1,147 @@
+'use strict';
+
+let mod_stream = require('stream');
+let AuthDiagnostics = require('../../lib/auth_diagnostics');
+let test = require('tape');
+
+function buildLog(entries) {
+    function logAt(level) {
+        return function (fields, msg) {
+            entries.push({ level: level, fields: fields, msg: msg });
+        };
+    }
+
+    return { info: logAt('info'), debug: logAt('debug') };
+}
+
+function buildRequest(path, log, body) {
+    let req = new mod_stream.PassThrough();
+    req.method = 'GET';
+    req.headers = { 'content-length': String(Buffer.byteLength(body || '')) };
+    req.log = log;
+    req.path = function () {
+        return path;
+    };
+    req.signatureDetails = {
+        signatureVersion: 4,
+        canonicalRequest: 'GET\n/bucket/file.txt',
+        stringToSign: 'AWS4-HMAC-SHA256\n20150830T123600Z',
+        signedHeaders: ['host', 'x-amz-date'],
+        skewMilliseconds: 1200
+    };
+    req.end(body || '');
+
+    return req;
+}
+
+function signatureMismatch() {
+    let err = new Error('The request signature we calculated does not match');
+    err.restCode = 'SignatureDoesNotMatch';
+
+    return err;
+}
+
+test('canKeepLatestAuthFailures', function (t) {
+    let entries = [];
+    let diagnostics = new AuthDiagnostics({ authFailureHistorySize: 2 });
+    let log = buildLog(entries);
+
+    diagnostics.record(buildRequest('/a', log), 'AKIAONE', '10.0.0.1', signatureMismatch());
+    diagnostics.record(buildRequest('/b', log), 'AKIAONE', '10.0.0.1', null);
+    diagnostics.record(buildRequest('/c', log), 'AKIATWO', '10.0.0.2', signatureMismatch());
+    diagnostics.record(buildRequest('/d', log), 'AKIATWO', '10.0.0.2', signatureMismatch());
+
+    let failures = diagnostics.failures();
+
+    t.equal(failures.length, 2, 'only the latest failures were kept');
+    t.deepEqual(failures.map(function (failure) {
+        return failure.path;
+    }), ['/c', '/d'], 'failures were kept from oldest to newest');
+    t.equal(failures[0].code, 'SignatureDoesNotMatch', 'error code was recorded');
+    t.equal(failures[0].stringToSign, 'AWS4-HMAC-SHA256\n20150830T123600Z',
+        'string to sign was recorded');
+    t.equal(failures[0].skewMilliseconds, 1200, 'skew was recorded');
+    t.equal(entries.length, 3, 'successes were not logged');
+    t.ok(entries.every(function (entry) {
+        return entry.level === 'debug';
+    }), 'failures were logged at the debug level');
+    t.end();
+});
+
+test('canSwitchDiagnosticsOnPerClient', function (t) {
+    let entries = [];
+    let diagnostics = new AuthDiagnostics({
+        authDiagnostics: { accessKeys: ['AKIAONE'], clientIps: [] },
+        authFailureHistorySize: 10
+    });
+    let log = buildLog(entries);
+
+    diagnostics.record(buildRequest('/a', log), 'AKIAONE', '10.0.0.1', null);
+    diagnostics.record(buildRequest('/b', log), 'AKIATWO', '10.0.0.2', null);
+
+    t.equal(entries.length, 1, 'only the switched on access key was logged');
+    t.equal(entries[0].level, 'info', 'diagnostics were logged at the info level');
+    t.deepEqual(entries[0].fields.authDiagnostics.signedHeaders, ['host', 'x-amz-date'],
+        'signed headers were logged');
+    t.equal(entries[0].fields.authDiagnostics.canonicalRequest, 'GET\n/bucket/file.txt',
+        'canonical request was logged');
+
+    diagnostics.configure({ accessKeys: [], clientIps: ['10.0.0.2'] });
+    t.ok(diagnostics.isEnabled('AKIATWO', '10.0.0.2'), 'client IP was switched on');
+    t.notOk(diagnostics.isEnabled('AKIAONE', '10.0.0.1'), 'access key was switched off');
+    t.end();
+});
+
+test('canParseDiagnosticsSettings', function (t) {
+    t.deepEqual(AuthDiagnostics.parseSettings('{"clientIps": ["10.0.0.1"]}'),
+        { accessKeys: [], clientIps: ['10.0.0.1'] }, 'missing list was empty');
+    t.throws(function () {
+        AuthDiagnostics.parseSettings('{"accessKeys": "AKIAONE"}');
+    }, /accessKeys must be a list of strings/, 'invalid list was rejected');
+    t.throws(function () {
+        AuthDiagnostics.parseSettings('accessKeys');
+    }, /must be a JSON document/, 'invalid document was rejected');
+    t.end();
+});
+
+test('canServeAdminEndpoint', function (t) {
+    let entries = [];
+    let diagnostics = new AuthDiagnostics({ authFailureHistorySize: 10 });
+    let log = buildLog(entries);
+    let req = buildRequest('/', log, '{"accessKeys": ["AKIAONE"]}');
+    let res = {
+        send: function (status) {
+            this.statusCode = status;
+        }
+    };
+
+    diagnostics.putAuthDiagnostics(req, res, function (err) {
+        t.ifError(err, 'settings were replaced');
+        t.equal(res.statusCode, 204, 'no content was returned');
+        t.deepEqual(diagnostics.settings(), { accessKeys: ['AKIAONE'], clientIps: [] },
+            'access key was switched on');
+
+        diagnostics.record(buildRequest('/a', log), 'AKIATWO', '10.0.0.2',
+            signatureMismatch());
+
+        let body = '';
+        let getRes = {
+            writeHead: function (status) {
+                this.statusCode = status;
+            },
+            end: function (contents) {
+                body = contents;
+            }
+        };
+
+        diagnostics.getAuthDiagnostics(buildRequest('/', log), getRes, function (err) {
+            t.ifError(err, 'diagnostics were returned');
+
+            let result = JSON.parse(body);
+            t.deepEqual(result.accessKeys, ['AKIAONE'], 'settings were returned');
+            t.equal(result.failures.length, 1, 'failures were returned');
+            t.equal(result.failures[0].accessKey, 'AKIATWO', 'failed access key was returned');
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,409 @@
+'use strict';
+
+let AccessControlList = require('../../lib/access_control_list');
+let Authorizer = require('../../lib/authorizer');
+let test = require('tape');
+
+const READ_ONLY_POLICY = {
+    Version: '2012-10-17',
+    Statement: [
+        {
+            Effect: 'Allow',
+            Action: ['s3:GetObject', 's3:ListBucket'],
+            Resource: ['arn:aws:s3:::logs', 'arn:aws:s3:::logs/*']
+        },
+        {
+            Effect: 'Allow',
+            Action: 's3:PutObject',
+            Resource: 'arn:aws:s3:::logs/app1/*'
+        }
+    ]
+};
+
+const BUCKET_POLICIES = {
+    logs: null,
+    shared: {
+        Statement: [
+            {
+                Effect: 'Allow',
+                Principal: { AWS: 'AKIASHIPPER' },
+                Action: 's3:GetObject',
+                Resource: 'arn:aws:s3:::shared/*'
+            },
+            {
+                Effect: 'Deny',
+                Principal: '*',
+                Action: 's3:DeleteObject',
+                Resource: 'arn:aws:s3:::shared/*'
+            }
+        ]
+    }
+};
+
+const PUBLIC_POLICY = {
+    Statement: [
+        {
+            Effect: 'Allow',
+            Principal: '*',
+            Action: 's3:GetObject',
+            Resource: 'arn:aws:s3:::website/*'
+        }
+    ]
+};
+
+BUCKET_POLICIES.website = PUBLIC_POLICY;
+BUCKET_POLICIES.secret = {
+    Statement: [
+        {
+            Effect: 'Deny',
+            Principal: '*',
+            Action: 's3:GetObject',
+            Resource: 'arn:aws:s3:::secret/*'
+        }
+    ]
+};
+
+const OWNER = { id: 'AKIAADMIN', displayName: 'AKIAADMIN' };
+const GUEST = { id: 'AKIAGUEST', displayName: 'AKIAGUEST' };
+
+const BUCKET_ACLS = {
+    assets: AccessControlList.fromCanned('public-read', OWNER),
+    logs: AccessControlList.fromCanned('private', OWNER),
+    shared: AccessControlList.fromCanned('private', OWNER),
+    uploads: {
+        owner: OWNER,
+        grants: [
+            { grantee: { type: 'CanonicalUser', id: GUEST.id }, permission: 'WRITE' }
+        ]
+    }
+};
+
+const OBJECT_ACLS = {
+    '~~/stor/s3_buckets/assets/logo.png': AccessControlList.fromCanned('public-read', OWNER),
+    '~~/stor/s3_buckets/assets/draft.png': AccessControlList.fromCanned('private', OWNER),
+    '~~/stor/s3_buckets/assets/legacy.png': null,
+    '~~/stor/s3_buckets/uploads/guest.png': AccessControlList.fromCanned('private', GUEST)
+};
+
+let policyStore = {
+    load: function (mantaClient, bucketPath, bucket, callback) {
+        setImmediate(callback, null, BUCKET_POLICIES[bucket] || null);
+    }
+};
+
+let aclStore = {
+    loadBucketAcl: function (mantaClient, bucketPath, bucket, callback) {
+        setImmediate(callback, null, BUCKET_ACLS[bucket] || null);
+    },
+    loadObjectAcl: function (mantaClient, mantaPath, callback) {
+        setImmediate(callback, null, OBJECT_ACLS[mantaPath] || null,
+            OBJECT_ACLS.hasOwnProperty(mantaPath));
+    }
+};
+
+let mantaClientPool = {
+    clientFor: function () {
+        return {};
+    }
+};
+
+let authorizer = new Authorizer({}, mantaClientPool, policyStore, aclStore);
+
+function buildRequest(method, bucket, sanitizedPath, credential) {
+    return {
+        method: method,
+        bucket: bucket,
+        sanitizedPath: sanitizedPath,
+        bucketPath: '~~/stor/s3_buckets',
+        params: {},
+        headers: {},
+        credential: credential,
+        connection: { remoteAddress: '127.0.0.1' },
+        log: {
+            debug: function () {
+                return false;
+            }
+        }
+    };
+}
+
+function buildAnonymousRequest(method, bucket, sanitizedPath) {
+    let req = buildRequest(method, bucket, sanitizedPath);
+    req.anonymous = true;
+
+    return req;
+}
+
+const ADMIN = { accessKey: 'AKIAADMIN' };
+const GUEST_KEY = { accessKey: 'AKIAGUEST' };
+const SHIPPER = { accessKey: 'AKIASHIPPER', policy: READ_ONLY_POLICY };
+const SHIPPER_SESSION = {
+    accessKey: 'ASIASESSION',
+    parentAccessKey: 'AKIASHIPPER',
+    policy: READ_ONLY_POLICY,
+    sessionPolicy: {
+        Statement: [
+            {
+                Effect: 'Allow',
+                Action: 's3:*',
+                Resource: ['arn:aws:s3:::logs/*', 'arn:aws:s3:::shared/*']
+            }
+        ]
+    }
+};
+
+test('canAllowKeyWithoutIdentityPolicy', function (t) {
+    authorizer.authorize(buildRequest('DELETE', 'logs', '/'), {}, function (err) {
+        t.ifError(err, 'request without credential was allowed');
+
+        authorizer.authorize(buildRequest('DELETE', 'logs', '/', ADMIN), {}, function (err) {
+            t.ifError(err, 'key without identity policy was allowed');
+            t.end();
+        });
+    });
+});
+
+test('canAllowActionsInIdentityPolicy', function (t) {
+    authorizer.authorize(buildRequest('GET', 'logs', '/app2/today.log', SHIPPER), {},
+        function (err) {
+            t.ifError(err, 'read was allowed');
+
+            authorizer.authorize(buildRequest('PUT', 'logs', '/app1/today.log', SHIPPER), {},
+                function (err) {
+                    t.ifError(err, 'write within prefix was allowed');
+                    t.end();
+                });
+        });
+});
+
+test('canDenyActionsMissingFromIdentityPolicy', function (t) {
+    authorizer.authorize(buildRequest('DELETE', 'logs', '/', SHIPPER), {}, function (err) {
+        t.ok(err, 'bucket delete was denied');
+        t.equal(err.restCode, 'AccessDenied', 'access denied error was returned');
+
+        authorizer.authorize(buildRequest('PUT', 'logs', '/app2/today.log', SHIPPER), {},
+            function (err) {
+                t.ok(err, 'write outside of prefix was denied');
+
+                authorizer.authorize(buildRequest('GET', '', '/', SHIPPER), {}, function (err) {
+                    t.ok(err, 'listing buckets was denied');
+                    t.end();
+                });
+            });
+    });
+});
+
+test('canAllowActionsGrantedByBucketPolicy', function (t) {
+    authorizer.authorize(buildRequest('GET', 'shared', '/report.csv', SHIPPER), {},
+        function (err) {
+            t.ifError(err, 'bucket policy granted access missing from identity policy');
+            t.end();
+        });
+});
+
+test('canDenyActionsDeniedByBucketPolicy', function (t) {
+    authorizer.authorize(buildRequest('DELETE', 'shared', '/report.csv', ADMIN), {},
+        function (err) {
+            t.ok(err, 'explicit deny in bucket policy applied to unrestricted key');
+            t.equal(err.restCode, 'AccessDenied', 'access denied error was returned');
+            t.end();
+        });
+});
+
+test('canApplyBucketPolicyOfCopySource', function (t) {
+    let req = buildRequest('PUT', 'uploads', '/copy.txt', GUEST_KEY);
+    req.headers['x-amz-metadata-directive'] = 'COPY';
+    req.headers['x-amz-copy-source'] = '/website/../secret/file.txt';
+
+    authorizer.authorize(req, {}, function (err) {
+        t.ok(err, 'policy of the bucket actually copied from applied');
+        t.equal(err.restCode, 'AccessDenied', 'access denied error was returned');
+        t.end();
+    });
+});
+
+test('canLimitSessionsToSessionPolicy', function (t) {
+    authorizer.authorize(buildRequest('GET', 'logs', '/app2/today.log', SHIPPER_SESSION), {},
+        function (err) {
+            t.ifError(err, 'read allowed by both policies was allowed');
+
+            authorizer.authorize(buildRequest('GET', 'logs', '/', SHIPPER_SESSION), {},
+                function (err) {
+                    t.ok(err, 'listing missing from session policy was denied');
+
+                    authorizer.authorize(buildRequest('PUT', 'logs', '/app2/today.log',
+                        SHIPPER_SESSION), {}, function (err) {
+                        t.ok(err, 'write missing from identity policy was denied');
+                        t.end();
+                    });
+                });
+        });
+});
+
+test('canApplyBucketPoliciesToParentOfSession', function (t) {
+    authorizer.authorize(buildRequest('GET', 'shared', '/report.csv', SHIPPER_SESSION), {},
+        function (err) {
+            t.ifError(err, 'bucket policy naming the parent key granted access');
+            t.end();
+        });
+});
+
+test('canAllowAnonymousReadsOfPublicResources', function (t) {
+    authorizer.authorize(buildAnonymousRequest('GET', 'assets', '/logo.png'), {},
+        function (err) {
+            t.ifError(err, 'read of public-read object was allowed');
+
+            authorizer.authorize(buildAnonymousRequest('GET', 'assets', '/'), {},
+                function (err) {
+                    t.ifError(err, 'listing of public-read bucket was allowed');
+
+                    authorizer.authorize(buildAnonymousRequest('GET', 'website', '/index.html'),
+                        {}, function (err) {
+                            t.ifError(err, 'read allowed by bucket policy was allowed');
+                            t.end();
+                        });
+                });
+        });
+});
+
+test('canDenyAnonymousAccessToPrivateResources', function (t) {
+    authorizer.authorize(buildAnonymousRequest('GET', 'assets', '/draft.png'), {},
+        function (err) {
+            t.equal(err.restCode, 'AccessDenied', 'read of private object was denied');
+
+            authorizer.authorize(buildAnonymousRequest('GET', 'assets', '/missing.png'), {},
+                function (err) {
+                    t.equal(err.restCode, 'AccessDenied', 'read of missing object was denied');
+
+                    authorizer.authorize(buildAnonymousRequest('GET', 'logs', '/'), {},
+                        function (err) {
+                            t.equal(err.restCode, 'AccessDenied',
+                                'listing of private bucket was denied');
+                            t.end();
+                        });
+                });
+        });
+});
+
+test('canDenyAnonymousAclRequests', function (t) {
+    let req = buildAnonymousRequest('GET', 'assets', '/logo.png');
+    req.params.acl = '';
+
+    authorizer.authorize(req, {}, function (err) {
+        t.equal(err.restCode, 'AccessDenied', 'reading the ACL of a public object was denied');
+
+        authorizer.authorize(buildAnonymousRequest('GET', '', '/'), {}, function (err) {
+            t.equal(err.restCode, 'AccessDenied', 'listing buckets was denied');
+            t.end();
+        });
+    });
+});
+
+test('canEnforceAclsForKeysWithoutIdentityPolicy', function (t) {
+    authorizer.authorize(buildRequest('GET', 'assets', '/draft.png', GUEST_KEY), {},
+        function (err) {
+            t.equal(err.restCode, 'AccessDenied', 'read of private object was denied');
+
+            authorizer.authorize(buildRequest('GET', 'assets', '/logo.png', GUEST_KEY), {},
+                function (err) {
+                    t.ifError(err, 'read of public object was allowed');
+
+                    authorizer.authorize(buildRequest('GET', 'logs', '/', GUEST_KEY), {},
+                        function (err) {
+                            t.equal(err.restCode, 'AccessDenied',
+                                'listing of private bucket was denied');
+                            t.end();
+                        });
+                });
+        });
+});
+
+test('canAllowAccessGrantedByAcls', function (t) {
+    authorizer.authorize(buildRequest('PUT', 'uploads', '/guest.png', GUEST_KEY), {},
+        function (err) {
+            t.ifError(err, 'write granted by bucket ACL was allowed');
+
+            let req = buildRequest('GET', 'uploads', '/guest.png', GUEST_KEY);
+            req.params.acl = '';
+
+            authorizer.authorize(req, {}, function (err) {
+                t.ifError(err, 'owner of object was allowed to read its ACL');
+
+                authorizer.authorize(buildRequest('DELETE', 'uploads', '/', GUEST_KEY), {},
+                    function (err) {
+                        t.equal(err.restCode, 'AccessDenied',
+                            'deleting a bucket owned by another key was denied');
+                        t.end();
+                    });
+            });
+        });
+});
+
+test('canEnforceAclOfCopySource', function (t) {
+    let req = buildRequest('PUT', 'uploads', '/copy.png', GUEST_KEY);
+    req.headers['x-amz-metadata-directive'] = 'COPY';
+    req.headers['x-amz-copy-source'] = '/assets/logo.png';
+
+    authorizer.authorize(req, {}, function (err) {
+        t.ifError(err, 'copy of public object was allowed');
+
+        req.headers['x-amz-copy-source'] = '/assets/drafts/../draft.png';
+
+        authorizer.authorize(req, {}, function (err) {
+            t.ok(err, 'ACL of the object actually copied applied');
+            t.equal(err.restCode, 'AccessDenied', 'access denied error was returned');
+            t.end();
+        });
+    });
+});
+
+test('canAllowAuthenticatedAccessToResourcesWithoutOwner', function (t) {
+    authorizer.authorize(buildRequest('GET', 'assets', '/legacy.png', GUEST_KEY), {},
+        function (err) {
+            t.ifError(err, 'read of object without ACL was allowed');
+
+            authorizer.authorize(buildRequest('DELETE', 'legacy', '/', GUEST_KEY), {},
+                function (err) {
+                    t.ifError(err, 'delete of bucket without ACL was allowed');
+
+                    authorizer.authorize(buildAnonymousRequest('GET', 'assets', '/legacy.png'),
+                        {}, function (err) {
+                            t.equal(err.restCode, 'AccessDenied',
+                                'anonymous read of object without ACL was denied');
+                            t.end();
+                        });
+                });
+        });
+});
+
+test('canReserveAdminEndpointsToIdentityPolicies', function (t) {
+    let operator = {
+        accessKey: 'AKIAOPERATOR',
+        policy: {
+            Statement: [{ Effect: 'Allow', Action: 's3:*', Resource: '*' }]
+        }
+    };
+
+    let req = buildRequest('GET', '', '/', ADMIN);
+    req.params = { authDiagnostics: '' };
+
+    authorizer.authorize(req, {}, function (err) {
+        t.equal(err.restCode, 'AccessDenied', 'key without identity policy was denied');
+
+        req = buildRequest('GET', '', '/', operator);
+        req.params = { authDiagnostics: '' };
+
+        authorizer.authorize(req, {}, function (err) {
+            t.ifError(err, 'key allowed by its identity policy was allowed');
+
+            req = buildRequest('PUT', '', '/', SHIPPER);
+            req.params = { authDiagnostics: '' };
+
+            authorizer.authorize(req, {}, function (err) {
+                t.equal(err.restCode, 'AccessDenied',
+                    'key whose identity policy does not allow it was denied');
+                t.end();
+            });
+        });
+    });
+});
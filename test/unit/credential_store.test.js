@@ -0,0 +1,198 @@
+'use strict';
+
+let mod_fs = require('fs');
+let mod_os = require('os');
+let mod_path = require('path');
+let CredentialStore = require('../../lib/credential_store');
+let CredentialStoreFactory = require('../../lib/credential_store_factory');
+let FileCredentialStore = require('../../lib/file_credential_store');
+let StaticCredentialStore = require('../../lib/static_credential_store');
+let test = require('tape');
+
+function writeTempFile(extension, contents) {
+    let filename = `credentials-${process.pid}-${Date.now()}${extension}`;
+    let path = mod_path.join(mod_os.tmpdir(), filename);
+    mod_fs.writeFileSync(path, contents);
+
+    return path;
+}
+
+test('canFindStaticCredential', function (t) {
+    let store = new StaticCredentialStore([
+        { accessKey: 'AKIAONE', secretKey: 'secret-one' },
+        { accessKey: 'AKIATWO', secretKey: 'secret-two' }
+    ]);
+
+    store.find('AKIATWO', function (err, credential) {
+        t.ifError(err, 'No error looking up credential');
+        t.equal(credential.secretKey, 'secret-two', 'Secret key was found by access key');
+
+        store.find('AKIAMISSING', function (err, missing) {
+            t.ifError(err, 'No error looking up unknown credential');
+            t.equal(missing, null, 'Unknown access key was not found');
+            t.end();
+        });
+    });
+});
+
+test('canRejectDuplicateAccessKeys', function (t) {
+    t.throws(function () {
+        return new StaticCredentialStore([
+            { accessKey: 'AKIAONE', secretKey: 'secret-one' },
+            { accessKey: 'AKIAONE', secretKey: 'secret-two' }
+        ]);
+    }, /more than once/, 'Duplicate access key was rejected');
+    t.end();
+});
+
+test('canRejectInvalidTenant', function (t) {
+    t.throws(function () {
+        return new StaticCredentialStore([
+            { accessKey: 'AKIAONE', secretKey: 'secret-one', tenant: '../b' }
+        ]);
+    }, /invalid tenant/, 'Tenant containing a path was rejected');
+    t.end();
+});
+
+test('canLoadJsonCredentialFile', function (t) {
+    process.env.CREDENTIAL_STORE_TEST_SECRET = 'secret-from-env';
+
+    let path = writeTempFile('.json', JSON.stringify({
+        credentials: [
+            { accessKey: 'AKIAJSON', secretKey: '$CREDENTIAL_STORE_TEST_SECRET' }
+        ]
+    }));
+    let store = new FileCredentialStore(path);
+    mod_fs.unlinkSync(path);
+
+    store.find('AKIAJSON', function (err, credential) {
+        t.ifError(err, 'No error looking up credential');
+        t.equal(credential.secretKey, 'secret-from-env', 'Environment variable was interpolated');
+        t.end();
+    });
+});
+
+test('canLoadYamlCredentialFile', function (t) {
+    let path = writeTempFile('.yml', [
+        'credentials:',
+        '  - accessKey: AKIAYAML',
+        '    secretKey: secret-yaml',
+        ''
+    ].join('\n'));
+    let store = CredentialStoreFactory.create({
+        credentialStore: { type: 'file', path: path }
+    });
+    mod_fs.unlinkSync(path);
+
+    store.find('AKIAYAML', function (err, credential) {
+        t.ifError(err, 'No error looking up credential');
+        t.equal(credential.secretKey, 'secret-yaml', 'Credential was loaded from YAML');
+        t.end();
+    });
+});
+
+test('canCreateStoreFromAccessKeyOptions', function (t) {
+    let store = CredentialStoreFactory.create({
+        accessKey: 'AKIAOPTIONS',
+        secretKey: 'secret-options'
+    });
+
+    store.find('AKIAOPTIONS', function (err, credential) {
+        t.ifError(err, 'No error looking up credential');
+        t.equal(credential.secretKey, 'secret-options', 'Credential was created from options');
+        t.end();
+    });
+});
+
+test('canRejectInvalidIdentityPolicy', function (t) {
+    t.throws(function () {
+        return new StaticCredentialStore([{
+            accessKey: 'AKIAONE',
+            secretKey: 'secret-one',
+            policy: { Statement: { Effect: 'Allow', Action: 's3:GetObject' } }
+        }]);
+    }, /invalid policy/, 'Identity policy without a resource was rejected');
+    t.end();
+});
+
+test('canRejectPreviousSecretKeyWithoutExpiration', function (t) {
+    t.throws(function () {
+        return new StaticCredentialStore([
+            { accessKey: 'AKIAONE', secretKey: 'secret-one', previousSecretKey: 'secret-old' }
+        ]);
+    }, /without a valid previousSecretKeyExpiration/, 'Rotation without cutover was rejected');
+    t.end();
+});
+
+test('canRejectInvalidAllowedSourceIps', function (t) {
+    t.throws(function () {
+        return new StaticCredentialStore([
+            { accessKey: 'AKIAONE', secretKey: 'secret-one', allowedSourceIps: ['10.0.0.0/33'] }
+        ]);
+    }, /invalid allowedSourceIps/, 'Invalid CIDR block was rejected');
+
+    let store = CredentialStoreFactory.create({
+        accessKey: 'AKIAOPTIONS',
+        secretKey: 'secret-options',
+        allowedSourceIps: '192.0.2.0/24'
+    });
+
+    store.find('AKIAOPTIONS', function (err, credential) {
+        t.ifError(err, 'No error looking up credential');
+        t.deepEqual(credential.allowedSourceIps, ['192.0.2.0/24'],
+            'Allowlist was created from options');
+        t.end();
+    });
+});
+
+test('canListSecretKeysDuringRotation', function (t) {
+    let credential = {
+        accessKey: 'AKIAONE',
+        secretKey: 'secret-new',
+        previousSecretKey: 'secret-old',
+        previousSecretKeyExpiration: new Date(Date.now() + 60000).toISOString()
+    };
+
+    t.deepEqual(CredentialStore.secretKeysFor(credential), ['secret-new', 'secret-old'],
+        'Previous secret key is accepted until the cutover');
+
+    credential.previousSecretKeyExpiration = new Date(Date.now() - 60000).toISOString();
+    t.deepEqual(CredentialStore.secretKeysFor(credential), ['secret-new'],
+        'Previous secret key is rejected after the cutover');
+    t.end();
+});
+
+test('canReloadCredentialFile', function (t) {
+    let path = writeTempFile('.json', JSON.stringify({
+        credentials: [{ accessKey: 'AKIARELOAD', secretKey: 'secret-before' }]
+    }));
+    let store = new FileCredentialStore(path);
+
+    t.ok(store.reloadable, 'File store can be reloaded');
+    t.notOk(new StaticCredentialStore([]).reloadable, 'Static store can only be restarted');
+
+    mod_fs.writeFileSync(path, JSON.stringify({
+        credentials: [{ accessKey: 'AKIARELOAD', secretKey: 'secret-after' }]
+    }));
+
+    store.reload(function (err) {
+        t.ifError(err, 'Credentials were reloaded');
+
+        store.find('AKIARELOAD', function (err, credential) {
+            t.equal(credential.secretKey, 'secret-after', 'New secret key was loaded');
+
+            mod_fs.writeFileSync(path, '{ "credentials": [');
+
+            store.reload(function (err) {
+                mod_fs.unlinkSync(path);
+                t.ok(err, 'Invalid file was reported');
+
+                store.find('AKIARELOAD', function (err, credential) {
+                    t.equal(credential.secretKey, 'secret-after',
+                        'Credentials were kept when the file was invalid');
+                    t.end();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+let mod_stream = require('stream');
+let LengthRangeVerifier = require('../../lib/length_range_verifier');
+let test = require('tape');
+
+function verify(verifier, body, cb) {
+    let destination = new mod_stream.PassThrough();
+    let aborted = false;
+
+    destination.abort = function () {
+        aborted = true;
+    };
+
+    verifier.once('error', function (err) {
+        cb(err, aborted);
+    });
+
+    verifier.once('end', function () {
+        setImmediate(function () {
+            cb(null, aborted);
+        });
+    });
+
+    verifier.pipe(destination).resume();
+    verifier.end(body);
+}
+
+test('canAllowLengthWithinRange', function (t) {
+    let verifier = new LengthRangeVerifier();
+    verifier.setRange(1, 5);
+
+    verify(verifier, 'abcde', function (err, aborted) {
+        t.ifError(err, 'Length within range was allowed');
+        t.notOk(aborted, 'Destination was not aborted');
+        t.equal(verifier.length, 5, 'Length was counted');
+        t.end();
+    });
+});
+
+test('canRejectLengthAboveRange', function (t) {
+    let verifier = new LengthRangeVerifier();
+    verifier.setRange(1, 4);
+
+    verify(verifier, 'abcde', function (err, aborted) {
+        t.ok(err, 'Length above range was rejected');
+        t.equal(err.restCode, 'EntityTooLarge', 'Entity was reported as too large');
+        t.ok(aborted, 'Destination was aborted');
+        t.end();
+    });
+});
+
+test('canRejectLengthBelowRange', function (t) {
+    let verifier = new LengthRangeVerifier();
+    verifier.setRange(10, 20);
+
+    verify(verifier, 'abcde', function (err, aborted) {
+        t.ok(err, 'Length below range was rejected');
+        t.equal(err.restCode, 'EntityTooSmall', 'Entity was reported as too small');
+        t.ok(aborted, 'Destination was aborted');
+        t.end();
+    });
+});
+
+test('canAbortVerifier', function (t) {
+    let verifier = new LengthRangeVerifier();
+    let destination = new mod_stream.PassThrough();
+    let aborted = false;
+
+    destination.abort = function () {
+        aborted = true;
+    };
+
+    verifier.once('error', function (err) {
+        t.equal(err.message, 'upstream failed', 'Upstream error was emitted');
+        t.ok(aborted, 'Destination was aborted');
+        t.ok(verifier.failed, 'Verifier was marked as failed');
+        t.end();
+    });
+
+    verifier.pipe(destination);
+    verifier.abort(new Error('upstream failed'));
+});
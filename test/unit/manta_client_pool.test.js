@@ -0,0 +1,64 @@
+'use strict';
+
+let MantaClientPool = require('../../lib/manta_client_pool');
+let test = require('tape');
+
+const DEFAULTS = {
+    user: 'bridge',
+    subuser: 'operator',
+    role: 'admin',
+    keyId: 'aa:bb',
+    privateKeyPath: '/keys/bridge',
+    url: 'https://manta.example.com:443'
+};
+
+test('canMergeSubuserOverrideWithDefaults', function (t) {
+    let actual = MantaClientPool._mantaOptionsFor(DEFAULTS, {
+        subuser: 'team-one',
+        role: 'readers'
+    });
+
+    t.equal(actual.user, 'bridge', 'default user was kept');
+    t.equal(actual.subuser, 'team-one', 'subuser was overridden');
+    t.equal(actual.role, 'readers', 'role was overridden');
+    t.equal(actual.keyId, 'aa:bb', 'default key id was kept');
+    t.equal(actual.url, DEFAULTS.url, 'default url was kept');
+    t.equal(DEFAULTS.subuser, 'operator', 'defaults were not modified');
+    t.end();
+});
+
+test('canDropDefaultSubuserForDifferentUser', function (t) {
+    let actual = MantaClientPool._mantaOptionsFor(DEFAULTS, {
+        user: 'team-two',
+        keyId: 'cc:dd',
+        privateKeyPath: '/keys/team-two'
+    });
+
+    t.equal(actual.user, 'team-two', 'user was overridden');
+    t.notOk(actual.subuser, 'default subuser was dropped');
+    t.notOk(actual.role, 'default role was dropped');
+    t.equal(actual.keyId, 'cc:dd', 'key id was overridden');
+    t.equal(actual.privateKeyPath, '/keys/team-two', 'private key path was overridden');
+    t.end();
+});
+
+test('canIgnoreNonIdentityOverrides', function (t) {
+    let actual = MantaClientPool._mantaOptionsFor(DEFAULTS, {
+        url: 'https://elsewhere.example.com'
+    });
+
+    t.equal(actual.url, DEFAULTS.url, 'url was not overridden');
+    t.end();
+});
+
+test('canBuildDistinctIdentityKeys', function (t) {
+    let subuser = MantaClientPool._mantaOptionsFor(DEFAULTS, { subuser: 'team-one' });
+
+    t.equal(MantaClientPool._identityKey(DEFAULTS),
+        MantaClientPool._identityKey(MantaClientPool._mantaOptionsFor(DEFAULTS, {})),
+        'same identity has the same key');
+    t.notEqual(MantaClientPool._identityKey(DEFAULTS),
+        MantaClientPool._identityKey(subuser),
+        'different subuser has a different key');
+    t.end();
+});
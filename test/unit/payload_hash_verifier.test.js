@@ -0,0 +1,111 @@
+'use strict';
+
+let mod_crypto = require('crypto');
+let mod_stream = require('stream');
+let PayloadHashVerifier = require('../../lib/payload_hash_verifier');
+let test = require('tape');
+
+const BODY = 'Welcome to Amazon S3.';
+
+function sha256(data) {
+    return mod_crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function verify(verifier, body, cb) {
+    let destination = new mod_stream.PassThrough();
+    let aborted = false;
+    let ended = false;
+
+    destination.abort = function () {
+        aborted = true;
+    };
+
+    destination.once('end', function () {
+        ended = true;
+    });
+
+    verifier.once('error', function (err) {
+        cb(err, aborted, ended);
+    });
+
+    verifier.once('end', function () {
+        // Allow the end to propagate through the pipe
+        setImmediate(function () {
+            cb(null, aborted, ended);
+        });
+    });
+
+    verifier.pipe(destination).resume();
+    verifier.end(body);
+}
+
+test('canIgnoreRequestsWithoutPayloadHash', function (t) {
+    t.equal(PayloadHashVerifier.forRequest({}), null, 'No verifier without a signed hash');
+    t.equal(PayloadHashVerifier.forRequest({ signedPayloadHash: 'UNSIGNED-PAYLOAD' }), null,
+        'No verifier for unsigned payloads');
+    t.end();
+});
+
+test('canVerifyMatchingPayloadHash', function (t) {
+    let verifier = PayloadHashVerifier.forRequest({ signedPayloadHash: sha256(BODY) });
+
+    verify(verifier, BODY, function (err, aborted, ended) {
+        t.ifError(err, 'Payload hash matched');
+        t.notOk(aborted, 'Destination was not aborted');
+        t.ok(ended, 'Destination was ended');
+        t.end();
+    });
+});
+
+test('canRejectMismatchedPayloadHash', function (t) {
+    let verifier = PayloadHashVerifier.forRequest({ signedPayloadHash: sha256(BODY) });
+
+    verify(verifier, 'Tampered with.', function (err, aborted, ended) {
+        t.ok(err, 'Payload hash mismatch was detected');
+        t.equal(err.restCode, 'XAmzContentSHA256Mismatch', 'Mismatch was reported');
+        t.equal(err.additional.ClientComputedContentSHA256, sha256(BODY),
+            'Client hash was reported');
+        t.ok(aborted, 'Destination was aborted');
+        t.notOk(ended, 'Destination was not ended');
+        t.end();
+    });
+});
+
+test('canWithholdTamperedBodyFromDestination', function (t) {
+    let chunks = ['Welcome ', 'to ', 'Amazon ', 'S4.'];
+    let verifier = PayloadHashVerifier.forRequest({ signedPayloadHash: sha256(BODY) });
+    let destination = new mod_stream.PassThrough();
+    let received = '';
+
+    destination.abort = function () {
+        return false;
+    };
+
+    destination.on('data', function (chunk) {
+        received += chunk;
+    });
+
+    verifier.once('error', function (err) {
+        t.equal(err.restCode, 'XAmzContentSHA256Mismatch', 'Mismatch was reported');
+        t.ok(received.length < chunks.join('').length,
+            'Destination never received the complete body');
+        t.equal(received, 'Welcome to Amazon ', 'Only chunks before the last were passed on');
+        t.end();
+    });
+
+    verifier.pipe(destination);
+    chunks.forEach(function (chunk) {
+        verifier.write(chunk);
+    });
+    verifier.end();
+});
+
+test('canVerifyBufferedBody', function (t) {
+    let req = { signedPayloadHash: sha256(BODY) };
+
+    t.equal(PayloadHashVerifier.verifyBody(req, new Buffer(BODY)), null,
+        'Buffered body matched');
+    t.ok(PayloadHashVerifier.verifyBody(req, new Buffer('Tampered with.')),
+        'Buffered body mismatch was detected');
+    t.end();
+});
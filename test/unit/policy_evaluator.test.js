@@ -0,0 +1,200 @@
+'use strict';
+
+let PolicyEvaluator = require('../../lib/policy_evaluator');
+let test = require('tape');
+
+const POLICY = {
+    Version: '2012-10-17',
+    Statement: [
+        {
+            Sid: 'PublicRead',
+            Effect: 'Allow',
+            Principal: '*',
+            Action: 's3:GetObject',
+            Resource: 'arn:aws:s3:::website/*'
+        },
+        {
+            Sid: 'DenyOutsideOffice',
+            Effect: 'Deny',
+            Principal: { AWS: ['AKIAINTERN'] },
+            Action: ['s3:PutObject', 's3:Delete*'],
+            Resource: 'arn:aws:s3:::website/*',
+            Condition: {
+                NotIpAddress: { 'aws:SourceIp': '192.168.1.0/24' }
+            }
+        },
+        {
+            Sid: 'DenyInsecure',
+            Effect: 'Deny',
+            Principal: '*',
+            Action: 's3:*',
+            Resource: 'arn:aws:s3:::website/private/*',
+            Condition: {
+                Bool: { 'aws:SecureTransport': 'false' }
+            }
+        }
+    ]
+};
+
+function request(principal, action, resource, context) {
+    return {
+        principal: principal,
+        action: action,
+        resource: resource,
+        context: context || {}
+    };
+}
+
+test('canAllowMatchingStatement', function (t) {
+    let actual = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAANYONE', 's3:GetObject', 'arn:aws:s3:::website/index.html'));
+
+    t.equal(actual, 'Allow', 'wildcard resource was allowed');
+    t.end();
+});
+
+test('canReturnNullWhenNoStatementApplies', function (t) {
+    let actual = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAANYONE', 's3:GetObject', 'arn:aws:s3:::other/index.html'));
+
+    t.equal(actual, null, 'no statement applied');
+    t.end();
+});
+
+test('canDenyByPrincipalAndSourceIp', function (t) {
+    let outside = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAINTERN', 's3:DeleteObject', 'arn:aws:s3:::website/index.html',
+            { 'aws:SourceIp': '10.0.0.1' }));
+    let inside = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAINTERN', 's3:DeleteObject', 'arn:aws:s3:::website/index.html',
+            { 'aws:SourceIp': '192.168.1.20' }));
+    let mapped = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAINTERN', 's3:DeleteObject', 'arn:aws:s3:::website/index.html',
+            { 'aws:SourceIp': '::ffff:192.168.1.20' }));
+    let otherKey = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAADMIN', 's3:DeleteObject', 'arn:aws:s3:::website/index.html',
+            { 'aws:SourceIp': '10.0.0.1' }));
+
+    t.equal(outside, 'Deny', 'request from outside the network was denied');
+    t.equal(inside, null, 'request from inside the network was not denied');
+    t.equal(mapped, null, 'IPv4 mapped IPv6 address was matched');
+    t.equal(otherKey, null, 'other principals were not denied');
+    t.end();
+});
+
+test('canDenyTakingPrecedenceOverAllow', function (t) {
+    let actual = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAANYONE', 's3:GetObject', 'arn:aws:s3:::website/private/secret.txt',
+            { 'aws:SecureTransport': 'false' }));
+
+    t.equal(actual, 'Deny', 'explicit deny took precedence');
+    t.end();
+});
+
+test('canMatchConditionKeysCaseInsensitively', function (t) {
+    let actual = PolicyEvaluator.evaluate(POLICY,
+        request('AKIAANYONE', 's3:GetObject', 'arn:aws:s3:::website/private/secret.txt',
+            { 'AWS:SECURETRANSPORT': 'true' }));
+
+    t.equal(actual, 'Allow', 'secure request was allowed');
+    t.end();
+});
+
+test('canMatchPrefixCondition', function (t) {
+    let policy = {
+        Statement: {
+            Effect: 'Allow',
+            Principal: '*',
+            Action: 's3:ListBucket',
+            Resource: 'arn:aws:s3:::logs',
+            Condition: {
+                StringLike: { 's3:prefix': ['app1/*', 'app2/*'] }
+            }
+        }
+    };
+
+    let matching = PolicyEvaluator.evaluate(policy,
+        request(null, 's3:ListBucket', 'arn:aws:s3:::logs', { 's3:prefix': 'app2/2016' }));
+    let other = PolicyEvaluator.evaluate(policy,
+        request(null, 's3:ListBucket', 'arn:aws:s3:::logs', { 's3:prefix': 'app3/2016' }));
+    let missing = PolicyEvaluator.evaluate(policy,
+        request(null, 's3:ListBucket', 'arn:aws:s3:::logs'));
+
+    t.equal(matching, 'Allow', 'matching prefix was allowed');
+    t.equal(other, null, 'other prefix was not allowed');
+    t.equal(missing, null, 'missing prefix was not allowed');
+    t.end();
+});
+
+test('canMatchNotActionAndNotResource', function (t) {
+    let policy = {
+        Statement: {
+            Effect: 'Deny',
+            Principal: '*',
+            NotAction: 's3:Get*',
+            NotResource: 'arn:aws:s3:::bucket/scratch/*'
+        }
+    };
+
+    t.equal(PolicyEvaluator.evaluate(policy,
+        request('AKIA', 's3:PutObject', 'arn:aws:s3:::bucket/data.csv')), 'Deny',
+        'write outside of scratch was denied');
+    t.equal(PolicyEvaluator.evaluate(policy,
+        request('AKIA', 's3:PutObject', 'arn:aws:s3:::bucket/scratch/data.csv')), null,
+        'write inside of scratch was not denied');
+    t.equal(PolicyEvaluator.evaluate(policy,
+        request('AKIA', 's3:getobject', 'arn:aws:s3:::bucket/data.csv')), null,
+        'actions were matched case-insensitively');
+    t.end();
+});
+
+test('canParseValidBucketPolicy', function (t) {
+    let actual = PolicyEvaluator.parse(JSON.stringify(POLICY), {
+        principalRequired: true,
+        resourceBucket: 'website'
+    });
+
+    t.deepEqual(actual, POLICY, 'policy was parsed');
+    t.end();
+});
+
+test('canRejectMalformedPolicies', function (t) {
+    let bucketPolicy = { principalRequired: true, resourceBucket: 'website' };
+    let statement = {
+        Effect: 'Allow',
+        Principal: '*',
+        Action: 's3:GetObject',
+        Resource: 'arn:aws:s3:::website/*'
+    };
+
+    function rejects(document, validation, message) {
+        t.throws(function () {
+            PolicyEvaluator.parse(JSON.stringify(document), validation);
+        }, /.+/, message);
+    }
+
+    t.throws(function () {
+        PolicyEvaluator.parse('{ not json', bucketPolicy);
+    }, /valid JSON/, 'invalid JSON was rejected');
+
+    rejects({ Statement: [] }, bucketPolicy, 'empty statement list was rejected');
+    rejects({ Version: '2000-01-01', Statement: statement }, bucketPolicy,
+        'unknown version was rejected');
+    rejects({ Statement: Object.assign({}, statement, { Effect: 'Maybe' }) }, bucketPolicy,
+        'unknown effect was rejected');
+    rejects({ Statement: Object.assign({}, statement, { Resource: 'arn:aws:s3:::other/*' }) },
+        bucketPolicy, 'resource in another bucket was rejected');
+    rejects({ Statement: Object.assign({}, statement, { Resource: 'arn:aws:s3:::websites/*' }) },
+        bucketPolicy, 'resource in a bucket with the same prefix was rejected');
+    rejects({ Statement: Object.assign({}, statement, { Condition: { Fuzzy: {} } }) },
+        bucketPolicy, 'unknown condition operator was rejected');
+    rejects({ Statement: Object.assign({}, statement, {
+        Condition: { IpAddress: { 'aws:SourceIp': 'not-an-ip' } }
+    }) }, bucketPolicy, 'invalid IP address was rejected');
+    rejects({ Statement: { Effect: 'Allow', Action: 's3:GetObject', Resource: '*' } },
+        bucketPolicy, 'missing principal was rejected');
+    rejects({ Statement: statement }, { principalRequired: false },
+        'principal in identity policy was rejected');
+
+    t.end();
+});
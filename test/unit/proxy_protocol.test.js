@@ -0,0 +1,120 @@
+'use strict';
+
+let mod_http = require('http');
+let mod_net = require('net');
+let ProxyProtocol = require('../../lib/proxy_protocol');
+let test = require('tape');
+
+const V2_SIGNATURE = '0d0a0d0a000d0a515549540a';
+
+let log = {
+    warn: function () {
+        return false;
+    }
+};
+
+test('canParseTextHeaders', function (t) {
+    let header = ProxyProtocol.parse(
+        new Buffer('PROXY TCP4 192.0.2.10 10.0.0.1 56324 443\r\nGET / HTTP/1.1\r\n'));
+
+    t.equal(header.sourceAddress, '192.0.2.10', 'IPv4 source was parsed');
+    t.equal(header.length, 42, 'header length was reported');
+
+    header = ProxyProtocol.parse(new Buffer('PROXY TCP6 2001:db8::1 2001:db8::2 56324 443\r\n'));
+    t.equal(header.sourceAddress, '2001:db8::1', 'IPv6 source was parsed');
+
+    header = ProxyProtocol.parse(new Buffer('PROXY UNKNOWN\r\n'));
+    t.equal(header.sourceAddress, null, 'unknown source was accepted');
+
+    t.equal(ProxyProtocol.parse(new Buffer('PRO')), null, 'partial prefix needs more data');
+    t.equal(ProxyProtocol.parse(new Buffer('PROXY TCP4 192.0.2.10')), null,
+        'partial header needs more data');
+    t.throws(function () {
+        ProxyProtocol.parse(new Buffer('GET / HTTP/1.1\r\n'));
+    }, /did not start with a PROXY protocol header/, 'plain HTTP was rejected');
+    t.throws(function () {
+        ProxyProtocol.parse(new Buffer('PROXY TCP4 192.0.2.10\r\n'));
+    }, /Invalid PROXY protocol header/, 'truncated header was rejected');
+    t.end();
+});
+
+test('canParseBinaryHeaders', function (t) {
+    let ipv4 = new Buffer(V2_SIGNATURE + '2111000c' + 'c000020a' + '0a000001' + 'dc0401bb' +
+        '474554', 'hex');
+    let header = ProxyProtocol.parse(ipv4);
+
+    t.equal(header.sourceAddress, '192.0.2.10', 'IPv4 source was parsed');
+    t.equal(header.length, 28, 'header length was reported');
+
+    let ipv6 = new Buffer(V2_SIGNATURE + '21210024' + '20010db8000000000000000000000001' +
+        '20010db8000000000000000000000002' + 'dc0401bb', 'hex');
+    t.equal(ProxyProtocol.parse(ipv6).sourceAddress, '2001:db8::1',
+        'IPv6 source was parsed');
+
+    let local = new Buffer(V2_SIGNATURE + '20000000', 'hex');
+    t.equal(ProxyProtocol.parse(local).sourceAddress, null, 'LOCAL connection has no source');
+
+    t.equal(ProxyProtocol.parse(ipv4.slice(0, 20)), null, 'partial header needs more data');
+    t.throws(function () {
+        ProxyProtocol.parse(new Buffer(V2_SIGNATURE + '3111000c', 'hex'));
+    }, /Invalid PROXY protocol header/, 'unknown version was rejected');
+    t.end();
+});
+
+test('canServeRequestsAfterProxyHeaders', function (t) {
+    let server = mod_http.createServer(function (req, res) {
+        res.end(`${req.url} ${req.socket.proxySourceAddress}`);
+    });
+
+    ProxyProtocol.accept(server, log);
+
+    server.listen(0, '127.0.0.1', function () {
+        let socket = mod_net.connect(server.address().port, '127.0.0.1');
+        let response = '';
+
+        socket.setTimeout(5000, function () {
+            socket.destroy();
+        });
+        socket.on('data', function (chunk) {
+            response += chunk;
+        });
+        socket.on('close', function () {
+            t.ok(/\/path 192\.0\.2\.10$/.test(response),
+                'request following the header was served');
+            server.close(function () {
+                t.end();
+            });
+        });
+
+        socket.end('PROXY TCP4 192.0.2.10 127.0.0.1 56324 80\r\n' +
+            'GET /path HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    });
+});
+
+test('canCloseConnectionsWithoutProxyHeaders', function (t) {
+    let server = mod_http.createServer(function (req, res) {
+        res.end('served');
+    });
+
+    ProxyProtocol.accept(server, log);
+
+    server.listen(0, '127.0.0.1', function () {
+        let socket = mod_net.connect(server.address().port, '127.0.0.1');
+        let response = '';
+
+        socket.setTimeout(5000, function () {
+            socket.destroy();
+        });
+        socket.on('data', function (chunk) {
+            response += chunk;
+        });
+        socket.on('close', function () {
+            t.equal(response, '', 'connection was closed without a response');
+            server.close(function () {
+                t.end();
+            });
+        });
+
+        socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+let Routes = require('../../lib/routes');
+let test = require('tape');
+
+const MANTA_CLIENT = {};
+
+function buildRoutes(calls) {
+    let routes = new Routes({}, {
+        clientFor: function () {
+            return MANTA_CLIENT;
+        }
+    }, {}, {}, {}, {});
+
+    function handler(name) {
+        return function (req, res, next) {
+            calls.push(name);
+            return next();
+        };
+    }
+
+    // Handlers are looked up by the Manta client of the request
+    routes._handlers.set(MANTA_CLIENT, {
+        buckets: { bucketExists: handler('bucketExists') },
+        objects: { headObject: handler('headObject') }
+    });
+
+    return routes;
+}
+
+function buildRequest(bucket, sanitizedPath, isBaseEndpoint) {
+    return {
+        method: 'HEAD',
+        bucket: bucket,
+        sanitizedPath: sanitizedPath,
+        isBaseEndpoint: isBaseEndpoint,
+        log: {
+            debug: function () {
+                return false;
+            }
+        },
+        path: function () {
+            return isBaseEndpoint ? `/${bucket}${sanitizedPath}` : sanitizedPath;
+        }
+    };
+}
+
+function route(routes, req, callback) {
+    let status = null;
+    let res = {
+        send: function (code) {
+            status = code;
+        }
+    };
+
+    routes.route(req, res, function (err) {
+        callback(err, status);
+    });
+}
+
+test('canRouteHeadRequests', function (t) {
+    let calls = [];
+    let routes = buildRoutes(calls);
+
+    route(routes, buildRequest('', '/', true), function (err, status) {
+        t.ifError(err, 'service base HEAD was handled');
+        t.equal(status, 405, 'HEAD is not supported on the service base');
+
+        route(routes, buildRequest('photos', '/', true), function (err) {
+            t.ifError(err, 'path-style bucket HEAD was handled');
+
+            route(routes, buildRequest('photos', '/2016/cat.jpg', true), function (err) {
+                t.ifError(err, 'path-style object HEAD was handled');
+
+                route(routes, buildRequest('photos', '/2016/cat.jpg', false), function (err) {
+                    t.ifError(err, 'virtual host object HEAD was handled');
+                    t.deepEqual(calls, ['bucketExists', 'headObject', 'headObject'],
+                        'buckets and objects were routed to their handlers');
+                    t.end();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+let S3Actions = require('../../lib/s3_actions');
+let test = require('tape');
+
+function buildRequest(method, bucket, sanitizedPath, params, headers) {
+    return {
+        method: method,
+        bucket: bucket,
+        sanitizedPath: sanitizedPath,
+        params: params || {},
+        headers: headers || {},
+        connection: { remoteAddress: '10.1.2.3' },
+        isSecure: function () {
+            return false;
+        }
+    };
+}
+
+function actionsOf(req) {
+    return S3Actions.forRequest(req).map(function (action) {
+        return `${action.action} ${action.resource}`;
+    });
+}
+
+test('canMapBucketRequestsToActions', function (t) {
+    t.deepEqual(actionsOf(buildRequest('GET', '', '/')),
+        ['s3:ListAllMyBuckets arn:aws:s3:::*'], 'list buckets');
+    t.deepEqual(actionsOf(buildRequest('POST', '', '/')),
+        ['sts:AssumeRole arn:aws:s3:::*'], 'assume role');
+    t.deepEqual(actionsOf(buildRequest('GET', '', '/', { authDiagnostics: '' })),
+        ['s3:GetAuthDiagnostics arn:aws:s3:::*'], 'get authentication diagnostics');
+    t.deepEqual(actionsOf(buildRequest('PUT', '', '/', { authDiagnostics: '' })),
+        ['s3:PutAuthDiagnostics arn:aws:s3:::*'], 'put authentication diagnostics');
+    t.ok(S3Actions.isAdminAction('s3:PutAuthDiagnostics'), 'diagnostics are admin actions');
+    t.notOk(S3Actions.isAdminAction('s3:ListAllMyBuckets'), 'listing buckets is not');
+
+    let formUpload = buildRequest('POST', 'bucket', '/');
+    formUpload.postForm = {
+        fields: { key: 'uploads/${filename}' },
+        file: { filename: 'photo.jpg' }
+    };
+    t.deepEqual(actionsOf(formUpload),
+        ['s3:PutObject arn:aws:s3:::bucket/uploads/photo.jpg'], 'browser form upload');
+    t.deepEqual(actionsOf(buildRequest('GET', 'bucket', '/')),
+        ['s3:ListBucket arn:aws:s3:::bucket'], 'list objects');
+    t.deepEqual(actionsOf(buildRequest('PUT', 'bucket', '/')),
+        ['s3:CreateBucket arn:aws:s3:::bucket'], 'create bucket');
+    t.deepEqual(actionsOf(buildRequest('DELETE', 'bucket', '/')),
+        ['s3:DeleteBucket arn:aws:s3:::bucket'], 'delete bucket');
+    t.deepEqual(actionsOf(buildRequest('PUT', 'bucket', '/', { policy: '' })),
+        ['s3:PutBucketPolicy arn:aws:s3:::bucket'], 'put bucket policy');
+    t.deepEqual(actionsOf(buildRequest('GET', 'bucket', '/', { acl: '' })),
+        ['s3:GetBucketAcl arn:aws:s3:::bucket'], 'get bucket acl');
+    t.deepEqual(actionsOf(buildRequest('PUT', 'bucket', '/', { acl: '' })),
+        ['s3:PutBucketAcl arn:aws:s3:::bucket'], 'put bucket acl');
+    t.end();
+});
+
+test('canMapObjectRequestsToActions', function (t) {
+    t.deepEqual(actionsOf(buildRequest('GET', 'bucket', '/dir/file.txt')),
+        ['s3:GetObject arn:aws:s3:::bucket/dir/file.txt'], 'get object');
+    t.deepEqual(actionsOf(buildRequest('HEAD', 'bucket', '/dir/file.txt')),
+        ['s3:GetObject arn:aws:s3:::bucket/dir/file.txt'], 'head object');
+    t.deepEqual(actionsOf(buildRequest('PUT', 'bucket', '/file.txt')),
+        ['s3:PutObject arn:aws:s3:::bucket/file.txt'], 'put object');
+    t.deepEqual(actionsOf(buildRequest('DELETE', 'bucket', '/file.txt')),
+        ['s3:DeleteObject arn:aws:s3:::bucket/file.txt'], 'delete object');
+    t.deepEqual(actionsOf(buildRequest('PUT', 'bucket', '/copy.txt', {}, {
+        'x-amz-metadata-directive': 'COPY',
+        'x-amz-copy-source': '/source/dir/file.txt'
+    })), [
+        's3:PutObject arn:aws:s3:::bucket/copy.txt',
+        's3:GetObject arn:aws:s3:::source/dir/file.txt'
+    ], 'copy object');
+    t.deepEqual(actionsOf(buildRequest('PUT', 'bucket', '/copy.txt', {}, {
+        'x-amz-metadata-directive': 'COPY',
+        'x-amz-copy-source': '/public/../secret/file.txt'
+    })), [
+        's3:PutObject arn:aws:s3:::bucket/copy.txt',
+        's3:GetObject arn:aws:s3:::secret/file.txt'
+    ], 'copy object from a traversing source');
+    t.end();
+});
+
+test('canBuildConditionContext', function (t) {
+    let req = buildRequest('GET', 'bucket', '/', { prefix: 'logs/', 'max-keys': 10 },
+        { 'user-agent': 'aws-cli' });
+    let context = S3Actions.conditionContext(req);
+
+    t.equal(context['aws:SourceIp'], '10.1.2.3', 'source IP was set');
+    t.equal(context['aws:SecureTransport'], 'false', 'secure transport was set');
+    t.equal(context['aws:UserAgent'], 'aws-cli', 'user agent was set');
+    t.equal(context['s3:prefix'], 'logs/', 'prefix was set');
+    t.equal(context['s3:max-keys'], '10', 'max keys was set');
+    t.notOk(context['s3:delimiter'], 'missing delimiter was not set');
+    t.end();
+});
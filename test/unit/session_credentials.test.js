@@ -0,0 +1,110 @@
+'use strict';
+
+let SessionCredentials = require('../../lib/session_credentials');
+let StaticCredentialStore = require('../../lib/static_credential_store');
+let test = require('tape');
+
+const SESSION_POLICY = {
+    Statement: [
+        { Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::logs/*' }
+    ]
+};
+
+let credentialStore = new StaticCredentialStore([
+    { accessKey: 'AKIAPARENT', secretKey: 'parent-secret', tenant: 'acme' }
+]);
+
+let sessions = new SessionCredentials({
+    sessionTokenSecret: 'token-secret',
+    maxSessionDurationSeconds: 3600
+}, credentialStore);
+
+test('canFindIssuedSession', function (t) {
+    let session = sessions.issue({ accessKey: 'AKIAPARENT' }, 900, SESSION_POLICY);
+
+    t.ok(session.accessKey.startsWith('ASIA'), 'Session access key was generated');
+    t.notEqual(session.secretKey, 'parent-secret', 'Session secret key was generated');
+
+    sessions.find(session.accessKey, session.sessionToken, function (err, credential) {
+        t.ifError(err, 'Session was found');
+        t.equal(credential.accessKey, session.accessKey, 'Session access key was used');
+        t.equal(credential.secretKey, session.secretKey, 'Session secret key was derived');
+        t.equal(credential.parentAccessKey, 'AKIAPARENT', 'Parent access key was set');
+        t.equal(credential.tenant, 'acme', 'Parent settings were inherited');
+        t.deepEqual(credential.sessionPolicy, SESSION_POLICY, 'Session policy was kept');
+        t.end();
+    });
+});
+
+test('canLimitSessionDuration', function (t) {
+    let session = sessions.issue({ accessKey: 'AKIAPARENT' }, 86400);
+    let remaining = session.expiration.getTime() - Date.now();
+
+    t.ok(remaining <= 3600 * 1000, 'Duration was limited to the maximum');
+    t.end();
+});
+
+test('canRejectTamperedToken', function (t) {
+    let session = sessions.issue({ accessKey: 'AKIAPARENT' }, 900);
+    let other = sessions.issue({ accessKey: 'AKIAPARENT' }, 900);
+
+    sessions.find(other.accessKey, session.sessionToken, function (err) {
+        t.ok(err, 'Token of another session was rejected');
+        t.equal(err.restCode, 'InvalidToken', 'Token was reported as invalid');
+
+        let parts = session.sessionToken.split('.');
+        let tampered = `${other.sessionToken.split('.')[0]}.${parts[1]}`;
+
+        sessions.find(other.accessKey, tampered, function (err) {
+            t.ok(err, 'Token with a forged signature was rejected');
+            t.equal(err.restCode, 'InvalidToken', 'Token was reported as invalid');
+            t.end();
+        });
+    });
+});
+
+test('canRejectTokenSignedWithAnotherSecret', function (t) {
+    let otherSessions = new SessionCredentials({
+        sessionTokenSecret: 'other-secret',
+        maxSessionDurationSeconds: 3600
+    }, credentialStore);
+    let session = otherSessions.issue({ accessKey: 'AKIAPARENT' }, 900);
+
+    sessions.find(session.accessKey, session.sessionToken, function (err) {
+        t.ok(err, 'Token was rejected');
+        t.equal(err.restCode, 'InvalidToken', 'Token was reported as invalid');
+        t.end();
+    });
+});
+
+test('canRejectExpiredToken', function (t) {
+    let session = sessions.issue({ accessKey: 'AKIAPARENT' }, -1);
+
+    sessions.find(session.accessKey, session.sessionToken, function (err) {
+        t.ok(err, 'Expired token was rejected');
+        t.equal(err.restCode, 'ExpiredToken', 'Token was reported as expired');
+        t.end();
+    });
+});
+
+test('canRejectSessionOfRemovedParent', function (t) {
+    let session = sessions.issue({ accessKey: 'AKIAREMOVED' }, 900);
+
+    sessions.find(session.accessKey, session.sessionToken, function (err) {
+        t.ok(err, 'Session of unknown parent was rejected');
+        t.equal(err.restCode, 'InvalidToken', 'Token was reported as invalid');
+        t.end();
+    });
+});
+
+test('canFindSessionTokenOfRequest', function (t) {
+    t.equal(SessionCredentials.tokenFor({ headers: { 'x-amz-security-token': 'abc' } }),
+        'abc', 'Token was read from the header');
+    t.equal(SessionCredentials.tokenFor({
+        headers: {},
+        query: { 'X-Amz-Security-Token': 'def' }
+    }), 'def', 'Token was read from the query string');
+    t.equal(SessionCredentials.tokenFor({ headers: {}, query: {} }), null,
+        'No token was found');
+    t.end();
+});
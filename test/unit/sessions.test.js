@@ -0,0 +1,103 @@
+'use strict';
+
+let mod_stream = require('stream');
+let SessionCredentials = require('../../lib/session_credentials');
+let Sessions = require('../../lib/sessions');
+let StaticCredentialStore = require('../../lib/static_credential_store');
+let test = require('tape');
+
+const PARENT = { accessKey: 'AKIAPARENT', secretKey: 'parent-secret' };
+
+let sessionCredentials = new SessionCredentials({
+    sessionTokenSecret: 'token-secret',
+    maxSessionDurationSeconds: 3600
+}, new StaticCredentialStore([PARENT]));
+
+let sessions = new Sessions({ maxSessionDurationSeconds: 3600 }, sessionCredentials);
+
+function buildRequest(body, credential) {
+    let req = new mod_stream.PassThrough();
+    req.end(body);
+
+    req.headers = { 'content-length': String(Buffer.byteLength(body)) };
+    req.query = {};
+    req.credential = credential;
+    req.getId = function () {
+        return 'request-id';
+    };
+    req.log = {
+        info: function () {
+            return false;
+        }
+    };
+
+    return req;
+}
+
+function buildResponse() {
+    return {
+        headers: {},
+        header: function (name, value) {
+            this.headers[name] = value;
+        },
+        send: function (body) {
+            this.body = body;
+        }
+    };
+}
+
+test('canAssumeRole', function (t) {
+    let req = buildRequest('Action=AssumeRole&Version=2011-06-15&DurationSeconds=900' +
+        '&RoleSessionName=batch-job', PARENT);
+    let res = buildResponse();
+
+    sessions.assumeRole(req, res, function (err) {
+        t.ifError(err, 'Session was issued');
+        t.equal(res.headers['Content-Type'], 'application/xml', 'XML was returned');
+
+        let accessKey = /<AccessKeyId>(.+)<\/AccessKeyId>/.exec(res.body)[1];
+        let token = /<SessionToken>(.+)<\/SessionToken>/.exec(res.body)[1];
+
+        t.ok(/AKIAPARENT:batch-job/.test(res.body), 'Session name was reported');
+
+        sessionCredentials.find(accessKey, token, function (err, credential) {
+            t.ifError(err, 'Issued session was valid');
+            t.equal(credential.parentAccessKey, 'AKIAPARENT', 'Session belongs to the parent');
+            t.end();
+        });
+    });
+});
+
+test('canRejectInvalidAssumeRoleRequests', function (t) {
+    sessions.assumeRole(buildRequest('Action=GetSessionToken', PARENT), buildResponse(),
+        function (err) {
+            t.equal(err.restCode, 'InvalidAction', 'Unknown action was rejected');
+
+            sessions.assumeRole(buildRequest('Action=AssumeRole&DurationSeconds=60', PARENT),
+                buildResponse(), function (err) {
+                    t.equal(err.restCode, 'ValidationError', 'Short duration was rejected');
+
+                    sessions.assumeRole(buildRequest('Action=AssumeRole&Policy=%7B', PARENT),
+                        buildResponse(), function (err) {
+                            t.equal(err.restCode, 'MalformedPolicyDocument',
+                                'Invalid policy was rejected');
+                            t.end();
+                        });
+                });
+        });
+});
+
+test('canRejectAssumeRoleBySession', function (t) {
+    let session = { accessKey: 'ASIASESSION', parentAccessKey: 'AKIAPARENT' };
+
+    sessions.assumeRole(buildRequest('Action=AssumeRole', session), buildResponse(),
+        function (err) {
+            t.equal(err.restCode, 'AccessDenied', 'Session credentials were denied');
+
+            sessions.assumeRole(buildRequest('Action=AssumeRole'), buildResponse(),
+                function (err) {
+                    t.equal(err.restCode, 'AccessDenied', 'Anonymous request was denied');
+                    t.end();
+                });
+        });
+});
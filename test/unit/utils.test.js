@@ -220,3 +220,37 @@ test('sanitizeS3Filepath - a file name with dots should work', function(t) {
     t.equals(result, expected, 'file path was modified');
     t.end();
 });
+
+const BUCKET_PATH_OPTIONS = {
+    bucketPath: '~~/stor/s3_buckets',
+    tenantBucketPath: '~~/stor/tenants/{tenant}/buckets'
+};
+
+test('bucketPathFor - shared bucket path is used without a credential', function(t) {
+    let result = Utils.bucketPathFor(BUCKET_PATH_OPTIONS, undefined);
+
+    t.equals(result, '~~/stor/s3_buckets', 'shared bucket path was not used');
+    t.end();
+});
+
+test('bucketPathFor - shared bucket path is used for a credential without a tenant', function(t) {
+    let result = Utils.bucketPathFor(BUCKET_PATH_OPTIONS, { accessKey: 'AKIAONE' });
+
+    t.equals(result, '~~/stor/s3_buckets', 'shared bucket path was not used');
+    t.end();
+});
+
+test('bucketPathFor - tenant is substituted into the tenant bucket path', function(t) {
+    let result = Utils.bucketPathFor(BUCKET_PATH_OPTIONS, { accessKey: 'AKIAONE', tenant: 'a' });
+
+    t.equals(result, '~~/stor/tenants/a/buckets', 'tenant bucket path was not used');
+    t.end();
+});
+
+test('bucketPathFor - bucket path of the credential takes precedence', function(t) {
+    let credential = { accessKey: 'AKIAONE', tenant: 'a', bucketPath: '/other/stor/buckets' };
+    let result = Utils.bucketPathFor(BUCKET_PATH_OPTIONS, credential);
+
+    t.equals(result, '/other/stor/buckets', 'credential bucket path was not used');
+    t.end();
+});